@@ -0,0 +1,158 @@
+/**
+ * =================================================================================================
+ * ⏱️ AOTRAVEL DRIVER LOOKUP BENCHMARK - GRELHA vs VARRIMENTO COMPLETO
+ * =================================================================================================
+ *
+ * ARQUIVO: scripts/benchmark-driver-lookup.js
+ * DESCRIÇÃO: Cria milhares de motoristas fictícios online à volta de Luanda e compara:
+ *            1. A busca antiga (fórmula `acos` sobre todas as linhas de driver_positions).
+ *            2. O `findAvailableDrivers` atual (células da grelha + confirmação da distância).
+ *            Os motoristas fictícios são apagados no fim, mesmo em caso de erro.
+ *
+ * USO: node scripts/benchmark-driver-lookup.js [--drivers=5000] [--runs=200] [--radius=10]
+ *      ⚠️ Escreve na base de dados apontada por DATABASE_URL. Não correr em produção.
+ * =================================================================================================
+ */
+
+const pool = require('../src/config/db');
+const rideController = require('../src/controllers/rideController');
+const geoGrid = require('../src/utils/geoGrid');
+
+const args = Object.fromEntries(
+    process.argv.slice(2)
+        .filter(a => a.startsWith('--'))
+        .map(a => a.slice(2).split('='))
+);
+
+const DRIVERS = parseInt(args.drivers) || 5000;
+const RUNS = parseInt(args.runs) || 200;
+const RADIUS_KM = parseFloat(args.radius) || 10;
+
+const CENTER = { lat: -8.8399, lng: 13.2894 };
+const SPREAD_DEG = 0.6; // ~65km de lado
+const EMAIL_PATTERN = 'bench-driver-%@aotravel.test';
+
+// Consulta anterior ao índice espacial (mantida aqui só para comparação)
+const LEGACY_QUERY = `
+    SELECT dp.driver_id, dp.lat, dp.lng
+    FROM driver_positions dp
+    JOIN users u ON dp.driver_id = u.id
+    JOIN vehicle_details vd ON vd.driver_id = dp.driver_id
+    WHERE dp.status = 'online'
+      AND dp.last_update > NOW() - INTERVAL '3 minutes'
+      AND u.is_blocked = false
+      AND u.role = 'driver'
+      AND vd.documents_verified = true
+      AND vd.type = ANY($4)
+      AND dp.lat != 0 AND dp.lng != 0
+      AND (6371 * acos(cos(radians($1)) * cos(radians(dp.lat)) *
+           cos(radians(dp.lng) - radians($2)) + sin(radians($1)) * sin(radians(dp.lat)))) <= $3
+    ORDER BY ((dp.lat - $1) * (dp.lat - $1) + (dp.lng - $2) * (dp.lng - $2)) ASC
+    LIMIT 20
+`;
+
+async function seedDrivers(client) {
+    console.log(`🌱 Criando ${DRIVERS} motoristas fictícios...`);
+
+    await client.query('BEGIN');
+
+    await client.query(`
+        INSERT INTO users (name, email, password, role, is_verified, is_online)
+        SELECT 'Bench Driver ' || g, 'bench-driver-' || g || '@aotravel.test', 'benchmark', 'driver', true, true
+        FROM generate_series(1, $1) g
+    `, [DRIVERS]);
+
+    await client.query(`
+        INSERT INTO vehicle_details (driver_id, model, plate, color, type, documents_verified)
+        SELECT id, 'Benchmark', 'BN-' || id, 'Branco', 'car', true
+        FROM users WHERE email LIKE $1
+    `, [EMAIL_PATTERN]);
+
+    await client.query(`
+        INSERT INTO driver_positions (driver_id, lat, lng, status, last_update)
+        SELECT id, $2 + (random() - 0.5) * $4, $3 + (random() - 0.5) * $4, 'online', NOW()
+        FROM users WHERE email LIKE $1
+    `, [EMAIL_PATTERN, CENTER.lat, CENTER.lng, SPREAD_DEG]);
+
+    // Mesma regra do geoGrid.cellKey
+    await client.query(`
+        UPDATE driver_positions dp SET
+            grid_cell = FLOOR(dp.lat / $2)::BIGINT::TEXT || ':' || FLOOR(dp.lng / $2)::BIGINT::TEXT
+        FROM users u
+        WHERE u.id = dp.driver_id AND u.email LIKE $1
+    `, [EMAIL_PATTERN, geoGrid.DEFAULT_CELL_DEG]);
+
+    await client.query('COMMIT');
+    await client.query('ANALYZE driver_positions');
+}
+
+async function cleanup() {
+    const result = await pool.query("DELETE FROM users WHERE email LIKE $1", [EMAIL_PATTERN]);
+    console.log(`🧹 ${result.rowCount} motoristas fictícios removidos.`);
+}
+
+function randomOrigin() {
+    return {
+        lat: CENTER.lat + (Math.random() - 0.5) * SPREAD_DEG * 0.8,
+        lng: CENTER.lng + (Math.random() - 0.5) * SPREAD_DEG * 0.8
+    };
+}
+
+function summarize(label, timings) {
+    const sorted = [...timings].sort((a, b) => a - b);
+    const avg = sorted.reduce((sum, t) => sum + t, 0) / sorted.length;
+    const p95 = sorted[Math.floor(sorted.length * 0.95)];
+    console.log(`   ${label.padEnd(22)} média ${avg.toFixed(2)}ms | p95 ${p95.toFixed(2)}ms | máx ${sorted[sorted.length - 1].toFixed(2)}ms`);
+    return avg;
+}
+
+async function run() {
+    const client = await pool.connect();
+    try {
+        await cleanup();
+        await seedDrivers(client);
+    } finally {
+        client.release();
+    }
+
+    const legacy = [];
+    const grid = [];
+    let mismatches = 0;
+
+    console.log(`⏱️  ${RUNS} buscas por método (raio ${RADIUS_KM}km, células de ${geoGrid.DEFAULT_CELL_DEG}°)...`);
+
+    for (let i = 0; i < RUNS; i++) {
+        const origin = randomOrigin();
+
+        let start = process.hrtime.bigint();
+        const legacyRes = await pool.query(LEGACY_QUERY, [origin.lat, origin.lng, RADIUS_KM, ['car']]);
+        legacy.push(Number(process.hrtime.bigint() - start) / 1e6);
+
+        start = process.hrtime.bigint();
+        const gridRes = await rideController.findAvailableDrivers(origin.lat, origin.lng, RADIUS_KM, { rideType: 'ride' });
+        grid.push(Number(process.hrtime.bigint() - start) / 1e6);
+
+        const legacyIds = legacyRes.rows.map(r => r.driver_id).join(',');
+        const gridIds = gridRes.map(r => r.driver_id).join(',');
+        if (legacyIds !== gridIds) mismatches++;
+    }
+
+    console.log('\n📊 RESULTADOS');
+    const legacyAvg = summarize('Varrimento (acos)', legacy);
+    const gridAvg = summarize('Grelha + exata', grid);
+    console.log(`   Ganho: ${(legacyAvg / gridAvg).toFixed(1)}x | resultados divergentes: ${mismatches}/${RUNS}\n`);
+}
+
+run()
+    .catch(e => {
+        console.error('❌ Benchmark falhou:', e.message);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        try {
+            await cleanup();
+        } catch (e) {
+            console.error('❌ Falha ao remover motoristas fictícios:', e.message);
+        }
+        await pool.end();
+    });
@@ -27,6 +27,13 @@ const SYSTEM_CONFIG = {
     LOCALE: "pt-AO",           // Formatação de Datas e Moeda
     TIMEZONE: "Africa/Luanda", // Fuso Horário Mandatório
 
+    // Emitente impresso nos recibos das corridas
+    RECEIPT_ISSUER: {
+        NAME: process.env.RECEIPT_ISSUER_NAME || "AOtravel",
+        TAX_ID: process.env.RECEIPT_ISSUER_NIF || null,
+        ADDRESS: process.env.RECEIPT_ISSUER_ADDRESS || "Luanda, Angola"
+    },
+
     // =============================================================================================
     // 2. INFRAESTRUTURA DE SERVIDOR E REDE
     // =============================================================================================
@@ -42,6 +49,9 @@ const SYSTEM_CONFIG = {
 
         // Política de CORS (Permissiva para Mobile Apps)
         CORS_ORIGIN: '*',
+
+        // URL pública do servidor (links de partilha). Sem ela, usa o host do pedido.
+        PUBLIC_URL: process.env.PUBLIC_URL || null,
     },
 
     // Configurações do Socket.IO (Real-Time Engine)
@@ -119,7 +129,12 @@ const SYSTEM_CONFIG = {
 
         // Timeouts de Sessão
         SESSION_TIMEOUT: 900,          // 15 minutos de inatividade (Web)
-        SESSION_EXPIRY_DAYS: 365       // 1 ano de validade para sessão persistente (App Mobile)
+        SESSION_EXPIRY_DAYS: 365,      // 1 ano de validade para sessão persistente (App Mobile)
+
+        // Idempotency-Key: janela em que um reenvio recebe a resposta gravada (horas) e tempo
+        // após o qual uma chave ainda em processamento é considerada abandonada (segundos)
+        IDEMPOTENCY_WINDOW_HOURS: 24,
+        IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS: 120
     },
 
     // =============================================================================================
@@ -132,6 +147,110 @@ const SYSTEM_CONFIG = {
         // Tempo para motorista aceitar a corrida antes de passar para o próximo (segundos)
         DRIVER_ACCEPTANCE_TIMEOUT: 45,
 
+        // Ondas de despacho sequencial: raios (km) testados em ordem crescente.
+        // A última onda também inclui motoristas sem GPS válido (lat/lng = 0).
+        DISPATCH_RADIUS_STEPS_KM: [3, 6, 10, 15],
+
+        // Tipos de veículo elegíveis por tipo de corrida (fallback de app_settings.dispatch_vehicle_types)
+        VEHICLE_TYPES_BY_RIDE_TYPE: {
+            ride: ['car'],
+            moto: ['moto'],
+            delivery: ['delivery', 'truck']
+        },
+
+        // Leilão de tarifa: validade dos lances (segundos), oferta mínima do passageiro
+        // (fração da tarifa sugerida) e lance máximo do motorista (múltiplo da oferta)
+        BID_TTL_SECONDS: 90,
+        BID_MIN_OFFER_PCT: 0.7,
+        BID_MAX_MULTIPLIER: 2,
+
+        // Tarifação: arredondamento (múltiplos de 50 Kz) e tarifa mínima
+        FARE_ROUNDING: 50,
+        MIN_FARE: 500,
+
+        // Número máximo de paragens intermédias por corrida (multi-stop)
+        MAX_STOPS: 3,
+
+        // Velocidade média urbana usada para estimar o ETA de embarque (km/h)
+        AVG_PICKUP_SPEED_KMH: 25,
+
+        // Corridas agendadas: antecedência mínima/máxima para agendar (minutos / dias),
+        // quando iniciar o despacho e quando lembrar o motorista pré-aceite (minutos antes do embarque)
+        SCHEDULE_MIN_ADVANCE_MINUTES: 30,
+        SCHEDULE_MAX_ADVANCE_DAYS: 7,
+        SCHEDULE_DISPATCH_LEAD_MINUTES: 15,
+        SCHEDULE_REMINDER_MINUTES: 60,
+        SCHEDULER_INTERVAL_SECONDS: 60,
+
+        // Breadcrumbs GPS da viagem: precisão mínima aceite (metros) e velocidade máxima
+        // plausível (km/h) acima da qual um salto de GPS é descartado do cálculo da distância
+        TRIP_GPS_MAX_ACCURACY_M: 50,
+        TRIP_GPS_MAX_SPEED_KMH: 180,
+
+        // Índice espacial dos motoristas: tamanho da célula da grelha (graus, ~2.2km)
+        DRIVER_GRID_CELL_DEG: 0.02,
+
+        // Zonas de serviço: validade da cache dos polígonos (segundos) e recusa de pedidos fora
+        // das zonas quando app_settings.zones_enforced não está definido
+        ZONE_CACHE_SECONDS: 60,
+        ZONES_ENFORCED: false,
+
+        // Tarifa dinâmica: tamanho da célula (graus), intervalo de recálculo, sensibilidade ao
+        // rácio procura/oferta, procura mínima para ativar e teto padrão do multiplicador
+        SURGE_CELL_SIZE_DEG: 0.02,
+        SURGE_INTERVAL_SECONDS: 60,
+        SURGE_SENSITIVITY: 0.5,
+        SURGE_MIN_DEMAND: 2,
+        SURGE_MAX_MULTIPLIER: 2.0,
+
+        // Negociação de preço: validade da proposta (segundos), máximo de propostas por corrida,
+        // desvio máximo face ao initial_price (%) e intervalo do job de expiração
+        NEGOTIATION_PROPOSAL_TTL_SECONDS: 120,
+        NEGOTIATION_MAX_ROUNDS: 3,
+        NEGOTIATION_MAX_DEVIATION_PCT: 30,
+        NEGOTIATION_SWEEP_INTERVAL_SECONDS: 30,
+
+        // PIN de embarque: tentativas erradas antes do bloqueio (e alerta aos admins)
+        RIDE_PIN_MAX_ATTEMPTS: 3,
+
+        // SOS: máximo de contactos de confiança por utilizador
+        SOS_MAX_TRUSTED_CONTACTS: 5,
+
+        // Partilha pública da corrida: validade máxima do link (revogado antes se a corrida terminar)
+        SHARE_LINK_TTL_HOURS: 6,
+
+        // Reputação: média móvel das últimas N avaliações recebidas
+        RATING_WINDOW: 100,
+
+        // Fiabilidade do motorista: janela das taxas (dias), histórico mínimo para avaliar
+        // (ofertas para a aceitação, corridas aceites para o cancelamento) e limites
+        // abaixo/acima dos quais o motorista passa para o fim da fila do despacho
+        DRIVER_METRICS_WINDOW_DAYS: 30,
+        DRIVER_METRICS_MIN_OFFERS: 10,
+        DRIVER_METRICS_MIN_RIDES: 10,
+        DRIVER_MIN_ACCEPTANCE_RATE: 0.5,
+        DRIVER_MAX_CANCELLATION_RATE: 0.2,
+
+        // Manutenção: intervalo do job (segundos), validade de uma corrida em busca (minutos),
+        // imobilidade do motorista após aceitar (minutos / deslocação mínima em metros) e
+        // tempo sem heartbeat até o motorista ser colocado offline (minutos)
+        MAINTENANCE_INTERVAL_SECONDS: 60,
+        SEARCH_EXPIRY_MINUTES: 10,
+        STALLED_RIDE_MINUTES: 10,
+        STALLED_RIDE_MIN_MOVEMENT_M: 100,
+        DRIVER_HEARTBEAT_TIMEOUT_MINUTES: 3,
+
+        // Comissão da plataforma (%) quando app_settings.ride_commission não define outra
+        COMMISSION_DEFAULT_PCT: 15,
+
+        // Gorjetas: prazo após a conclusão da corrida (horas) e valor máximo (Kz)
+        TIP_WINDOW_HOURS: 24,
+        TIP_MAX_AMOUNT: 50000,
+
+        // Dívida máxima de comissões (Kz, corridas em dinheiro) acima da qual o motorista
+        // deixa de receber corridas (fallback de app_settings.ride_commission.max_driver_debt)
+        DRIVER_MAX_COMMISSION_DEBT: 10000,
+
         // Taxas de Cancelamento
         CANCELLATION_FEE: 500.00,
         GRACE_PERIOD_MINUTES: 2 // Tempo grátis para cancelar após pedir
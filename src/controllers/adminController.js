@@ -12,6 +12,7 @@
  *            - Gestão Financeira Administrativa (Ajustes de Saldo, Estornos).
  *            - Configurações Dinâmicas do Sistema (Hot-Reload).
  *            - Geração de Relatórios Complexos.
+ *            - Auditoria de Corridas (Replay da rota GPS para disputas).
  *
  * VERSÃO: 11.0.0-GOLD-ARMORED
  * DATA: 2026.02.11
@@ -27,8 +28,12 @@
 
 const pool = require('../config/db');
 const bcrypt = require('bcrypt');
-const { logSystem, logError, getUserFullDetails, generateRef } = require('../utils/helpers');
+const { logSystem, logError, getUserFullDetails, generateRef, generateRidePin, syncVehicleDetails } = require('../utils/helpers');
 const SYSTEM_CONFIG = require('../config/appConfig');
+const tripTrackingService = require('../services/tripTrackingService');
+const surgeService = require('../services/surgeService');
+const zoneService = require('../services/zoneService');
+const driverMetricsService = require('../services/driverMetricsService');
 
 // =================================================================================================
 // 0. HELPERS PRIVADOS DO CONTROLADOR (INTERNAL UTILS)
@@ -395,6 +400,13 @@ exports.getUserDetails = async (req, res) => {
         `;
         const sessions = await pool.query(sessionsQuery, [id]);
 
+        // 6. Fiabilidade (apenas motoristas)
+        let performance = null;
+        if (user.role === 'driver') {
+            const metrics = await driverMetricsService.getDriverRates(user.id);
+            performance = { ...metrics, poor_performer: driverMetricsService.isPoorPerformer(metrics) };
+        }
+
         // Montagem da Resposta
         res.json({
             profile: user,
@@ -412,7 +424,8 @@ exports.getUserDetails = async (req, res) => {
             },
             security: {
                 active_sessions: sessions.rows
-            }
+            },
+            performance: performance
         });
 
     } catch (e) {
@@ -516,6 +529,19 @@ exports.updateUser = async (req, res) => {
         const query = `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
         const result = await client.query(query, values);
 
+        // Veículo e verificação do motorista refletidos na tabela usada pelo despacho
+        if (result.rows[0]?.role === 'driver') {
+            if (vehicle_details) {
+                await syncVehicleDetails(client, id, vehicle_details);
+            }
+            if (is_verified !== undefined) {
+                await client.query(
+                    "UPDATE vehicle_details SET documents_verified = $1, updated_at = NOW() WHERE driver_id = $2",
+                    [!!is_verified, id]
+                );
+            }
+        }
+
         // Auditoria da Ação
         await client.query(
             "INSERT INTO wallet_security_logs (user_id, event_type, ip_address, device_info, details) VALUES ($1, 'ADMIN_UPDATE', $2, $3, $4)",
@@ -668,6 +694,14 @@ exports.verifyDocument = async (req, res) => {
                     "UPDATE users SET is_verified = true, kyc_level = 2, updated_at = NOW() WHERE id = $1",
                     [userId]
                 );
+
+                // Motorista com documentos aprovados passa a ser elegível para o despacho
+                if (role === 'driver') {
+                    await client.query(
+                        "UPDATE vehicle_details SET documents_verified = true, updated_at = NOW() WHERE driver_id = $1",
+                        [userId]
+                    );
+                }
                 logSystem('KYC_AUTO', `Usuário ${userId} promovido para Verificado (KYC Level 2).`);
             }
         } else {
@@ -676,6 +710,10 @@ exports.verifyDocument = async (req, res) => {
                 "UPDATE users SET is_verified = false, kyc_level = 1 WHERE id = $1",
                 [doc.user_id]
             );
+            await client.query(
+                "UPDATE vehicle_details SET documents_verified = false, updated_at = NOW() WHERE driver_id = $1",
+                [doc.user_id]
+            );
         }
 
         await client.query('COMMIT');
@@ -851,6 +889,25 @@ exports.generateReport = async (req, res) => {
                 `;
                 break;
 
+            case 'rides_by_zone':
+                query = `
+                    SELECT
+                        COALESCE(z.name, 'Sem zona') as zone,
+                        z.id as zone_id,
+                        COUNT(*) as total_rides,
+                        SUM(CASE WHEN r.status = 'completed' THEN 1 ELSE 0 END) as completed_rides,
+                        SUM(CASE WHEN r.status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_rides,
+                        AVG(CASE WHEN r.status = 'completed' THEN r.final_price END) as avg_ticket,
+                        SUM(CASE WHEN r.status = 'completed' THEN r.final_price ELSE 0 END) as total_revenue,
+                        AVG(CASE WHEN r.status = 'completed' THEN r.distance_km END) as avg_distance
+                    FROM rides r
+                    LEFT JOIN service_zones z ON r.zone_id = z.id
+                    WHERE r.created_at BETWEEN $1 AND $2
+                    GROUP BY z.id, z.name
+                    ORDER BY total_rides DESC
+                `;
+                break;
+
             case 'user_growth':
                 query = `
                     SELECT
@@ -865,7 +922,7 @@ exports.generateReport = async (req, res) => {
                 break;
 
             default:
-                return res.status(400).json({ error: "Tipo de relatório inválido. Tipos: financial_daily, rides_performance, user_growth" });
+                return res.status(400).json({ error: "Tipo de relatório inválido. Tipos: financial_daily, rides_performance, rides_by_zone, user_growth" });
         }
 
         // Executar Query Selecionada
@@ -941,6 +998,7 @@ exports.updateSetting = async (req, res) => {
         );
 
         logSystem('CONFIG_CHANGE', `Admin ${req.user.id} alterou a configuração '${key}'.`);
+        if (key === 'zones_enforced') zoneService.invalidateCache();
 
         res.json({
             success: true,
@@ -954,6 +1012,374 @@ exports.updateSetting = async (req, res) => {
     }
 };
 
+// =================================================================================================
+// 7. AUDITORIA DE CORRIDAS (DISPUTAS)
+// =================================================================================================
+
+/**
+ * GET RIDE ROUTE REPLAY
+ * Rota: GET /api/admin/rides/:id/route
+ * Descrição: Rota GPS gravada de uma corrida (breadcrumbs em ordem) para análise de disputas.
+ *            Inclui a distância recalculada a partir dos pontos e a distância cobrada.
+ */
+exports.getRideRouteReplay = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const rideRes = await pool.query(`
+            SELECT id, passenger_id, driver_id, status, ride_type,
+                   origin_lat, origin_lng, dest_lat, dest_lng, origin_name, dest_name,
+                   initial_price, final_price, distance_km, payment_method,
+                   started_at, completed_at, cancelled_at
+            FROM rides WHERE id = $1
+        `, [id]);
+
+        if (rideRes.rows.length === 0) {
+            return res.status(404).json({ error: "Corrida não encontrada." });
+        }
+
+        const points = await tripTrackingService.getRoute(id);
+        const measured = tripTrackingService.measureRoute(points);
+
+        res.json({
+            ride: rideRes.rows[0],
+            route: {
+                points: points,
+                total_points: measured.points,
+                measured_distance_km: measured.distance_km,
+                charged_distance_km: parseFloat(rideRes.rows[0].distance_km) || 0
+            }
+        });
+    } catch (e) {
+        logError('ADMIN_RIDE_REPLAY', e);
+        res.status(500).json({ error: "Erro ao carregar rota da corrida." });
+    }
+};
+
+/**
+ * GET RIDE EVENTS
+ * Rota: GET /api/admin/rides/:id/events
+ * Descrição: Histórico de transições de status (quem mudou, de/para e quando).
+ */
+exports.getRideEvents = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await pool.query(`
+            SELECT e.id, e.from_status, e.to_status, e.actor_id, e.actor_role, e.metadata, e.created_at,
+                   u.name as actor_name
+            FROM ride_events e
+            LEFT JOIN users u ON e.actor_id = u.id
+            WHERE e.ride_id = $1
+            ORDER BY e.created_at ASC, e.id ASC
+        `, [id]);
+
+        res.json(result.rows);
+    } catch (e) {
+        logError('ADMIN_RIDE_EVENTS', e);
+        res.status(500).json({ error: "Erro ao carregar histórico da corrida." });
+    }
+};
+
+/**
+ * RESET RIDE PIN
+ * Rota: POST /api/admin/rides/:id/reset-pin
+ * Descrição: Gera um novo PIN de embarque e desbloqueia as tentativas (após contacto do suporte).
+ */
+exports.resetRidePin = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const newPin = generateRidePin();
+        const result = await pool.query(`
+            UPDATE rides SET start_pin = $1, pin_attempts = 0, updated_at = NOW()
+            WHERE id = $2 AND status IN ('accepted', 'arrived')
+            RETURNING id, passenger_id
+        `, [newPin, id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: "Corrida não encontrada ou já iniciada." });
+        }
+
+        if (req.io) {
+            req.io.to(`user_${result.rows[0].passenger_id}`).emit('ride_pin', {
+                ride_id: result.rows[0].id,
+                pin: newPin,
+                message: 'O suporte gerou um novo PIN de embarque.'
+            });
+        }
+
+        logSystem('ADMIN_SEC', `Admin ${req.user.id} gerou novo PIN de embarque para a corrida ${id}.`);
+        res.json({ success: true, message: "Novo PIN enviado ao passageiro." });
+    } catch (e) {
+        logError('ADMIN_RIDE_PIN_RESET', e);
+        res.status(500).json({ error: "Erro ao gerar novo PIN." });
+    }
+};
+
+// =================================================================================================
+// 8. TARIFA DINÂMICA (SURGE)
+// =================================================================================================
+
+/**
+ * GET SURGE MAP
+ * Rota: GET /api/admin/surge
+ * Descrição: Procura, oferta e multiplicador atual de cada zona com corridas em busca.
+ *            Interruptor e tetos por zona são editados em PUT /api/admin/settings/surge_settings.
+ */
+exports.getSurgeMap = async (req, res) => {
+    try {
+        const surgeMap = await surgeService.getSurgeMap();
+        res.json(surgeMap);
+    } catch (e) {
+        logError('ADMIN_SURGE_MAP', e);
+        res.status(500).json({ error: "Erro ao carregar tarifa dinâmica." });
+    }
+};
+
+// =================================================================================================
+// 9. ZONAS DE SERVIÇO (GEOFENCING)
+// =================================================================================================
+
+/**
+ * LIST ZONES
+ * Rota: GET /api/admin/zones
+ * Descrição: Zonas de serviço com motoristas online e corridas do dia em cada uma.
+ */
+exports.getZones = async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT z.*,
+                (SELECT COUNT(*) FROM driver_positions dp
+                 WHERE dp.zone_id = z.id AND dp.status = 'online') as online_drivers,
+                (SELECT COUNT(*) FROM rides r
+                 WHERE r.zone_id = z.id AND r.created_at >= CURRENT_DATE) as rides_today
+            FROM service_zones z
+            ORDER BY z.priority DESC, z.name ASC
+        `);
+        res.json(result.rows);
+    } catch (e) {
+        logError('ADMIN_ZONES_LIST', e);
+        res.status(500).json({ error: "Erro ao buscar zonas de serviço." });
+    }
+};
+
+/**
+ * CREATE ZONE
+ * Rota: POST /api/admin/zones
+ * Body: { name, slug, polygon: [{lat, lng}, ...], ride_prices?, priority?, is_active? }
+ */
+exports.createZone = async (req, res) => {
+    const { name, slug, polygon, ride_prices, priority, is_active } = req.body;
+
+    if (!name || !slug) {
+        return res.status(400).json({ error: "Nome e identificador (slug) são obrigatórios." });
+    }
+
+    const parsed = zoneService.parsePolygon(polygon);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, code: "INVALID_POLYGON" });
+    }
+
+    try {
+        const result = await pool.query(`
+            INSERT INTO service_zones (name, slug, polygon, ride_prices, priority, is_active)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [
+            name,
+            slug.toLowerCase(),
+            JSON.stringify(parsed.polygon),
+            ride_prices ? JSON.stringify(ride_prices) : null,
+            parseInt(priority) || 0,
+            is_active !== false
+        ]);
+
+        zoneService.invalidateCache();
+        logSystem('ADMIN_ZONE', `Zona ${slug} criada por Admin ${req.user.id}`);
+
+        res.status(201).json({ success: true, zone: result.rows[0] });
+    } catch (e) {
+        if (e.code === '23505') {
+            return res.status(409).json({ error: "Já existe uma zona com este identificador." });
+        }
+        logError('ADMIN_ZONE_CREATE', e);
+        res.status(500).json({ error: "Erro ao criar zona de serviço." });
+    }
+};
+
+/**
+ * UPDATE ZONE
+ * Rota: PUT /api/admin/zones/:id
+ * Descrição: Atualização parcial (polígono, tarifa, prioridade, ativação).
+ *            `ride_prices: null` volta a usar a tabela global.
+ */
+exports.updateZone = async (req, res) => {
+    const { id } = req.params;
+    const { name, polygon, ride_prices, priority, is_active } = req.body;
+
+    let polygonJson = null;
+    if (polygon !== undefined) {
+        const parsed = zoneService.parsePolygon(polygon);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error, code: "INVALID_POLYGON" });
+        }
+        polygonJson = JSON.stringify(parsed.polygon);
+    }
+
+    try {
+        const result = await pool.query(`
+            UPDATE service_zones SET
+                name = COALESCE($1, name),
+                polygon = COALESCE($2, polygon),
+                ride_prices = CASE WHEN $3 THEN $4::JSONB ELSE ride_prices END,
+                priority = COALESCE($5, priority),
+                is_active = COALESCE($6, is_active),
+                updated_at = NOW()
+            WHERE id = $7
+            RETURNING *
+        `, [
+            name || null,
+            polygonJson,
+            ride_prices !== undefined,
+            ride_prices ? JSON.stringify(ride_prices) : null,
+            priority !== undefined ? parseInt(priority) : null,
+            typeof is_active === 'boolean' ? is_active : null,
+            id
+        ]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: "Zona não encontrada." });
+        }
+
+        zoneService.invalidateCache();
+        logSystem('ADMIN_ZONE', `Zona ${id} alterada por Admin ${req.user.id}`);
+
+        res.json({ success: true, zone: result.rows[0] });
+    } catch (e) {
+        logError('ADMIN_ZONE_UPDATE', e);
+        res.status(500).json({ error: "Erro ao atualizar zona de serviço." });
+    }
+};
+
+/**
+ * DEACTIVATE ZONE
+ * Rota: DELETE /api/admin/zones/:id
+ * Descrição: Desativa a zona (as corridas antigas mantêm a referência para os relatórios).
+ */
+exports.deleteZone = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await pool.query(
+            "UPDATE service_zones SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING id",
+            [id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: "Zona não encontrada." });
+        }
+
+        zoneService.invalidateCache();
+        logSystem('ADMIN_ZONE', `Zona ${id} desativada por Admin ${req.user.id}`);
+
+        res.json({ success: true, message: "Zona desativada." });
+    } catch (e) {
+        logError('ADMIN_ZONE_DELETE', e);
+        res.status(500).json({ error: "Erro ao desativar zona de serviço." });
+    }
+};
+
+// =================================================================================================
+// 10. INCIDENTES SOS
+// =================================================================================================
+
+/**
+ * LIST SOS INCIDENTS
+ * Rota: GET /api/admin/sos?status=open
+ * Descrição: Incidentes mais recentes primeiro; os abertos também chegam em tempo real (`sos_incident`).
+ */
+exports.getSosIncidents = async (req, res) => {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    try {
+        const params = [limit];
+        let where = '';
+        if (status) {
+            params.push(status);
+            where = 'WHERE s.status = $2';
+        }
+
+        const result = await pool.query(`
+            SELECT s.*, u.name as reporter_name, u.phone as reporter_phone, r.status as ride_status
+            FROM sos_incidents s
+            JOIN users u ON s.reporter_id = u.id
+            JOIN rides r ON s.ride_id = r.id
+            ${where}
+            ORDER BY s.created_at DESC
+            LIMIT $1
+        `, params);
+
+        res.json(result.rows);
+    } catch (e) {
+        logError('ADMIN_SOS_LIST', e);
+        res.status(500).json({ error: "Erro ao buscar incidentes SOS." });
+    }
+};
+
+/**
+ * UPDATE SOS INCIDENT
+ * Rota: PUT /api/admin/sos/:id
+ * Body: { status: 'acknowledged' | 'resolved', resolution_notes? }
+ */
+exports.updateSosIncident = async (req, res) => {
+    const { id } = req.params;
+    const { status, resolution_notes } = req.body;
+    const adminId = req.user.id;
+
+    if (!['acknowledged', 'resolved'].includes(status)) {
+        return res.status(400).json({ error: "Status inválido. Use 'acknowledged' ou 'resolved'." });
+    }
+
+    try {
+        const result = await pool.query(`
+            UPDATE sos_incidents SET
+                status = $1,
+                acknowledged_by = COALESCE(acknowledged_by, $2),
+                acknowledged_at = COALESCE(acknowledged_at, NOW()),
+                resolved_by = CASE WHEN $1 = 'resolved' THEN $2 ELSE resolved_by END,
+                resolved_at = CASE WHEN $1 = 'resolved' THEN NOW() ELSE resolved_at END,
+                resolution_notes = COALESCE($3, resolution_notes),
+                updated_at = NOW()
+            WHERE id = $4 AND status != 'resolved'
+            RETURNING *
+        `, [status, adminId, resolution_notes || null, id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: "Incidente não encontrado ou já resolvido." });
+        }
+
+        const incident = result.rows[0];
+
+        // Mantém os outros painéis sincronizados e informa quem acionou
+        if (req.io) {
+            req.io.to('admins').emit('sos_incident_updated', incident);
+            req.io.to(`user_${incident.reporter_id}`).emit('sos_status', {
+                incident_id: incident.id,
+                status: incident.status
+            });
+        }
+
+        logSystem('ADMIN_SOS', `Incidente ${id} marcado como ${status} por Admin ${adminId}`);
+
+        res.json({ success: true, incident: incident });
+    } catch (e) {
+        logError('ADMIN_SOS_UPDATE', e);
+        res.status(500).json({ error: "Erro ao atualizar incidente SOS." });
+    }
+};
+
 /**
  * =================================================================================================
  * FIM DO ARQUIVO - ADMIN CONTROLLER
@@ -17,6 +17,7 @@
 const pool = require('../config/db');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const { syncVehicleDetails } = require('../utils/helpers');
 
 const colors = {
     reset: '\x1b[0m',
@@ -254,7 +255,7 @@ exports.login = async (req, res) => {
 
 exports.signup = async (req, res) => {
     try {
-        const { name, email, phone, password, role } = req.body;
+        const { name, email, phone, password, role, vehicle_details } = req.body;
         
         log('info', `Tentativa de cadastro: ${email} (${role})`);
 
@@ -341,6 +342,16 @@ exports.signup = async (req, res) => {
                 [accountNumber, newUser.id]
             );
 
+            // Motoristas: veículo registado para o despacho (documentos por verificar pelo admin)
+            if (role === 'driver') {
+                const vehicle = vehicle_details && typeof vehicle_details === 'object' ? vehicle_details : {};
+                await client.query(
+                    'UPDATE users SET vehicle_details = $1 WHERE id = $2',
+                    [JSON.stringify(vehicle), newUser.id]
+                );
+                await syncVehicleDetails(client, newUser.id, vehicle);
+            }
+
             const sessionToken = crypto.randomBytes(64).toString('hex');
             const expiresAt = new Date();
             expiresAt.setDate(expiresAt.getDate() + 365);
@@ -0,0 +1,349 @@
+/**
+ * =================================================================================================
+ * 🏷️ AOTRAVEL SERVER PRO - RIDE BIDDING CONTROLLER (TITANIUM EDITION)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/controllers/bidController.js
+ * DESCRIÇÃO: Leilão de tarifa proposto pelo passageiro (modo `bidding`).
+ *            1. O passageiro pede a corrida com `offered_price`.
+ *            2. Enquanto a corrida está `searching`, vários motoristas enviam lances (contra-propostas).
+ *            3. O passageiro escolhe um lance: o motorista é atribuído ao preço do lance.
+ *
+ * EVENTOS SOCKET:
+ * - ride_bid_new        -> passageiro (novo lance ou lance atualizado)
+ * - ride_bid_withdrawn  -> passageiro (motorista retirou o lance)
+ * - ride_bid_accepted   -> motorista vencedor
+ * - ride_bid_rejected   -> restantes motoristas com lances pendentes
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const { logSystem, logError, getFullRideDetails, getDistance, generateRidePin } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+const pricingService = require('../services/pricingService');
+const dispatchService = require('../services/dispatchService');
+const rideStateMachine = require('../services/rideStateMachine');
+const driverMetricsService = require('../services/driverMetricsService');
+
+const BID_TTL_SECONDS = SYSTEM_CONFIG.RIDES?.BID_TTL_SECONDS || 90;
+
+/**
+ * Marca como expirados os lances pendentes vencidos de uma corrida.
+ */
+async function _expireBids(db, rideId) {
+    await db.query(
+        "UPDATE ride_bids SET status = 'expired', updated_at = NOW() WHERE ride_id = $1 AND status = 'pending' AND expires_at <= NOW()",
+        [rideId]
+    );
+}
+
+/**
+ * ENVIAR LANCE (Motorista)
+ * Rota: POST /api/rides/:ride_id/bids
+ * Um novo lance do mesmo motorista substitui o anterior e renova a validade.
+ */
+const placeBid = async (req, res) => {
+    const { ride_id } = req.params;
+    const driverId = req.user.id;
+    const amount = parseFloat(req.body.amount);
+
+    if (!amount || amount <= 0) {
+        return res.status(400).json({ success: false, error: "Valor do lance inválido.", code: "INVALID_BID" });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const rideRes = await client.query("SELECT * FROM rides WHERE id = $1 FOR UPDATE", [ride_id]);
+        if (rideRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, error: "Corrida não encontrada." });
+        }
+
+        const ride = rideRes.rows[0];
+        if (ride.pricing_mode !== 'bidding') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ success: false, error: "Esta corrida não aceita lances.", code: "NOT_BIDDING" });
+        }
+        if (ride.status !== 'searching') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: "A corrida já não está disponível.", code: "RIDE_TAKEN" });
+        }
+        if (ride.passenger_id === driverId) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ success: false, error: "Você não pode dar lance na sua própria corrida." });
+        }
+
+        // Só motoristas verificados com veículo compatível podem dar lance
+        const eligibleTypes = await dispatchService.getEligibleVehicleTypes(ride.ride_type);
+
+        const driverRes = await client.query(`
+            SELECT u.name, u.rating, vd.type, vd.model, vd.color, vd.plate, dp.lat, dp.lng
+            FROM users u
+            JOIN vehicle_details vd ON vd.driver_id = u.id
+            LEFT JOIN driver_positions dp ON dp.driver_id = u.id
+            WHERE u.id = $1 AND u.role = 'driver' AND u.is_blocked = false
+              AND vd.documents_verified = true AND vd.type = ANY($2)
+        `, [driverId, eligibleTypes]);
+
+        if (driverRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ success: false, error: "Veículo não elegível para esta corrida.", code: "DRIVER_NOT_ELIGIBLE" });
+        }
+
+        const offer = parseFloat(ride.passenger_offer || ride.initial_price);
+        const maxBid = offer * (SYSTEM_CONFIG.RIDES.BID_MAX_MULTIPLIER || 2);
+        if (amount < offer || amount > maxBid) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                error: `O lance deve estar entre ${offer} e ${maxBid} Kz.`,
+                code: "BID_OUT_OF_RANGE"
+            });
+        }
+
+        const driver = driverRes.rows[0];
+        const pickupKm = driver.lat && driver.lng
+            ? getDistance(ride.origin_lat, ride.origin_lng, driver.lat, driver.lng)
+            : null;
+        const etaMinutes = pricingService.estimatePickupEta(pickupKm);
+
+        await client.query(
+            "UPDATE ride_bids SET status = 'withdrawn', updated_at = NOW() WHERE ride_id = $1 AND driver_id = $2 AND status = 'pending'",
+            [ride_id, driverId]
+        );
+
+        const bidRes = await client.query(`
+            INSERT INTO ride_bids (ride_id, driver_id, amount, eta_minutes, status, expires_at)
+            VALUES ($1, $2, $3, $4, 'pending', NOW() + ($5 || ' seconds')::INTERVAL)
+            RETURNING *
+        `, [ride_id, driverId, amount, etaMinutes, BID_TTL_SECONDS]);
+
+        await client.query('COMMIT');
+
+        const bid = {
+            ...bidRes.rows[0],
+            driver_name: driver.name,
+            driver_rating: parseFloat(driver.rating) || 5.0,
+            vehicle: { type: driver.type, model: driver.model, color: driver.color, plate: driver.plate },
+            distance_to_pickup: pickupKm
+        };
+
+        if (req.io) {
+            req.io.to(`user_${ride.passenger_id}`).emit('ride_bid_new', { ride_id: ride.id, bid: bid });
+        }
+
+        driverMetricsService.resolveOffer(ride.id, driverId, 'bid')
+            .catch(e => logError('DRIVER_OFFER_RESOLVE', e));
+
+        logSystem('RIDE_BID', `Motorista ${driverId} deu lance de ${amount} Kz na corrida ${ride_id}`);
+
+        res.status(201).json({ success: true, message: "Lance enviado ao passageiro.", bid: bid });
+
+    } catch (e) {
+        await client.query('ROLLBACK');
+        logError('RIDE_BID_PLACE', e);
+        res.status(500).json({ success: false, error: "Erro ao enviar lance." });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * RETIRAR LANCE (Motorista)
+ * Rota: DELETE /api/rides/:ride_id/bids/:bid_id
+ */
+const withdrawBid = async (req, res) => {
+    const { ride_id, bid_id } = req.params;
+    const driverId = req.user.id;
+
+    try {
+        const result = await pool.query(`
+            UPDATE ride_bids SET status = 'withdrawn', updated_at = NOW()
+            WHERE id = $1 AND ride_id = $2 AND driver_id = $3 AND status = 'pending'
+            RETURNING id
+        `, [bid_id, ride_id, driverId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: "Lance pendente não encontrado.", code: "BID_NOT_FOUND" });
+        }
+
+        const rideRes = await pool.query("SELECT passenger_id FROM rides WHERE id = $1", [ride_id]);
+        if (req.io && rideRes.rows[0]) {
+            req.io.to(`user_${rideRes.rows[0].passenger_id}`).emit('ride_bid_withdrawn', {
+                ride_id: ride_id,
+                bid_id: result.rows[0].id,
+                driver_id: driverId
+            });
+        }
+
+        res.json({ success: true, message: "Lance retirado." });
+    } catch (e) {
+        logError('RIDE_BID_WITHDRAW', e);
+        res.status(500).json({ success: false, error: "Erro ao retirar lance." });
+    }
+};
+
+/**
+ * LISTAR LANCES PENDENTES (Passageiro)
+ * Rota: GET /api/rides/:ride_id/bids
+ */
+const listBids = async (req, res) => {
+    const { ride_id } = req.params;
+
+    try {
+        const rideRes = await pool.query("SELECT passenger_id, origin_lat, origin_lng FROM rides WHERE id = $1", [ride_id]);
+        if (rideRes.rows.length === 0) {
+            return res.status(404).json({ success: false, error: "Corrida não encontrada." });
+        }
+        if (rideRes.rows[0].passenger_id !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, error: "Acesso negado." });
+        }
+
+        await _expireBids(pool, ride_id);
+
+        const result = await pool.query(`
+            SELECT b.*, u.name as driver_name, u.photo as driver_photo, u.rating as driver_rating,
+                   vd.type as vehicle_type, vd.model as vehicle_model, vd.color as vehicle_color, vd.plate as vehicle_plate
+            FROM ride_bids b
+            JOIN users u ON b.driver_id = u.id
+            LEFT JOIN vehicle_details vd ON vd.driver_id = b.driver_id
+            WHERE b.ride_id = $1 AND b.status = 'pending'
+            ORDER BY b.amount ASC, b.created_at ASC
+        `, [ride_id]);
+
+        res.json({ success: true, bids: result.rows });
+    } catch (e) {
+        logError('RIDE_BID_LIST', e);
+        res.status(500).json({ success: false, error: "Erro ao buscar lances." });
+    }
+};
+
+/**
+ * ACEITAR LANCE (Passageiro)
+ * Rota: POST /api/rides/:ride_id/bids/:bid_id/accept
+ * Atribui o motorista do lance à corrida, ao preço do lance.
+ */
+const acceptBid = async (req, res) => {
+    const { ride_id, bid_id } = req.params;
+    const passengerId = req.user.id;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const rideRes = await client.query("SELECT * FROM rides WHERE id = $1 FOR UPDATE", [ride_id]);
+        if (rideRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, error: "Corrida não encontrada." });
+        }
+
+        const ride = rideRes.rows[0];
+        if (ride.passenger_id !== passengerId) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ success: false, error: "Apenas o passageiro pode escolher um lance." });
+        }
+        if (!rideStateMachine.canTransition(ride.status, 'accepted')) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: "A corrida já não está em busca.", code: "RIDE_TAKEN" });
+        }
+
+        await _expireBids(client, ride_id);
+
+        const bidRes = await client.query(
+            "SELECT * FROM ride_bids WHERE id = $1 AND ride_id = $2 FOR UPDATE",
+            [bid_id, ride_id]
+        );
+        const bid = bidRes.rows[0];
+
+        if (!bid || bid.status !== 'pending') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: "Este lance expirou ou foi retirado.", code: "BID_UNAVAILABLE" });
+        }
+
+        const busyRes = await client.query(
+            "SELECT 1 FROM rides WHERE driver_id = $1 AND status IN ('accepted', 'arrived', 'ongoing') LIMIT 1",
+            [bid.driver_id]
+        );
+        if (busyRes.rows.length > 0) {
+            await client.query(
+                "UPDATE ride_bids SET status = 'expired', updated_at = NOW() WHERE id = $1",
+                [bid.id]
+            );
+            await client.query('COMMIT');
+            return res.status(409).json({ success: false, error: "O motorista já está noutra corrida.", code: "DRIVER_BUSY" });
+        }
+
+        await client.query("UPDATE ride_bids SET status = 'accepted', updated_at = NOW() WHERE id = $1", [bid.id]);
+
+        const losers = await client.query(`
+            UPDATE ride_bids SET status = 'rejected', updated_at = NOW()
+            WHERE ride_id = $1 AND status = 'pending'
+            RETURNING id, driver_id
+        `, [ride_id]);
+
+        const startPin = generateRidePin();
+        const accepted = await rideStateMachine.transition(client, ride, 'accepted', { id: passengerId, role: 'passenger' }, {
+            fields: {
+                driver_id: bid.driver_id,
+                final_price: bid.amount,
+                start_pin: startPin,
+                pin_attempts: 0,
+                pin_verified_at: null
+            },
+            metadata: { bid_id: bid.id, driver_id: bid.driver_id, amount: parseFloat(bid.amount) }
+        });
+        if (accepted.error) {
+            await client.query('ROLLBACK');
+            return res.status(accepted.status).json({ success: false, error: accepted.error, code: accepted.code });
+        }
+
+        await client.query('COMMIT');
+        rideStateMachine.afterCommit(req.io, accepted);
+
+        const fullRide = await getFullRideDetails(ride_id);
+
+        if (req.io) {
+            req.io.to(`user_${bid.driver_id}`).emit('ride_bid_accepted', { ride_id: ride.id, bid_id: bid.id, ride: fullRide });
+            req.io.to(`user_${bid.driver_id}`).emit('ride_accepted', fullRide);
+            req.io.to(`user_${passengerId}`).emit('ride_accepted', fullRide);
+            req.io.to(`user_${passengerId}`).emit('ride_pin', {
+                ride_id: ride.id,
+                pin: startPin,
+                message: 'Diga este PIN ao motorista para iniciar a viagem.'
+            });
+            req.io.to(`ride_${ride_id}`).emit('ride_accepted', fullRide);
+
+            for (const loser of losers.rows) {
+                req.io.to(`user_${loser.driver_id}`).emit('ride_bid_rejected', {
+                    ride_id: ride.id,
+                    bid_id: loser.id,
+                    message: 'O passageiro escolheu outro motorista.'
+                });
+            }
+        }
+
+        logSystem('RIDE_BID', `Passageiro ${passengerId} aceitou o lance ${bid.id} (${bid.amount} Kz) na corrida ${ride_id}`);
+
+        res.json({ success: true, message: "Lance aceite. Motorista a caminho.", ride: fullRide });
+
+    } catch (e) {
+        await client.query('ROLLBACK');
+        logError('RIDE_BID_ACCEPT', e);
+        res.status(500).json({ success: false, error: "Erro ao aceitar lance." });
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = {
+    placeBid,
+    withdrawBid,
+    listBids,
+    acceptBid
+};
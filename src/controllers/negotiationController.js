@@ -18,6 +18,7 @@
 
 const pool = require('../config/db');
 const { logSystem, logError, generateRef } = require('../utils/helpers');
+const negotiationService = require('../services/negotiationService');
 
 /**
  * PROPOR NOVO PREÇO (Motorista)
@@ -75,11 +76,42 @@ const proposePrice = async (req, res) => {
             });
         }
 
+        // Propostas vencidas são rejeitadas antes de avaliar a nova
+        const currentHistory = ride.negotiation_history || [];
+        const expired = negotiationService.expireStaleProposals(currentHistory);
+
+        // Uma proposta de cada vez
+        if (currentHistory.some(p => p.status === 'pending')) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                error: "Já existe uma proposta aguardando resposta do passageiro.",
+                code: "PROPOSAL_PENDING"
+            });
+        }
+
+        // Limite de rondas e desvio máximo face ao preço inicial
+        const violation = negotiationService.validateProposal(ride, parseFloat(proposed_price));
+        if (violation) {
+            if (expired.length > 0) {
+                await client.query(
+                    "UPDATE rides SET negotiation_history = $1 WHERE id = $2",
+                    [JSON.stringify(currentHistory), ride_id]
+                );
+                await client.query('COMMIT');
+                expired.forEach(p => negotiationService.notifyExpired(req.io, ride, p));
+            } else {
+                await client.query('ROLLBACK');
+            }
+            return res.status(400).json({ success: false, ...violation });
+        }
+
         // Criar entrada de negociação
         const negotiationEntry = {
             id: generateRef('NEG'),
             proposed_by: 'driver',
             proposed_at: new Date().toISOString(),
+            expires_at: negotiationService.proposalExpiresAt(),
             original_price: parseFloat(ride.initial_price),
             proposed_price: parseFloat(proposed_price),
             reason: reason || 'Ajuste de tarifa',
@@ -87,7 +119,6 @@ const proposePrice = async (req, res) => {
         };
 
         // Atualizar histórico
-        const currentHistory = ride.negotiation_history || [];
         currentHistory.push(negotiationEntry);
 
         await client.query(
@@ -97,6 +128,8 @@ const proposePrice = async (req, res) => {
 
         await client.query('COMMIT');
 
+        expired.forEach(p => negotiationService.notifyExpired(req.io, ride, p));
+
         // Notificar passageiro via socket
         if (req.io) {
             req.io.to(`user_${ride.passenger_id}`).emit('price_proposal', {
@@ -165,11 +198,26 @@ const respondToProposal = async (req, res) => {
             });
         }
 
-        // Buscar propostas pendentes
+        // Buscar propostas pendentes (as vencidas já não podem ser aceites)
         const history = ride.negotiation_history || [];
+        const expired = negotiationService.expireStaleProposals(history);
         const pendingProposals = history.filter(p => p.status === 'pending');
 
         if (pendingProposals.length === 0) {
+            if (expired.length > 0) {
+                await client.query(
+                    "UPDATE rides SET negotiation_history = $1 WHERE id = $2",
+                    [JSON.stringify(history), ride_id]
+                );
+                await client.query('COMMIT');
+                expired.forEach(p => negotiationService.notifyExpired(req.io, ride, p));
+                return res.status(410).json({
+                    success: false,
+                    error: "A proposta expirou.",
+                    code: "PROPOSAL_EXPIRED"
+                });
+            }
+
             await client.query('ROLLBACK');
             return res.status(404).json({ 
                 success: false,
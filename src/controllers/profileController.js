@@ -16,6 +16,7 @@
  * - Filesystem: Gestão de uploads via Multer (middleware externo) e FS.
  * - Security: Bcrypt para troca de senha.
  * - Utils: Helpers globais.
+ * - SOS: Contactos de confiança avisados pelo sosService.
  *
  * STATUS: PRODUCTION READY - FULL VERSION
  * =================================================================================================
@@ -25,7 +26,7 @@ const pool = require('../config/db');
 const bcrypt = require('bcrypt');
 const fs = require('fs');
 const path = require('path');
-const { logSystem, logError, getUserFullDetails } = require('../utils/helpers');
+const { logSystem, logError, getUserFullDetails, syncVehicleDetails } = require('../utils/helpers');
 const SYSTEM_CONFIG = require('../config/appConfig');
 
 // =================================================================================================
@@ -227,6 +228,11 @@ exports.updateProfile = async (req, res) => {
                 return res.status(400).json({ error: "Modelo e Matrícula são obrigatórios para o veículo." });
             }
 
+            if (vehicle_details.type && !['car', 'moto', 'delivery', 'truck'].includes(vehicle_details.type)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: "Tipo de veículo inválido." });
+            }
+
             // Merge com dados existentes para não perder info (ex: cor, ano)
             const currentRes = await client.query("SELECT vehicle_details FROM users WHERE id = $1", [userId]);
             const currentDetails = currentRes.rows[0].vehicle_details || {};
@@ -237,6 +243,9 @@ exports.updateProfile = async (req, res) => {
             updates.push(`vehicle_details = $${paramCount}`);
             values.push(JSON.stringify(newDetails));
             paramCount++;
+
+            // Mantém a tabela usada pelo despacho (tipo de veículo / documentos) em sincronia
+            await syncVehicleDetails(client, userId, newDetails);
         }
 
         if (updates.length === 0) {
@@ -657,6 +666,153 @@ exports.changePassword = async (req, res) => {
     }
 };
 
+// =================================================================================================
+// 4. CONTACTOS DE CONFIANÇA (SOS)
+// =================================================================================================
+
+/**
+ * Valida e normaliza os dados de um contacto de confiança.
+ * @returns {{ contact?: object, error?: string }}
+ */
+const parseTrustedContact = (body, current = {}) => {
+    const name = body.name !== undefined ? String(body.name).trim().substring(0, 100) : current.name;
+    const phone = body.phone !== undefined ? (body.phone ? String(body.phone).replace(/\D/g, '') : null) : current.phone;
+    const email = body.email !== undefined ? (body.email ? String(body.email).trim().toLowerCase() : null) : current.email;
+    const relationship = body.relationship !== undefined
+        ? (body.relationship ? String(body.relationship).trim().substring(0, 50) : null)
+        : current.relationship;
+
+    if (!name) return { error: "O nome do contacto é obrigatório." };
+    if (!phone && !email) return { error: "Indique o telefone ou o email do contacto." };
+    if (phone && !isValidPhone(phone)) return { error: "Formato de telefone inválido." };
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: "Formato de email inválido." };
+
+    return { contact: { name, phone, email, relationship } };
+};
+
+/**
+ * LIST TRUSTED CONTACTS
+ * Rota: GET /api/profile/trusted-contacts
+ */
+exports.getTrustedContacts = async (req, res) => {
+    try {
+        const result = await pool.query(
+            "SELECT id, name, phone, email, relationship, created_at FROM trusted_contacts WHERE user_id = $1 ORDER BY id ASC",
+            [req.user.id]
+        );
+        res.json(result.rows);
+    } catch (e) {
+        logError('TRUSTED_CONTACTS_LIST', e);
+        res.status(500).json({ error: "Erro ao buscar contactos de confiança." });
+    }
+};
+
+/**
+ * ADD TRUSTED CONTACT
+ * Rota: POST /api/profile/trusted-contacts
+ * Body: { name, phone?, email?, relationship? }
+ */
+exports.addTrustedContact = async (req, res) => {
+    const userId = req.user.id;
+    const { contact, error } = parseTrustedContact(req.body);
+
+    if (error) {
+        return res.status(400).json({ error: error, code: "INVALID_CONTACT" });
+    }
+
+    const maxContacts = SYSTEM_CONFIG.RIDES.SOS_MAX_TRUSTED_CONTACTS;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        // Trava o utilizador para o limite não ser ultrapassado com pedidos em paralelo
+        await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [userId]);
+
+        const countRes = await client.query("SELECT COUNT(*) FROM trusted_contacts WHERE user_id = $1", [userId]);
+        if (parseInt(countRes.rows[0].count) >= maxContacts) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: `Limite de ${maxContacts} contactos de confiança atingido.`,
+                code: "TRUSTED_CONTACTS_LIMIT"
+            });
+        }
+
+        const result = await client.query(`
+            INSERT INTO trusted_contacts (user_id, name, phone, email, relationship)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id, name, phone, email, relationship, created_at
+        `, [userId, contact.name, contact.phone, contact.email, contact.relationship]);
+
+        await client.query('COMMIT');
+
+        res.status(201).json({ success: true, contact: result.rows[0] });
+
+    } catch (e) {
+        await client.query('ROLLBACK');
+        logError('TRUSTED_CONTACT_ADD', e);
+        res.status(500).json({ error: "Erro ao adicionar contacto de confiança." });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * UPDATE TRUSTED CONTACT
+ * Rota: PUT /api/profile/trusted-contacts/:id
+ */
+exports.updateTrustedContact = async (req, res) => {
+    try {
+        const currentRes = await pool.query(
+            "SELECT * FROM trusted_contacts WHERE id = $1 AND user_id = $2",
+            [req.params.id, req.user.id]
+        );
+
+        if (currentRes.rows.length === 0) {
+            return res.status(404).json({ error: "Contacto não encontrado." });
+        }
+
+        const { contact, error } = parseTrustedContact(req.body, currentRes.rows[0]);
+        if (error) {
+            return res.status(400).json({ error: error, code: "INVALID_CONTACT" });
+        }
+
+        const result = await pool.query(`
+            UPDATE trusted_contacts
+            SET name = $1, phone = $2, email = $3, relationship = $4, updated_at = NOW()
+            WHERE id = $5
+            RETURNING id, name, phone, email, relationship, created_at
+        `, [contact.name, contact.phone, contact.email, contact.relationship, req.params.id]);
+
+        res.json({ success: true, contact: result.rows[0] });
+    } catch (e) {
+        logError('TRUSTED_CONTACT_UPDATE', e);
+        res.status(500).json({ error: "Erro ao atualizar contacto de confiança." });
+    }
+};
+
+/**
+ * DELETE TRUSTED CONTACT
+ * Rota: DELETE /api/profile/trusted-contacts/:id
+ */
+exports.deleteTrustedContact = async (req, res) => {
+    try {
+        const result = await pool.query(
+            "DELETE FROM trusted_contacts WHERE id = $1 AND user_id = $2 RETURNING id",
+            [req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: "Contacto não encontrado." });
+        }
+
+        res.json({ success: true, message: "Contacto removido." });
+    } catch (e) {
+        logError('TRUSTED_CONTACT_DELETE', e);
+        res.status(500).json({ error: "Erro ao remover contacto de confiança." });
+    }
+};
+
 /**
  * =================================================================================================
  * FIM DO ARQUIVO - PROFILE CONTROLLER
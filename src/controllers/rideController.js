@@ -15,8 +15,93 @@
  */
 
 const pool = require('../config/db');
-const { getDistance, logError, logSystem, getFullRideDetails, generateRef } = require('../utils/helpers');
+const { getDistance, logError, logSystem, getFullRideDetails, generateRef, generateRidePin } = require('../utils/helpers');
 const SYSTEM_CONFIG = require('../config/appConfig');
+const dispatchService = require('../services/dispatchService');
+const pricingService = require('../services/pricingService');
+const tripTrackingService = require('../services/tripTrackingService');
+const negotiationService = require('../services/negotiationService');
+const surgeService = require('../services/surgeService');
+const zoneService = require('../services/zoneService');
+const geoGrid = require('../utils/geoGrid');
+const adminAlertService = require('../services/adminAlertService');
+const sosService = require('../services/sosService');
+const rideStateMachine = require('../services/rideStateMachine');
+const receiptService = require('../services/receiptService');
+const driverMetricsService = require('../services/driverMetricsService');
+const commissionService = require('../services/commissionService');
+const driverStatementService = require('../services/driverStatementService');
+const cancellationDebtService = require('../services/cancellationDebtService');
+
+// =================================================================================================
+// 0. HELPERS PRIVADOS - PARAGENS (MULTI-STOP)
+// =================================================================================================
+
+/**
+ * Normaliza as paragens intermédias enviadas pelo app (array ou JSON em query string).
+ * @returns {{ stops: Array<{lat:number, lng:number, name:string}> }|{ error: string }}
+ */
+function _parseStops(raw) {
+    if (raw === undefined || raw === null || raw === '') return { stops: [] };
+
+    let list = raw;
+    if (typeof raw === 'string') {
+        try {
+            list = JSON.parse(raw);
+        } catch (e) {
+            return { error: "Formato de paragens inválido." };
+        }
+    }
+
+    if (!Array.isArray(list)) return { error: "Formato de paragens inválido." };
+
+    const maxStops = SYSTEM_CONFIG.RIDES.MAX_STOPS || 3;
+    if (list.length > maxStops) {
+        return { error: `Máximo de ${maxStops} paragens por corrida.` };
+    }
+
+    const stops = [];
+    for (const item of list) {
+        const lat = parseFloat(item.lat);
+        const lng = parseFloat(item.lng);
+        if (!lat || !lng) return { error: "Coordenadas de paragem inválidas." };
+        stops.push({ lat: lat, lng: lng, name: item.name || `Paragem ${stops.length + 1}` });
+    }
+
+    return { stops: stops };
+}
+
+/**
+ * Grava as paragens da corrida na ordem recebida (stop_order começa em 1).
+ */
+async function _insertStops(client, rideId, stops) {
+    for (let i = 0; i < stops.length; i++) {
+        await client.query(
+            "INSERT INTO ride_stops (ride_id, stop_order, lat, lng, name) VALUES ($1, $2, $3, $4, $5)",
+            [rideId, i + 1, stops[i].lat, stops[i].lng, stops[i].name]
+        );
+    }
+}
+
+/**
+ * Zona de serviço da origem e a respetiva tabela de preços.
+ * @returns {Promise<{ zone: object|null, prices: object }|{ error: string }>}
+ */
+async function _resolveZonePricing(lat, lng, db = pool) {
+    const { zone, enforced } = await zoneService.findZone(lat, lng);
+    if (enforced && !zone) {
+        return { error: "O local de partida está fora da área de serviço." };
+    }
+    return { zone: zone, prices: await zoneService.getZonePrices(zone, db) };
+}
+
+// Forma de pagamento escolhida no pedido (decide como a taxa de cancelamento é cobrada)
+const PAYMENT_METHODS = ['cash', 'wallet', 'card'];
+
+function _parsePaymentMethod(value) {
+    if (value === undefined || value === null || value === '') return 'cash';
+    return PAYMENT_METHODS.includes(value) ? value : null;
+}
 
 // =================================================================================================
 // 1. SOLICITAÇÃO DE CORRIDA
@@ -32,7 +117,10 @@ exports.requestRide = async (req, res) => {
     const destLng = parseFloat(body.dest_lng || body.destLng);
     const passengerId = req.user.id;
     const rideType = body.ride_type || 'ride';
-    const distance = parseFloat(body.distance_km) || 0;
+    const parsedStops = _parseStops(body.stops);
+    const stops = parsedStops.stops || [];
+    const distance = pricingService.resolveDistanceKm(body, originLat, originLng, destLat, destLng, stops);
+    const paymentMethod = _parsePaymentMethod(body.payment_method);
 
     console.log('\n🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴');
     console.log('🚕 [REQUEST_RIDE] INICIANDO SOLICITAÇÃO');
@@ -41,6 +129,7 @@ exports.requestRide = async (req, res) => {
     console.log(`   Destino: (${destLat}, ${destLng})`);
     console.log(`   Distância: ${distance}km`);
     console.log(`   Tipo: ${rideType}`);
+    console.log(`   Paragens: ${stops.length}`);
     console.log('🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴🔴\n');
 
     if (!originLat || !originLng || !destLat || !destLng) {
@@ -50,41 +139,67 @@ exports.requestRide = async (req, res) => {
         });
     }
 
+    if (parsedStops.error) {
+        return res.status(400).json({ error: parsedStops.error, code: "INVALID_STOPS" });
+    }
+
+    if (!paymentMethod) {
+        return res.status(400).json({ error: `Forma de pagamento inválida. Use: ${PAYMENT_METHODS.join(', ')}.`, code: "INVALID_PAYMENT_METHOD" });
+    }
+
+    // Modo leilão: o passageiro propõe a tarifa e os motoristas respondem com lances
+    const offeredPrice = parseFloat(body.offered_price);
+    const isBidding = !isNaN(offeredPrice) && offeredPrice > 0;
+
     const client = await pool.connect();
 
     try {
         await client.query('BEGIN');
 
-        const settingsRes = await client.query("SELECT value FROM app_settings WHERE key = 'ride_prices'");
-        const prices = settingsRes.rows[0]?.value || {
-            base_price: 600,
-            km_rate: 300,
-            moto_base: 400,
-            moto_km_rate: 180,
-            delivery_base: 1000,
-            delivery_km_rate: 450
-        };
+        // Taxas de cancelamento em dívida: pagas com o saldo da carteira ou o pedido é recusado
+        const debtSettlement = await cancellationDebtService.settleCancellationDebt(client, passengerId, 'ride_request');
+        if (debtSettlement && debtSettlement.remaining_debt > 0) {
+            await client.query('ROLLBACK');
+            return res.status(402).json({
+                error: `Tem ${debtSettlement.remaining_debt} Kz em taxas de cancelamento por pagar. Carregue a carteira para continuar.`,
+                code: "CANCELLATION_DEBT_OUTSTANDING",
+                cancellation_debt: debtSettlement.remaining_debt
+            });
+        }
 
-        let estimatedPrice = 0;
-        if (rideType === 'moto') {
-            estimatedPrice = prices.moto_base + (distance * prices.moto_km_rate);
-        } else if (rideType === 'delivery') {
-            estimatedPrice = prices.delivery_base + (distance * prices.delivery_km_rate);
-        } else {
-            estimatedPrice = prices.base_price + (distance * prices.km_rate);
+        const zonePricing = await _resolveZonePricing(originLat, originLng, client);
+        if (zonePricing.error) {
+            await client.query('ROLLBACK');
+            return res.status(422).json({ error: zonePricing.error, code: "OUTSIDE_SERVICE_AREA" });
+        }
+        const zone = zonePricing.zone;
+
+        const surge = await surgeService.getSurge(originLat, originLng, client);
+        const suggestedPrice = pricingService.calculateFare(zonePricing.prices, rideType, distance, surge.multiplier);
+
+        if (isBidding) {
+            const minOffer = Math.ceil(suggestedPrice * (SYSTEM_CONFIG.RIDES.BID_MIN_OFFER_PCT || 0.7));
+            if (offeredPrice < minOffer) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    error: `A oferta mínima para este trajeto é ${minOffer} Kz.`,
+                    code: "OFFER_TOO_LOW",
+                    suggested_price: suggestedPrice
+                });
+            }
         }
 
-        estimatedPrice = Math.ceil(estimatedPrice / 50) * 50;
-        if (estimatedPrice < 500) estimatedPrice = 500;
+        const estimatedPrice = isBidding ? offeredPrice : suggestedPrice;
 
-        console.log(`💰 PREÇO CALCULADO: ${estimatedPrice} Kz (ÚNICO)`);
+        console.log(`💰 PREÇO CALCULADO: ${estimatedPrice} Kz (${isBidding ? 'OFERTA DO PASSAGEIRO' : 'ÚNICO'}, surge x${surge.multiplier})`);
 
         const insertQuery = `
             INSERT INTO rides (
                 passenger_id, origin_lat, origin_lng, dest_lat, dest_lng,
                 origin_name, dest_name, initial_price, final_price,
-                ride_type, distance_km, status, created_at, updated_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $10, 'searching', NOW(), NOW())
+                ride_type, distance_km, pricing_mode, passenger_offer, surge_multiplier, zone_id,
+                payment_method, status, created_at, updated_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $10, $11, $12, $13, $14, $15, 'searching', NOW(), NOW())
             RETURNING id, created_at
         `;
 
@@ -98,14 +213,28 @@ exports.requestRide = async (req, res) => {
             body.dest_name || 'Destino',
             estimatedPrice,
             rideType,
-            distance
+            distance,
+            isBidding ? 'bidding' : 'fixed',
+            isBidding ? offeredPrice : null,
+            surge.multiplier,
+            zone ? zone.id : null,
+            paymentMethod
         ]);
 
         const ride = result.rows[0];
+        await _insertStops(client, ride.id, stops);
+        await rideStateMachine.recordEvent(client, ride.id, null, 'searching', { id: passengerId, role: 'passenger' });
+
+        // Reputação atual do passageiro (o req.user da bridge de sockets não a inclui)
+        const paxRes = await client.query("SELECT name, photo, rating FROM users WHERE id = $1", [passengerId]);
+        const passenger = paxRes.rows[0] || {};
+
         await client.query('COMMIT');
 
         console.log(`✅ CORRIDA #${ride.id} CRIADA - Preço: ${estimatedPrice} Kz`);
 
+        cancellationDebtService.notifySettledDrivers(req.io, debtSettlement);
+
         if (req.io) {
             req.io.to(`user_${passengerId}`).emit('ride_requested', {
                 ride_id: ride.id,
@@ -117,21 +246,12 @@ exports.requestRide = async (req, res) => {
             console.log(`📡 Notificação enviada ao passageiro ${passengerId}`);
         }
 
-        let drivers = await exports.findAvailableDrivers(originLat, originLng, 10);
-        if (drivers.length === 0) {
-            drivers = await exports.findAvailableDrivers(originLat, originLng, 20, { includeGpsZero: true });
-        }
-
-        console.log(`👥 Motoristas encontrados: ${drivers.length}`);
-
-        let driversNotified = 0;
-
         const ridePayload = {
             ride_id: ride.id,
             passenger_id: passengerId,
-            passenger_name: req.user.name || 'Passageiro',
-            passenger_photo: req.user.photo,
-            passenger_rating: req.user.rating || 5.0,
+            passenger_name: passenger.name || req.user.name || 'Passageiro',
+            passenger_photo: passenger.photo || req.user.photo,
+            passenger_rating: parseFloat(passenger.rating) || 5.0,
             origin_lat: originLat,
             origin_lng: originLng,
             origin_name: body.origin_name,
@@ -142,45 +262,35 @@ exports.requestRide = async (req, res) => {
             final_price: estimatedPrice,
             distance_km: distance,
             ride_type: rideType,
+            stops: stops,
+            pricing_mode: isBidding ? 'bidding' : 'fixed',
+            suggested_price: suggestedPrice,
+            surge_multiplier: surge.multiplier,
+            zone: zone ? { id: zone.id, name: zone.name } : null,
             status: 'searching',
             timestamp: new Date().toISOString()
         };
 
-        for (const driver of drivers) {
-            let distanceToPickup = 0;
-            if (driver.lat && driver.lng && driver.lat !== 0 && driver.lng !== 0) {
-                distanceToPickup = getDistance(originLat, originLng, parseFloat(driver.lat), parseFloat(driver.lng));
-            }
+        let driversNotified = 0;
 
-            const driverPayload = {
-                ...ridePayload,
-                distance_to_pickup: parseFloat(distanceToPickup.toFixed(1))
-            };
-
-            try {
-                if (driver.socket_id && req.io) {
-                    req.io.to(driver.socket_id).emit('ride_opportunity', driverPayload);
-                    driversNotified++;
-                    console.log(`   📡 Notificado motorista ${driver.driver_id} via socket_id`);
-                } else if (driver.driver_id && req.io) {
-                    req.io.to(`driver_${driver.driver_id}`).emit('ride_opportunity', driverPayload);
-                    driversNotified++;
-                    console.log(`   📡 Notificado motorista ${driver.driver_id} via driver_room`);
-                }
-            } catch (e) {
-                logError('DISPATCH_EMIT', e);
+        if (isBidding) {
+            // Leilão: todos os motoristas elegíveis próximos veem a oferta e podem dar lance
+            driversNotified = await dispatchService.broadcastOffer(req.io, ridePayload);
+            console.log(`   📡 Oferta de ${estimatedPrice} Kz enviada a ${driversNotified} motoristas (leilão)`);
+        } else {
+            // Despacho sequencial: um motorista por vez, com timeout e ondas de raio crescente.
+            // O passageiro recebe `ride_no_drivers` do próprio motor quando os candidatos se esgotam.
+            const firstDriver = await dispatchService.startDispatch(req.io, ridePayload);
+            driversNotified = firstDriver ? 1 : 0;
+
+            if (firstDriver) {
+                console.log(`   📡 Oferta enviada ao motorista ${firstDriver.driver_id}`);
+            } else {
+                console.log(`⚠️ Nenhum motorista notificado`);
             }
         }
 
-        if (driversNotified === 0 && req.io) {
-            req.io.to(`user_${passengerId}`).emit('ride_no_drivers', {
-                ride_id: ride.id,
-                message: 'Nenhum motorista disponível no momento.'
-            });
-            console.log(`⚠️ Nenhum motorista notificado`);
-        }
-
-        console.log(`📡 Dispatch concluído. ${driversNotified} motoristas notificados em ${Date.now() - startTime}ms.`);
+        console.log(`📡 Dispatch iniciado em ${Date.now() - startTime}ms.`);
 
         res.status(201).json({
             success: true,
@@ -190,9 +300,18 @@ exports.requestRide = async (req, res) => {
                 initial_price: estimatedPrice,
                 final_price: estimatedPrice,
                 distance_km: distance,
+                stops: stops,
+                pricing_mode: isBidding ? 'bidding' : 'fixed',
+                suggested_price: suggestedPrice,
+                surge_multiplier: surge.multiplier,
+                zone: zone ? { id: zone.id, name: zone.name } : null,
                 status: 'searching'
             },
-            dispatch_stats: { drivers_notified: driversNotified }
+            dispatch_stats: {
+                drivers_notified: driversNotified,
+                strategy: isBidding ? 'bidding' : 'sequential',
+                offer_timeout: isBidding ? SYSTEM_CONFIG.RIDES.BID_TTL_SECONDS : SYSTEM_CONFIG.RIDES.DRIVER_ACCEPTANCE_TIMEOUT
+            }
         });
 
     } catch (e) {
@@ -212,30 +331,51 @@ exports.requestRide = async (req, res) => {
 // =================================================================================================
 // 2. BUSCAR MOTORISTAS DISPONÍVEIS
 // =================================================================================================
+
+/**
+ * Motoristas online, verificados e com veículo compatível dentro do raio.
+ * Motoristas com dívida de comissões acima do limite não recebem corridas.
+ * @param {object} options - { includeGpsZero, rideType }
+ */
 exports.findAvailableDrivers = async (lat, lng, radiusKm = 10, options = {}) => {
-    const { includeGpsZero = false } = options;
+    const { includeGpsZero = false, rideType = 'ride' } = options;
+    const vehicleTypes = await dispatchService.getEligibleVehicleTypes(rideType);
+    const maxDebt = await commissionService.getMaxDriverDebt();
+
+    // Índice espacial: só as células da grelha que cobrem o raio entram na busca;
+    // a distância exata é confirmada depois, apenas sobre esses candidatos.
+    const cells = geoGrid.cellsInRadius(lat, lng, radiusKm);
+
     const query = `
         SELECT
             dp.driver_id, dp.lat, dp.lng, dp.socket_id, dp.status,
-            u.name, u.rating, u.is_blocked
+            u.name, u.rating, u.is_blocked,
+            vd.type as vehicle_type
         FROM driver_positions dp
         JOIN users u ON dp.driver_id = u.id
+        JOIN vehicle_details vd ON vd.driver_id = dp.driver_id
         WHERE dp.status = 'online'
           AND dp.last_update > NOW() - INTERVAL '3 minutes'
           AND u.is_blocked = false
           AND u.role = 'driver'
+          AND COALESCE(u.commission_debt, 0) <= $6
+          AND vd.documents_verified = true
+          AND vd.type = ANY($4)
           AND (
-              (dp.lat != 0 AND dp.lng != 0 AND
+              (dp.grid_cell = ANY($5) AND
                   (6371 * acos(cos(radians($1)) * cos(radians(dp.lat)) *
                    cos(radians(dp.lng) - radians($2)) + sin(radians($1)) * sin(radians(dp.lat)))) <= $3
               )
               ${includeGpsZero ? "OR (dp.lat = 0 AND dp.lng = 0)" : ""}
           )
+        -- Mais próximos primeiro (o LIMIT não pode cortar os melhores candidatos do despacho)
+        ORDER BY (dp.lat = 0 AND dp.lng = 0) ASC,
+                 ((dp.lat - $1) * (dp.lat - $1) + (dp.lng - $2) * (dp.lng - $2)) ASC
         LIMIT 20
     `;
 
     try {
-        const result = await pool.query(query, [lat, lng, radiusKm]);
+        const result = await pool.query(query, [lat, lng, radiusKm, vehicleTypes, cells, maxDebt]);
         return result.rows;
     } catch (e) {
         logError('FIND_DRIVERS', e);
@@ -284,6 +424,8 @@ exports.acceptRide = async (req, res) => {
     const client = await pool.connect();
 
     try {
+        await client.query('BEGIN');
+
         console.log('🔍 Verificando se o motorista existe...');
         const driverCheck = await client.query(
             "SELECT id, name FROM users WHERE id = $1",
@@ -292,7 +434,7 @@ exports.acceptRide = async (req, res) => {
 
         if (driverCheck.rows.length === 0) {
             console.log(`❌ ERRO: Motorista ID ${actualDriverId} não encontrado`);
-            await client.release();
+            await client.query('ROLLBACK');
             return res.status(404).json({
                 success: false,
                 error: "Motorista não encontrado."
@@ -303,13 +445,13 @@ exports.acceptRide = async (req, res) => {
 
         console.log(`🔍 Buscando corrida #${ride_id} com FOR UPDATE...`);
         const rideRes = await client.query(
-            "SELECT id, status, passenger_id, initial_price FROM rides WHERE id = $1 FOR UPDATE",
+            "SELECT id, status, passenger_id, driver_id, initial_price, pricing_mode FROM rides WHERE id = $1 FOR UPDATE",
             [ride_id]
         );
 
         if (rideRes.rows.length === 0) {
             console.log(`❌ ERRO: Corrida #${ride_id} não encontrada`);
-            await client.release();
+            await client.query('ROLLBACK');
             return res.status(404).json({
                 success: false,
                 error: "Corrida não encontrada."
@@ -319,9 +461,9 @@ exports.acceptRide = async (req, res) => {
         const ride = rideRes.rows[0];
         console.log('📊 Dados da corrida:', ride);
 
-        if (ride.status !== 'searching') {
+        if (!rideStateMachine.canTransition(ride.status, 'accepted')) {
             console.log(`❌ ERRO: Corrida já não está em searching. Status atual: ${ride.status}`);
-            await client.release();
+            await client.query('ROLLBACK');
             return res.status(409).json({
                 success: false,
                 error: "Esta corrida já foi aceita por outro motorista.",
@@ -331,26 +473,58 @@ exports.acceptRide = async (req, res) => {
 
         if (ride.passenger_id == actualDriverId) {
             console.log(`❌ ERRO: Motorista tentando aceitar própria corrida`);
-            await client.release();
+            await client.query('ROLLBACK');
             return res.status(400).json({
                 success: false,
                 error: "Você não pode aceitar sua própria corrida."
             });
         }
 
+        // Corridas em leilão são atribuídas pelo passageiro ao escolher um lance
+        if (ride.pricing_mode === 'bidding') {
+            console.log(`❌ ERRO: Corrida #${ride_id} está em modo leilão`);
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                error: "Esta corrida funciona por lances. Envie um lance ao passageiro.",
+                code: "BIDDING_RIDE"
+            });
+        }
+
+        // Despacho sequencial: só o motorista com a oferta ativa pode aceitar
+        if (!(await dispatchService.canDriverAccept(ride_id, actualDriverId, client))) {
+            console.log(`❌ ERRO: Motorista ${actualDriverId} não possui a oferta ativa da corrida #${ride_id}`);
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                error: "Esta oferta expirou ou foi enviada a outro motorista.",
+                code: "OFFER_EXPIRED"
+            });
+        }
+
         console.log('✅ Validações OK. Atualizando corrida...');
 
-        // ATUALIZAR A CORRIDA
-        await client.query(
-            `UPDATE rides SET
-                driver_id = $1,
-                status = 'accepted',
-                accepted_at = NOW(),
-                final_price = initial_price,
-                updated_at = NOW()
-             WHERE id = $2`,
-            [actualDriverId, ride_id]
-        );
+        // ATUALIZAR A CORRIDA (com PIN de embarque para o passageiro)
+        const startPin = generateRidePin();
+        const accepted = await rideStateMachine.transition(client, ride, 'accepted', { id: actualDriverId, role: 'driver' }, {
+            fields: {
+                driver_id: actualDriverId,
+                final_price: ride.initial_price,
+                start_pin: startPin,
+                pin_attempts: 0,
+                pin_verified_at: null
+            }
+        });
+
+        if (accepted.error) {
+            await client.query('ROLLBACK');
+            return res.status(accepted.status).json({ success: false, error: accepted.error, code: accepted.code });
+        }
+
+        await client.query('COMMIT');
+        console.log('✅ Transação COMMIT realizada com sucesso');
+
+        rideStateMachine.afterCommit(req.io, accepted);
 
         console.log('✅ Corrida atualizada. Buscando dados completos...');
 
@@ -359,8 +533,6 @@ exports.acceptRide = async (req, res) => {
 
         if (!fullRide) {
             console.log('❌ ERRO: Não foi possível obter os dados completos da corrida');
-            await client.query('COMMIT');
-            await client.release();
             return res.status(500).json({
                 success: false,
                 error: "Erro ao recuperar dados da corrida."
@@ -388,6 +560,13 @@ exports.acceptRide = async (req, res) => {
             req.io.to(`user_${ride.passenger_id}`).emit('ride_accepted', acceptPayload);
             console.log(`   ✅ Evento enviado para passageiro user_${ride.passenger_id}`);
 
+            // O PIN vai só para a sala pessoal do passageiro (nunca para ride_<id>)
+            req.io.to(`user_${ride.passenger_id}`).emit('ride_pin', {
+                ride_id: ride.id,
+                pin: startPin,
+                message: 'Diga este PIN ao motorista para iniciar a viagem.'
+            });
+
             req.io.to(`user_${actualDriverId}`).emit('ride_accepted', acceptPayload);
             console.log(`   ✅ Evento enviado para motorista user_${actualDriverId}`);
 
@@ -401,9 +580,6 @@ exports.acceptRide = async (req, res) => {
             console.log(`   ✅ Aviso enviado para outros motoristas`);
         }
 
-        await client.query('COMMIT');
-        console.log('✅ Transação COMMIT realizada com sucesso');
-
         logSystem('RIDE_ACCEPT', `✅ Motorista ${actualDriverId} assumiu a corrida ${ride_id}`);
 
         res.json({
@@ -424,7 +600,7 @@ exports.acceptRide = async (req, res) => {
             stack: process.env.NODE_ENV === 'development' ? e.stack : undefined
         });
     } finally {
-        await client.release();
+        client.release();
         console.log('🔌 Conexão com banco liberada');
     }
 };
@@ -432,13 +608,78 @@ exports.acceptRide = async (req, res) => {
 // =================================================================================================
 // 4. ATUALIZAR STATUS
 // =================================================================================================
+
+/**
+ * Confere o PIN de embarque dentro da transação do updateStatus.
+ * Em caso de erro finaliza a transação (grava a tentativa falhada) e devolve a resposta HTTP.
+ * @returns {Promise<null|{ status: number, body: object }>}
+ */
+async function _checkStartPin(client, ride, pin, io) {
+    const maxAttempts = SYSTEM_CONFIG.RIDES.RIDE_PIN_MAX_ATTEMPTS || 3;
+
+    if (ride.pin_attempts >= maxAttempts) {
+        await client.query('ROLLBACK');
+        return {
+            status: 423,
+            body: { error: "PIN bloqueado por excesso de tentativas. Contacte o suporte.", code: "PIN_LOCKED" }
+        };
+    }
+
+    if (!pin) {
+        await client.query('ROLLBACK');
+        return {
+            status: 400,
+            body: { error: "Informe o PIN do passageiro para iniciar a viagem.", code: "PIN_REQUIRED" }
+        };
+    }
+
+    if (String(pin).trim() === ride.start_pin) return null;
+
+    const attempts = ride.pin_attempts + 1;
+    await client.query("UPDATE rides SET pin_attempts = $1, updated_at = NOW() WHERE id = $2", [attempts, ride.id]);
+    await client.query('COMMIT');
+
+    if (attempts >= maxAttempts) {
+        await adminAlertService.raiseAdminAlert(io, {
+            type: 'ride_pin_locked',
+            severity: 'high',
+            title: 'PIN de embarque bloqueado',
+            message: `Motorista ${ride.driver_id} errou o PIN ${attempts} vezes na corrida #${ride.id}.`,
+            data: { ride_id: ride.id, driver_id: ride.driver_id, passenger_id: ride.passenger_id }
+        });
+
+        if (io) {
+            io.to(`user_${ride.passenger_id}`).emit('ride_pin_locked', {
+                ride_id: ride.id,
+                message: 'O motorista errou o PIN várias vezes. Confirme se está no veículo certo.'
+            });
+        }
+
+        return {
+            status: 423,
+            body: { error: "PIN bloqueado por excesso de tentativas. Contacte o suporte.", code: "PIN_LOCKED" }
+        };
+    }
+
+    return {
+        status: 400,
+        body: { error: "PIN incorreto.", code: "INVALID_PIN", attempts_remaining: maxAttempts - attempts }
+    };
+}
+
 exports.updateStatus = async (req, res) => {
     const { ride_id, status } = req.body;
     const driverId = req.user.id;
 
     console.log(`🔄 [UPDATE_STATUS] Ride: ${ride_id}, Status: ${status}`);
 
-    const allowed = ['arrived', 'ongoing', 'accepted'];
+    // `stop_reached` não muda o status da corrida: marca a próxima paragem como alcançada
+    if (status === 'stop_reached') {
+        return exports.markStopReached(req, res);
+    }
+
+    // Conclusão e cancelamento têm endpoints próprios (pagamento, taxas)
+    const allowed = ['arrived', 'ongoing'];
 
     if (!allowed.includes(status)) {
         return res.status(400).json({ error: "Status inválido." });
@@ -450,7 +691,7 @@ exports.updateStatus = async (req, res) => {
         await client.query('BEGIN');
 
         const check = await client.query(
-            "SELECT driver_id FROM rides WHERE id = $1 FOR UPDATE",
+            "SELECT id, status, driver_id, passenger_id, start_pin, pin_attempts, pin_verified_at FROM rides WHERE id = $1 FOR UPDATE",
             [ride_id]
         );
 
@@ -459,18 +700,32 @@ exports.updateStatus = async (req, res) => {
             return res.status(404).json({ error: "Corrida não encontrada." });
         }
 
-        if (check.rows[0].driver_id !== driverId) {
+        const ride = check.rows[0];
+        const actor = { id: driverId, role: 'driver' };
+
+        const invalid = rideStateMachine.validate(ride, status, actor);
+        if (invalid) {
             await client.query('ROLLBACK');
-            return res.status(403).json({ error: "Acesso negado." });
+            return res.status(invalid.status).json({ error: invalid.error, code: invalid.code });
+        }
+
+        // Início da viagem exige o PIN que só o passageiro conhece
+        const needsPin = status === 'ongoing' && ride.start_pin && !ride.pin_verified_at;
+        if (needsPin) {
+            const pinError = await _checkStartPin(client, ride, req.body.pin, req.io);
+            if (pinError) return res.status(pinError.status).json(pinError.body);
         }
 
-        let updateQuery = `UPDATE rides SET status = $1`;
-        if (status === 'arrived') updateQuery += `, arrived_at = NOW()`;
-        if (status === 'ongoing') updateQuery += `, started_at = NOW()`;
-        updateQuery += `, updated_at = NOW() WHERE id = $2 RETURNING *`;
+        const changed = await rideStateMachine.transition(client, ride, status, actor, {
+            fields: needsPin ? { pin_verified_at: rideStateMachine.NOW } : {}
+        });
+        if (changed.error) {
+            await client.query('ROLLBACK');
+            return res.status(changed.status).json({ error: changed.error, code: changed.code });
+        }
 
-        await client.query(updateQuery, [status, ride_id]);
         await client.query('COMMIT');
+        rideStateMachine.afterCommit(req.io, changed);
 
         const fullRide = await getFullRideDetails(ride_id);
 
@@ -503,11 +758,12 @@ exports.startRide = async (req, res) => {
 // 6. FINALIZAR CORRIDA
 // =================================================================================================
 exports.completeRide = async (req, res) => {
+    // `final_price`, `distance_traveled` e `payment_method` do app são apenas informativos: a tarifa
+    // é calculada no servidor e o método de pagamento é o escolhido no pedido da corrida
     const { ride_id, payment_method, final_price, distance_traveled } = req.body;
     const driverId = req.user.id;
-    const method = payment_method || 'cash';
 
-    console.log(`✅ [COMPLETE_RIDE] Ride: ${ride_id}, Method: ${method}`);
+    console.log(`✅ [COMPLETE_RIDE] Ride: ${ride_id}, Distância (app): ${distance_traveled || '-'}km`);
 
     const client = await pool.connect();
 
@@ -521,16 +777,55 @@ exports.completeRide = async (req, res) => {
         }
 
         const ride = rideCheck.rows[0];
-        if (ride.driver_id !== driverId) {
-            await client.query('ROLLBACK');
-            return res.status(403).json({ error: "Acesso negado." });
+        const actor = { id: driverId, role: 'driver' };
+        // Corridas anteriores ao registo do método de pagamento eram em dinheiro
+        const method = ride.payment_method || 'cash';
+
+        if (payment_method && payment_method !== method) {
+            logSystem('RIDE_COMPLETE', `Corrida ${ride_id}: método do app (${payment_method}) ignorado, corrida paga por ${method}.`);
         }
-        if (ride.status !== 'ongoing' && ride.status !== 'accepted') {
+
+        // Só viagens iniciadas (ongoing) podem ser concluídas
+        const invalid = rideStateMachine.validate(ride, 'completed', actor);
+        if (invalid) {
             await client.query('ROLLBACK');
-            return res.status(400).json({ error: "Status inválido para finalização." });
+            return res.status(invalid.status).json({ error: invalid.error, code: invalid.code });
+        }
+
+        // Distância real: breadcrumbs GPS gravados no servidor (fallback: distância estimada)
+        const measured = await tripTrackingService.computeTripDistanceKm(ride_id, client);
+        const hasGpsTrace = measured.points >= 2 && measured.distance_km > 0;
+        const tripDistance = hasGpsTrace ? measured.distance_km : parseFloat(ride.distance_km) || 0;
+
+        // Preço negociado (proposta aceite ou lance escolhido) é fixo; caso contrário a tarifa
+        // é recalculada pela distância real
+        const negotiated = ride.pricing_mode === 'bidding' ||
+            (ride.negotiation_history || []).some(p => p.status === 'accepted');
+        let finalAmount;
+        let fare;
+        if (negotiated) {
+            finalAmount = parseFloat(ride.final_price || ride.initial_price);
+            fare = { mode: ride.pricing_mode === 'bidding' ? 'bidding' : 'negotiated', total: finalAmount };
+        } else {
+            const prices = await zoneService.getPricesForZoneId(ride.zone_id, client);
+            // O multiplicador dinâmico fica congelado no momento do pedido
+            fare = { mode: 'metered', ...pricingService.fareBreakdown(prices, ride.ride_type, tripDistance, ride.surge_multiplier) };
+            finalAmount = fare.total;
         }
 
-        const finalAmount = parseFloat(final_price || ride.final_price || ride.initial_price);
+        if (final_price && parseFloat(final_price) !== finalAmount) {
+            logSystem('RIDE_COMPLETE', `Corrida ${ride_id}: preço do app (${final_price}) ignorado, servidor calculou ${finalAmount} (${tripDistance}km, ${measured.points} pontos GPS).`);
+        }
+
+        // Comissão da plataforma (zona > tipo de corrida > padrão)
+        const commissionPct = await commissionService.getCommissionPct(ride.ride_type, ride.zone_id, client);
+        const split = commissionService.splitFare(finalAmount, commissionPct);
+        const commissionInfo = {
+            gross_amount: split.gross,
+            commission_pct: split.pct,
+            commission_amount: split.commission
+        };
+        let debtSettlement = null;
 
         if (method === 'wallet') {
             const paxRes = await client.query("SELECT balance FROM users WHERE id = $1 FOR UPDATE", [ride.passenger_id]);
@@ -544,8 +839,9 @@ exports.completeRide = async (req, res) => {
                 });
             }
 
+            // O motorista recebe o líquido; a comissão fica como receita da plataforma
             await client.query("UPDATE users SET balance = balance - $1 WHERE id = $2", [finalAmount, ride.passenger_id]);
-            await client.query("UPDATE users SET balance = balance + $1 WHERE id = $2", [finalAmount, driverId]);
+            await client.query("UPDATE users SET balance = balance + $1 WHERE id = $2", [split.net, driverId]);
 
             const txRef = generateRef('RIDE');
 
@@ -556,33 +852,48 @@ exports.completeRide = async (req, res) => {
             );
 
             await client.query(
-                `INSERT INTO wallet_transactions (reference_id, user_id, amount, type, method, status, description, category, ride_id)
-                 VALUES ($1, $2, $3, 'earnings', 'wallet', 'completed', $4, 'ride', $5)`,
-                [txRef, driverId, finalAmount, `Ganhos da corrida #${ride_id}`, ride_id]
+                `INSERT INTO wallet_transactions (reference_id, user_id, amount, type, method, status, description, category, metadata, ride_id)
+                 VALUES ($1, $2, $3, 'earnings', 'wallet', 'completed', $4, 'ride', $5, $6)`,
+                [`${txRef}-REC`, driverId, split.net, `Ganhos da corrida #${ride_id} (comissão ${split.pct}%)`, JSON.stringify(commissionInfo), ride_id]
             );
+
+            // Dívida de comissões de corridas em dinheiro é abatida destes ganhos
+            debtSettlement = await commissionService.settleDriverDebt(client, driverId, split.net, 'ride_earnings');
         } else {
+            // Dinheiro: o motorista já tem o valor total; a comissão fica a receber dele
             const txRef = generateRef('CASH');
             await client.query(
                 `INSERT INTO wallet_transactions (reference_id, user_id, amount, type, method, status, description, category, metadata, ride_id)
-                 VALUES ($1, $2, $3, 'earnings', 'cash', 'completed', $4, 'ride', '{"is_cash": true}', $5)`,
-                [txRef, driverId, finalAmount, `Ganhos da corrida #${ride_id} (Dinheiro)`, ride_id]
+                 VALUES ($1, $2, $3, 'earnings', 'cash', 'completed', $4, 'ride', $5, $6)`,
+                [txRef, driverId, finalAmount, `Ganhos da corrida #${ride_id} (Dinheiro)`, JSON.stringify({ is_cash: true, ...commissionInfo }), ride_id]
             );
         }
 
-        await client.query(`
-            UPDATE rides SET
-                status = 'completed',
-                final_price = $1,
-                payment_method = $2,
-                payment_status = 'paid',
-                completed_at = NOW(),
-                distance_km = COALESCE($3, distance_km),
-                updated_at = NOW()
-            WHERE id = $4
-        `, [finalAmount, method, distance_traveled, ride_id]);
+        await commissionService.recordCommission(client, { rideId: ride.id, driverId: driverId, method: method, split: split });
+
+        const completed = await rideStateMachine.transition(client, ride, 'completed', actor, {
+            fields: {
+                final_price: finalAmount,
+                payment_method: method,
+                payment_status: 'paid',
+                distance_km: tripDistance,
+                commission_pct: split.pct,
+                commission_amount: split.commission
+            },
+            metadata: { final_price: finalAmount, payment_method: method }
+        });
+        if (completed.error) {
+            await client.query('ROLLBACK');
+            return res.status(completed.status).json({ error: completed.error, code: completed.code });
+        }
+
+        const receiptNumber = await receiptService.issueReceipt(client, ride_id, fare);
 
         await client.query('COMMIT');
 
+        // Links de partilha e despacho são encerrados pela máquina de estados
+        rideStateMachine.afterCommit(req.io, completed);
+
         const fullRide = await getFullRideDetails(ride_id);
 
         if (req.io) {
@@ -596,7 +907,8 @@ exports.completeRide = async (req, res) => {
                 });
                 req.io.to(`user_${driverId}`).emit('wallet_update', {
                     type: 'earnings',
-                    amount: finalAmount
+                    amount: split.net,
+                    debt_settled: debtSettlement ? debtSettlement.amount : 0
                 });
             }
         }
@@ -604,7 +916,24 @@ exports.completeRide = async (req, res) => {
         res.json({
             success: true,
             message: "Corrida finalizada com sucesso!",
-            ride: fullRide
+            ride: fullRide,
+            receipt_number: receiptNumber,
+            fare_breakdown: {
+                distance_km: tripDistance,
+                distance_source: hasGpsTrace ? 'gps' : 'estimate',
+                gps_points: measured.points,
+                negotiated: negotiated,
+                final_price: finalAmount
+            },
+            driver_earnings: {
+                gross: split.gross,
+                commission_pct: split.pct,
+                commission: split.commission,
+                net: split.net,
+                // wallet: já descontada; cash: a pagar à plataforma
+                commission_status: method === 'wallet' ? 'deducted' : 'owed',
+                debt_settled: debtSettlement ? debtSettlement.amount : 0
+            }
         });
 
     } catch (e) {
@@ -619,6 +948,67 @@ exports.completeRide = async (req, res) => {
 // =================================================================================================
 // 7. CANCELAR CORRIDA
 // =================================================================================================
+
+/**
+ * Cobra a taxa de cancelamento do passageiro e repassa ao motorista (dentro da transação).
+ * Corridas pagas pela carteira debitam a taxa do saldo; as restantes (ou carteira sem saldo)
+ * registam a taxa como dívida, liquidada no próximo carregamento ou pedido de corrida.
+ */
+async function _chargeCancellationFee(client, ride, fee) {
+    const paxRes = await client.query("SELECT balance FROM users WHERE id = $1 FOR UPDATE", [ride.passenger_id]);
+    const paxBalance = parseFloat(paxRes.rows[0]?.balance || 0);
+    const txRef = generateRef('CANC');
+    const description = `Taxa de cancelamento da corrida #${ride.id}`;
+
+    if (ride.payment_method === 'wallet' && paxBalance >= fee) {
+        const driverRes = await client.query("SELECT balance FROM users WHERE id = $1 FOR UPDATE", [ride.driver_id]);
+        const newPaxBalance = paxBalance - fee;
+        const newDriverBalance = parseFloat(driverRes.rows[0]?.balance || 0) + fee;
+
+        await client.query("UPDATE users SET balance = $1 WHERE id = $2", [newPaxBalance, ride.passenger_id]);
+        await client.query("UPDATE users SET balance = $1 WHERE id = $2", [newDriverBalance, ride.driver_id]);
+
+        await client.query(
+            `INSERT INTO wallet_transactions (reference_id, user_id, receiver_id, amount, type, method, status, description, balance_after, category, ride_id)
+             VALUES ($1, $2, $3, $4, 'payment', 'wallet', 'completed', $5, $6, 'cancellation_fee', $7)`,
+            [txRef, ride.passenger_id, ride.driver_id, -fee, description, newPaxBalance, ride.id]
+        );
+        await client.query(
+            `INSERT INTO wallet_transactions (reference_id, user_id, sender_id, amount, type, method, status, description, balance_after, category, ride_id)
+             VALUES ($1, $2, $3, $4, 'earnings', 'wallet', 'completed', $5, $6, 'cancellation_fee', $7)`,
+            [`${txRef}-REC`, ride.driver_id, ride.passenger_id, fee, description, newDriverBalance, ride.id]
+        );
+
+        return {
+            amount: fee,
+            status: 'charged',
+            method: 'wallet',
+            reference_id: txRef,
+            passenger_balance: newPaxBalance,
+            driver_balance: newDriverBalance
+        };
+    }
+
+    // Dinheiro/cartão ou carteira sem saldo: fica como dívida até ser liquidada
+    await client.query(
+        "UPDATE users SET cancellation_debt = COALESCE(cancellation_debt, 0) + $1 WHERE id = $2",
+        [fee, ride.passenger_id]
+    );
+
+    await client.query(
+        `INSERT INTO wallet_transactions (reference_id, user_id, receiver_id, amount, type, method, status, description, category, metadata, ride_id)
+         VALUES ($1, $2, $3, $4, 'payment', 'cash', 'pending', $5, 'cancellation_fee', '{"is_debt": true}', $6)`,
+        [txRef, ride.passenger_id, ride.driver_id, -fee, description, ride.id]
+    );
+    await client.query(
+        `INSERT INTO wallet_transactions (reference_id, user_id, sender_id, amount, type, method, status, description, category, metadata, ride_id)
+         VALUES ($1, $2, $3, $4, 'earnings', 'cash', 'pending', $5, 'cancellation_fee', '{"is_debt": true}', $6)`,
+        [`${txRef}-REC`, ride.driver_id, ride.passenger_id, fee, description, ride.id]
+    );
+
+    return { amount: fee, status: 'debt', method: 'cash', reference_id: txRef };
+}
+
 exports.cancelRide = async (req, res) => {
     const { ride_id, reason } = req.body;
     const userId = req.user.id;
@@ -638,42 +1028,94 @@ exports.cancelRide = async (req, res) => {
         }
 
         const ride = check.rows[0];
-        if (!['searching', 'accepted', 'ongoing'].includes(ride.status)) {
+        const actorRole = rideStateMachine.resolveActorRole(ride, { id: userId, role: role });
+        const actor = { id: userId, role: actorRole };
+
+        const invalid = rideStateMachine.validate(ride, 'cancelled', actor);
+        if (invalid) {
             await client.query('ROLLBACK');
-            return res.status(400).json({ error: "Corrida já finalizada." });
+            return res.status(invalid.status).json({ error: invalid.error, code: invalid.code });
+        }
+
+        const isPassenger = actorRole === 'passenger';
+        const isDriver = actorRole === 'driver';
+
+        // Taxa: passageiro cancela depois do período de graça, contado a partir do aceite
+        let cancellationFee = null;
+        const fee = parseFloat(SYSTEM_CONFIG.RIDES.CANCELLATION_FEE || 0);
+        if (isPassenger && ride.driver_id && ride.accepted_at && fee > 0) {
+            const graceMs = (SYSTEM_CONFIG.RIDES.GRACE_PERIOD_MINUTES || 0) * 60 * 1000;
+            const elapsedMs = Date.now() - new Date(ride.accepted_at).getTime();
+
+            if (elapsedMs > graceMs) {
+                cancellationFee = await _chargeCancellationFee(client, ride, fee);
+            }
         }
-        if (ride.passenger_id !== userId && ride.driver_id !== userId && role !== 'admin') {
+
+        // Cancelamentos do motorista após o aceite contam no histórico dele
+        if (isDriver && ride.status !== 'searching') {
+            await client.query(
+                "UPDATE users SET driver_cancellations = COALESCE(driver_cancellations, 0) + 1 WHERE id = $1",
+                [ride.driver_id]
+            );
+        }
+
+        const cancelled = await rideStateMachine.transition(client, ride, 'cancelled', actor, {
+            fields: {
+                cancelled_by: actorRole,
+                cancellation_reason: reason || null,
+                cancellation_fee: cancellationFee ? cancellationFee.amount : 0
+            },
+            metadata: { reason: reason || null }
+        });
+        if (cancelled.error) {
             await client.query('ROLLBACK');
-            return res.status(403).json({ error: "Acesso negado." });
+            return res.status(cancelled.status).json({ error: cancelled.error, code: cancelled.code });
         }
 
-        await client.query(`
-            UPDATE rides SET
-                status = 'cancelled',
-                cancelled_at = NOW(),
-                cancelled_by = $1,
-                cancellation_reason = $2,
-                updated_at = NOW()
-            WHERE id = $3
-        `, [role, reason, ride_id]);
+        // Lances pendentes do leilão deixam de valer
+        await client.query(
+            "UPDATE ride_bids SET status = 'rejected', updated_at = NOW() WHERE ride_id = $1 AND status = 'pending'",
+            [ride_id]
+        );
 
         await client.query('COMMIT');
 
+        rideStateMachine.afterCommit(req.io, cancelled);
+
         const fullRide = await getFullRideDetails(ride_id);
 
+        const feeInfo = cancellationFee
+            ? { amount: cancellationFee.amount, status: cancellationFee.status, method: cancellationFee.method, reference_id: cancellationFee.reference_id }
+            : null;
+
         if (req.io) {
-            const payload = { ...fullRide, reason: reason, cancelled_by: role };
+            // Mesmo papel gravado em rides.cancelled_by e na auditoria (não o do pedido)
+            const payload = { ...fullRide, reason: reason, cancelled_by: actorRole, cancellation_fee: feeInfo };
             req.io.to(`ride_${ride_id}`).emit('ride_cancelled', payload);
 
-            if (role === 'driver') req.io.to(`user_${ride.passenger_id}`).emit('ride_cancelled', payload);
-            if (role === 'passenger' && ride.driver_id) req.io.to(`user_${ride.driver_id}`).emit('ride_cancelled', payload);
+            if (isDriver) req.io.to(`user_${ride.passenger_id}`).emit('ride_cancelled', payload);
+            if (isPassenger && ride.driver_id) req.io.to(`user_${ride.driver_id}`).emit('ride_cancelled', payload);
 
             if (ride.status === 'searching') {
                 req.io.to('drivers').emit('ride_cancelled_by_passenger', { ride_id: ride_id });
             }
+
+            if (cancellationFee && cancellationFee.status === 'charged') {
+                req.io.to(`user_${ride.passenger_id}`).emit('wallet_update', {
+                    type: 'payment',
+                    amount: cancellationFee.amount,
+                    new_balance: cancellationFee.passenger_balance
+                });
+                req.io.to(`user_${ride.driver_id}`).emit('wallet_update', {
+                    type: 'earnings',
+                    amount: cancellationFee.amount,
+                    new_balance: cancellationFee.driver_balance
+                });
+            }
         }
 
-        res.json({ success: true, message: "Corrida cancelada." });
+        res.json({ success: true, message: "Corrida cancelada.", cancellation_fee: feeInfo });
 
     } catch (e) {
         await client.query('ROLLBACK');
@@ -723,9 +1165,33 @@ exports.negotiatePrice = async (req, res) => {
         }
 
         const history = ride.negotiation_history || [];
+        const expired = negotiationService.expireStaleProposals(history);
+
+        if (history.some(p => p.status === 'pending')) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: "Já existe uma proposta aguardando resposta.", code: "PROPOSAL_PENDING" });
+        }
+
+        const violation = negotiationService.validateProposal(ride, parseFloat(proposed_price));
+        if (violation) {
+            // As propostas vencidas ficam gravadas e as duas partes são avisadas na mesma
+            if (expired.length > 0) {
+                await client.query(
+                    "UPDATE rides SET negotiation_history = $1 WHERE id = $2",
+                    [JSON.stringify(history), ride_id]
+                );
+                await client.query('COMMIT');
+                expired.forEach(p => negotiationService.notifyExpired(req.io, ride, p));
+            } else {
+                await client.query('ROLLBACK');
+            }
+            return res.status(400).json(violation);
+        }
+
         const proposal = {
             proposed_by: userRole,
             proposed_at: new Date().toISOString(),
+            expires_at: negotiationService.proposalExpiresAt(),
             original_price: parseFloat(ride.initial_price),
             proposed_price: parseFloat(proposed_price),
             reason: reason || null,
@@ -741,6 +1207,8 @@ exports.negotiatePrice = async (req, res) => {
 
         await client.query('COMMIT');
 
+        expired.forEach(p => negotiationService.notifyExpired(req.io, ride, p));
+
         const targetId = userRole === 'driver' ? ride.passenger_id : ride.driver_id;
         if (req.io && targetId) {
             req.io.to(`user_${targetId}`).emit('price_proposal', {
@@ -804,9 +1272,20 @@ exports.respondToNegotiation = async (req, res) => {
         }
 
         const history = ride.negotiation_history || [];
+        const expired = negotiationService.expireStaleProposals(history);
         const pendingProposals = history.filter(p => p.status === 'pending');
 
         if (pendingProposals.length === 0) {
+            if (expired.length > 0) {
+                await client.query(
+                    "UPDATE rides SET negotiation_history = $1 WHERE id = $2",
+                    [JSON.stringify(history), ride_id]
+                );
+                await client.query('COMMIT');
+                expired.forEach(p => negotiationService.notifyExpired(req.io, ride, p));
+                return res.status(410).json({ error: "A proposta expirou.", code: "PROPOSAL_EXPIRED" });
+            }
+
             await client.query('ROLLBACK');
             return res.status(404).json({ error: "Nenhuma proposta pendente encontrada." });
         }
@@ -871,7 +1350,12 @@ exports.getHistory = async (req, res) => {
             ORDER BY r.created_at DESC LIMIT 50
         `;
         const result = await pool.query(query, [userId]);
-        res.json(result.rows);
+
+        // O PIN de embarque é só do passageiro
+        const rows = result.rows.map(({ start_pin, ...ride }) =>
+            ride.passenger_id === userId ? { ...ride, start_pin } : ride
+        );
+        res.json(rows);
     } catch (e) {
         logError('RIDE_HISTORY', e);
         res.status(500).json({ error: "Erro ao buscar histórico." });
@@ -885,6 +1369,13 @@ exports.getRideDetails = async (req, res) => {
     try {
         const fullRide = await getFullRideDetails(req.params.id);
         if (!fullRide) return res.status(404).json({ error: "Corrida não encontrada." });
+
+        // PIN de embarque visível apenas para o passageiro enquanto a viagem não começou
+        if (req.user && fullRide.passenger_id === req.user.id && ['accepted', 'arrived'].includes(fullRide.status)) {
+            const pinRes = await pool.query("SELECT start_pin FROM rides WHERE id = $1", [fullRide.id]);
+            fullRide.start_pin = pinRes.rows[0]?.start_pin || null;
+        }
+
         res.json(fullRide);
     } catch (e) {
         logError('GET_RIDE_DETAILS', e);
@@ -901,6 +1392,7 @@ exports.getDriverPerformance = async (req, res) => {
             SELECT
                 COUNT(*) as missions,
                 COALESCE(SUM(final_price), 0) as earnings,
+                COALESCE(SUM(commission_amount), 0) as commission,
                 COALESCE(AVG(rating), 0) as avg_rating
             FROM rides
             WHERE driver_id = $1 AND status = 'completed' AND created_at >= CURRENT_DATE
@@ -910,15 +1402,46 @@ exports.getDriverPerformance = async (req, res) => {
         const recentQuery = `SELECT * FROM rides WHERE driver_id = $1 AND status = 'completed' ORDER BY created_at DESC LIMIT 5`;
         const recentRes = await pool.query(recentQuery, [req.user.id]);
 
-        const totalQuery = `SELECT COUNT(*) as total FROM rides WHERE driver_id = $1 AND status = 'completed'`;
+        const totalQuery = `
+            SELECT COUNT(*) as total,
+                   COALESCE(SUM(final_price), 0) as gross,
+                   COALESCE(SUM(commission_amount), 0) as commission
+            FROM rides WHERE driver_id = $1 AND status = 'completed'
+        `;
         const totalRes = await pool.query(totalQuery, [req.user.id]);
 
+        const profileRes = await pool.query(`
+            SELECT
+                COALESCE(u.driver_cancellations, 0) as cancellations,
+                COALESCE(u.rating, 5.00) as rating,
+                (SELECT COUNT(*) FROM ride_ratings WHERE rated_id = u.id) as ratings_count
+            FROM users u WHERE u.id = $1
+        `, [req.user.id]);
+        const profile = profileRes.rows[0] || {};
+
+        // Fiabilidade: taxas móveis de aceitação das ofertas e de cancelamento
+        const reliability = await driverMetricsService.getDriverRates(req.user.id) || {};
+
         res.json({
             success: true,
             todayEarnings: parseFloat(statsRes.rows[0].earnings),
+            // Bruto = valor pago pelos passageiros; líquido = bruto - comissão da plataforma
+            todayGrossEarnings: parseFloat(statsRes.rows[0].earnings),
+            todayCommission: parseFloat(statsRes.rows[0].commission),
+            todayNetEarnings: parseFloat(statsRes.rows[0].earnings) - parseFloat(statsRes.rows[0].commission),
             missionsCount: parseInt(statsRes.rows[0].missions),
             averageRating: parseFloat(statsRes.rows[0].avg_rating) || 5.0,
             totalMissions: parseInt(totalRes.rows[0].total),
+            totalGrossEarnings: parseFloat(totalRes.rows[0].gross),
+            totalCommission: parseFloat(totalRes.rows[0].commission),
+            totalNetEarnings: parseFloat(totalRes.rows[0].gross) - parseFloat(totalRes.rows[0].commission),
+            driverCancellations: parseInt(profile.cancellations || 0),
+            rating: parseFloat(profile.rating) || 5.0,
+            ratingsCount: parseInt(profile.ratings_count || 0),
+            acceptanceRate: reliability.acceptance_rate ?? null,
+            cancellationRate: reliability.cancellation_rate ?? null,
+            offersReceived: reliability.offers_received || 0,
+            metricsWindowDays: reliability.window_days,
             recentRides: recentRes.rows
         });
     } catch (e) {
@@ -927,6 +1450,981 @@ exports.getDriverPerformance = async (req, res) => {
     }
 };
 
+// =================================================================================================
+// 13. RECUSAR OFERTA DE CORRIDA (DESPACHO SEQUENCIAL)
+// =================================================================================================
+exports.declineRide = async (req, res) => {
+    const { ride_id } = req.body;
+    const driverId = req.user.id;
+
+    if (!ride_id) {
+        return res.status(400).json({ error: "ID da corrida é obrigatório." });
+    }
+
+    try {
+        const declined = await dispatchService.declineOffer(ride_id, driverId);
+
+        if (!declined) {
+            return res.status(409).json({
+                error: "Não existe oferta ativa desta corrida para você.",
+                code: "OFFER_EXPIRED"
+            });
+        }
+
+        logSystem('RIDE_DECLINE', `Motorista ${driverId} recusou a corrida ${ride_id}`);
+        res.json({ success: true, message: "Oferta recusada." });
+    } catch (e) {
+        logError('RIDE_DECLINE', e);
+        res.status(500).json({ error: "Erro ao recusar oferta." });
+    }
+};
+
+// =================================================================================================
+// 14. ESTIMATIVA DE TARIFA (SEM CRIAR CORRIDA)
+// =================================================================================================
+exports.estimateFare = async (req, res) => {
+    const query = req.query;
+    const originLat = parseFloat(query.origin_lat || query.originLat);
+    const originLng = parseFloat(query.origin_lng || query.originLng);
+    const destLat = parseFloat(query.dest_lat || query.destLat);
+    const destLng = parseFloat(query.dest_lng || query.destLng);
+    const rideType = query.ride_type || 'ride';
+
+    if (!originLat || !originLng || !destLat || !destLng) {
+        return res.status(400).json({
+            error: "Coordenadas GPS incompletas ou inválidas.",
+            code: "INVALID_COORDINATES"
+        });
+    }
+
+    if (!['ride', 'moto', 'delivery'].includes(rideType)) {
+        return res.status(400).json({ error: "Tipo de corrida inválido.", code: "INVALID_RIDE_TYPE" });
+    }
+
+    const parsedStops = _parseStops(query.stops);
+    if (parsedStops.error) {
+        return res.status(400).json({ error: parsedStops.error, code: "INVALID_STOPS" });
+    }
+
+    try {
+        const distance = pricingService.resolveDistanceKm(query, originLat, originLng, destLat, destLng, parsedStops.stops);
+        const zonePricing = await _resolveZonePricing(originLat, originLng);
+        if (zonePricing.error) {
+            return res.status(422).json({ error: zonePricing.error, code: "OUTSIDE_SERVICE_AREA" });
+        }
+
+        const surge = await surgeService.getSurge(originLat, originLng);
+        const estimatedPrice = pricingService.calculateFare(zonePricing.prices, rideType, distance, surge.multiplier);
+
+        const drivers = await exports.findAvailableDrivers(originLat, originLng, SYSTEM_CONFIG.RIDES.MAX_RADIUS_KM, { rideType: rideType });
+
+        // ETA: a partir do motorista com GPS válido mais próximo
+        let nearestKm = null;
+        for (const driver of drivers) {
+            const lat = parseFloat(driver.lat);
+            const lng = parseFloat(driver.lng);
+            if (!lat || !lng) continue;
+            const km = getDistance(originLat, originLng, lat, lng);
+            if (nearestKm === null || km < nearestKm) nearestKm = km;
+        }
+
+        res.json({
+            success: true,
+            estimate: {
+                ride_type: rideType,
+                distance_km: distance,
+                stops_count: parsedStops.stops.length,
+                price: estimatedPrice,
+                surge_multiplier: surge.multiplier,
+                zone: zonePricing.zone ? { id: zonePricing.zone.id, name: zonePricing.zone.name } : null,
+                currency: SYSTEM_CONFIG.CURRENCY
+            },
+            nearby_drivers: drivers.length,
+            pickup_eta_minutes: pricingService.estimatePickupEta(nearestKm),
+            nearest_driver_km: nearestKm
+        });
+    } catch (e) {
+        logError('FARE_ESTIMATE', e);
+        res.status(500).json({ error: "Erro ao calcular estimativa." });
+    }
+};
+
+// =================================================================================================
+// 15. CORRIDAS AGENDADAS
+// =================================================================================================
+
+/**
+ * Valida o horário de embarque dentro da janela permitida.
+ * @returns {{ date: Date }|{ error: string }}
+ */
+function _parseScheduledAt(value) {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) {
+        return { error: "Horário de embarque inválido." };
+    }
+
+    const minAdvance = (SYSTEM_CONFIG.RIDES.SCHEDULE_MIN_ADVANCE_MINUTES || 30) * 60 * 1000;
+    const maxAdvance = (SYSTEM_CONFIG.RIDES.SCHEDULE_MAX_ADVANCE_DAYS || 7) * 24 * 60 * 60 * 1000;
+    const diff = date.getTime() - Date.now();
+
+    if (diff < minAdvance) {
+        return { error: `Agende com pelo menos ${SYSTEM_CONFIG.RIDES.SCHEDULE_MIN_ADVANCE_MINUTES} minutos de antecedência.` };
+    }
+    if (diff > maxAdvance) {
+        return { error: `Só é possível agendar até ${SYSTEM_CONFIG.RIDES.SCHEDULE_MAX_ADVANCE_DAYS} dias de antecedência.` };
+    }
+
+    return { date: date };
+}
+
+exports.scheduleRide = async (req, res) => {
+    const body = req.body;
+    const originLat = parseFloat(body.origin_lat || body.originLat);
+    const originLng = parseFloat(body.origin_lng || body.originLng);
+    const destLat = parseFloat(body.dest_lat || body.destLat);
+    const destLng = parseFloat(body.dest_lng || body.destLng);
+    const passengerId = req.user.id;
+    const rideType = body.ride_type || 'ride';
+
+    if (!originLat || !originLng || !destLat || !destLng) {
+        return res.status(400).json({
+            error: "Coordenadas GPS incompletas ou inválidas.",
+            code: "INVALID_COORDINATES"
+        });
+    }
+
+    const schedule = _parseScheduledAt(body.scheduled_at);
+    if (schedule.error) {
+        return res.status(400).json({ error: schedule.error, code: "INVALID_SCHEDULE" });
+    }
+
+    const parsedStops = _parseStops(body.stops);
+    if (parsedStops.error) {
+        return res.status(400).json({ error: parsedStops.error, code: "INVALID_STOPS" });
+    }
+
+    const paymentMethod = _parsePaymentMethod(body.payment_method);
+    if (!paymentMethod) {
+        return res.status(400).json({ error: `Forma de pagamento inválida. Use: ${PAYMENT_METHODS.join(', ')}.`, code: "INVALID_PAYMENT_METHOD" });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const distance = pricingService.resolveDistanceKm(body, originLat, originLng, destLat, destLng, parsedStops.stops);
+        const zonePricing = await _resolveZonePricing(originLat, originLng, client);
+        if (zonePricing.error) {
+            await client.query('ROLLBACK');
+            return res.status(422).json({ error: zonePricing.error, code: "OUTSIDE_SERVICE_AREA" });
+        }
+        const estimatedPrice = pricingService.calculateFare(zonePricing.prices, rideType, distance);
+
+        const result = await client.query(`
+            INSERT INTO rides (
+                passenger_id, origin_lat, origin_lng, dest_lat, dest_lng,
+                origin_name, dest_name, initial_price, final_price,
+                ride_type, distance_km, status, scheduled_at, zone_id, payment_method, created_at, updated_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $10, 'scheduled', $11, $12, $13, NOW(), NOW())
+            RETURNING *
+        `, [
+            passengerId, originLat, originLng, destLat, destLng,
+            body.origin_name || 'Origem', body.dest_name || 'Destino',
+            estimatedPrice, rideType, distance, schedule.date,
+            zonePricing.zone ? zonePricing.zone.id : null,
+            paymentMethod
+        ]);
+
+        const ride = result.rows[0];
+        await _insertStops(client, ride.id, parsedStops.stops);
+        await rideStateMachine.recordEvent(client, ride.id, null, 'scheduled', { id: passengerId, role: 'passenger' });
+        await client.query('COMMIT');
+
+        logSystem('RIDE_SCHEDULE', `Corrida ${ride.id} agendada para ${schedule.date.toISOString()} pelo passageiro ${passengerId}`);
+
+        if (req.io) {
+            req.io.to('drivers').emit('scheduled_ride_available', {
+                ride_id: ride.id,
+                scheduled_at: ride.scheduled_at,
+                origin_name: ride.origin_name,
+                dest_name: ride.dest_name,
+                ride_type: ride.ride_type,
+                initial_price: estimatedPrice,
+                distance_km: distance
+            });
+        }
+
+        res.status(201).json({ success: true, message: "Corrida agendada com sucesso.", ride: { ...ride, stops: parsedStops.stops } });
+    } catch (e) {
+        await client.query('ROLLBACK');
+        logError('RIDE_SCHEDULE', e);
+        res.status(500).json({ error: "Erro ao agendar corrida." });
+    } finally {
+        client.release();
+    }
+};
+
+exports.getScheduledRides = async (req, res) => {
+    const userId = req.user.id;
+    try {
+        // Passageiro: as suas corridas agendadas. Motorista: as que pré-aceitou.
+        const column = req.user.role === 'driver' ? 'scheduled_driver_id' : 'passenger_id';
+        const result = await pool.query(`
+            SELECT r.*, d.name as scheduled_driver_name, d.photo as scheduled_driver_photo
+            FROM rides r
+            LEFT JOIN users d ON r.scheduled_driver_id = d.id
+            WHERE r.${column} = $1 AND r.status = 'scheduled'
+            ORDER BY r.scheduled_at ASC
+        `, [userId]);
+        res.json(result.rows);
+    } catch (e) {
+        logError('RIDE_SCHEDULED_LIST', e);
+        res.status(500).json({ error: "Erro ao buscar corridas agendadas." });
+    }
+};
+
+exports.getAvailableScheduledRides = async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT r.id, r.scheduled_at, r.origin_name, r.dest_name,
+                   r.origin_lat, r.origin_lng, r.dest_lat, r.dest_lng,
+                   r.initial_price, r.distance_km, r.ride_type,
+                   p.name as passenger_name, p.rating as passenger_rating
+            FROM rides r
+            JOIN users p ON r.passenger_id = p.id
+            WHERE r.status = 'scheduled' AND r.scheduled_driver_id IS NULL AND r.passenger_id != $1
+            ORDER BY r.scheduled_at ASC
+            LIMIT 50
+        `, [req.user.id]);
+        res.json(result.rows);
+    } catch (e) {
+        logError('RIDE_SCHEDULED_AVAILABLE', e);
+        res.status(500).json({ error: "Erro ao buscar corridas agendadas." });
+    }
+};
+
+exports.updateScheduledRide = async (req, res) => {
+    const rideId = req.params.id;
+    const body = req.body;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const check = await client.query("SELECT * FROM rides WHERE id = $1 FOR UPDATE", [rideId]);
+        if (check.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: "Corrida não encontrada." });
+        }
+
+        const ride = check.rows[0];
+        if (ride.passenger_id !== req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: "Acesso negado." });
+        }
+        if (ride.status !== 'scheduled') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: "Apenas corridas agendadas podem ser editadas.", code: "NOT_SCHEDULED" });
+        }
+
+        let scheduledAt = ride.scheduled_at;
+        if (body.scheduled_at) {
+            const schedule = _parseScheduledAt(body.scheduled_at);
+            if (schedule.error) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: schedule.error, code: "INVALID_SCHEDULE" });
+            }
+            scheduledAt = schedule.date;
+        }
+
+        const originLat = parseFloat(body.origin_lat || ride.origin_lat);
+        const originLng = parseFloat(body.origin_lng || ride.origin_lng);
+        const destLat = parseFloat(body.dest_lat || ride.dest_lat);
+        const destLng = parseFloat(body.dest_lng || ride.dest_lng);
+        const rideType = body.ride_type || ride.ride_type;
+
+        // Distância recalculada no servidor, passando pelas paragens gravadas (a distance_km
+        // do cliente não é aceite numa edição)
+        const routeChanged = body.origin_lat || body.origin_lng || body.dest_lat || body.dest_lng;
+        let distance = parseFloat(ride.distance_km);
+        if (routeChanged) {
+            const stopsRes = await client.query(
+                "SELECT lat, lng FROM ride_stops WHERE ride_id = $1 ORDER BY stop_order ASC",
+                [rideId]
+            );
+            const stops = stopsRes.rows.map(s => ({ lat: parseFloat(s.lat), lng: parseFloat(s.lng) }));
+            distance = pricingService.resolveDistanceKm({}, originLat, originLng, destLat, destLng, stops);
+        }
+
+        const zonePricing = await _resolveZonePricing(originLat, originLng, client);
+        if (zonePricing.error) {
+            await client.query('ROLLBACK');
+            return res.status(422).json({ error: zonePricing.error, code: "OUTSIDE_SERVICE_AREA" });
+        }
+        const estimatedPrice = pricingService.calculateFare(zonePricing.prices, rideType, distance);
+
+        // Mudança de horário invalida o pré-aceite (o motorista aceitou outro horário)
+        const timeChanged = new Date(scheduledAt).getTime() !== new Date(ride.scheduled_at).getTime();
+        const releasedDriverId = timeChanged ? ride.scheduled_driver_id : null;
+
+        const result = await client.query(`
+            UPDATE rides SET
+                origin_lat = $1, origin_lng = $2, dest_lat = $3, dest_lng = $4,
+                origin_name = COALESCE($5, origin_name),
+                dest_name = COALESCE($6, dest_name),
+                ride_type = $7,
+                distance_km = $8,
+                initial_price = $9,
+                final_price = $9,
+                scheduled_at = $10,
+                scheduled_driver_id = CASE WHEN $11 THEN NULL ELSE scheduled_driver_id END,
+                reminder_sent_at = CASE WHEN $11 THEN NULL ELSE reminder_sent_at END,
+                zone_id = $13,
+                updated_at = NOW()
+            WHERE id = $12
+            RETURNING *
+        `, [
+            originLat, originLng, destLat, destLng,
+            body.origin_name || null, body.dest_name || null,
+            rideType, distance, estimatedPrice, scheduledAt, timeChanged, rideId,
+            zonePricing.zone ? zonePricing.zone.id : null
+        ]);
+
+        await client.query('COMMIT');
+
+        if (req.io && releasedDriverId) {
+            req.io.to(`user_${releasedDriverId}`).emit('scheduled_ride_released', {
+                ride_id: ride.id,
+                message: 'O passageiro alterou o horário da corrida agendada.'
+            });
+        }
+
+        res.json({ success: true, message: "Corrida agendada atualizada.", ride: result.rows[0] });
+    } catch (e) {
+        await client.query('ROLLBACK');
+        logError('RIDE_SCHEDULED_UPDATE', e);
+        res.status(500).json({ error: "Erro ao atualizar corrida agendada." });
+    } finally {
+        client.release();
+    }
+};
+
+exports.cancelScheduledRide = async (req, res) => {
+    const rideId = req.params.id;
+    const reason = req.body?.reason || 'Agendamento cancelado pelo passageiro';
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const rideRes = await client.query(
+            "SELECT * FROM rides WHERE id = $1 AND passenger_id = $2 AND status = 'scheduled' FOR UPDATE",
+            [rideId, req.user.id]
+        );
+
+        if (rideRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: "Corrida agendada não encontrada.", code: "NOT_SCHEDULED" });
+        }
+
+        const ride = rideRes.rows[0];
+        const cancelled = await rideStateMachine.transition(client, ride, 'cancelled', { id: req.user.id, role: 'passenger' }, {
+            fields: { cancelled_by: 'passenger', cancellation_reason: reason },
+            metadata: { reason: reason }
+        });
+        if (cancelled.error) {
+            await client.query('ROLLBACK');
+            return res.status(cancelled.status).json({ error: cancelled.error, code: cancelled.code });
+        }
+
+        await client.query('COMMIT');
+        rideStateMachine.afterCommit(req.io, cancelled);
+
+        if (req.io && ride.scheduled_driver_id) {
+            req.io.to(`user_${ride.scheduled_driver_id}`).emit('scheduled_ride_cancelled', {
+                ride_id: ride.id,
+                message: 'O passageiro cancelou a corrida agendada.'
+            });
+        }
+
+        res.json({ success: true, message: "Agendamento cancelado." });
+    } catch (e) {
+        await client.query('ROLLBACK');
+        logError('RIDE_SCHEDULED_CANCEL', e);
+        res.status(500).json({ error: "Erro ao cancelar agendamento." });
+    } finally {
+        client.release();
+    }
+};
+
+exports.preAcceptScheduledRide = async (req, res) => {
+    const rideId = req.params.id;
+    const driverId = req.user.id;
+    try {
+        const result = await pool.query(`
+            UPDATE rides SET scheduled_driver_id = $1, reminder_sent_at = NULL, updated_at = NOW()
+            WHERE id = $2 AND status = 'scheduled' AND scheduled_driver_id IS NULL AND passenger_id != $1
+            RETURNING *
+        `, [driverId, rideId]);
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({
+                error: "Corrida agendada indisponível ou já pré-aceite por outro motorista.",
+                code: "SCHEDULE_TAKEN"
+            });
+        }
+
+        const ride = result.rows[0];
+        logSystem('RIDE_SCHEDULE', `Motorista ${driverId} pré-aceitou a corrida ${rideId}`);
+
+        if (req.io) {
+            req.io.to(`user_${ride.passenger_id}`).emit('scheduled_ride_pre_accepted', {
+                ride_id: ride.id,
+                driver_id: driverId,
+                driver_name: req.user.name,
+                scheduled_at: ride.scheduled_at
+            });
+        }
+
+        res.json({ success: true, message: "Corrida agendada pré-aceite.", ride: ride });
+    } catch (e) {
+        logError('RIDE_SCHEDULED_PREACCEPT', e);
+        res.status(500).json({ error: "Erro ao pré-aceitar corrida." });
+    }
+};
+
+exports.releaseScheduledRide = async (req, res) => {
+    const rideId = req.params.id;
+    const driverId = req.user.id;
+    try {
+        const result = await pool.query(`
+            UPDATE rides SET scheduled_driver_id = NULL, reminder_sent_at = NULL, updated_at = NOW()
+            WHERE id = $1 AND status = 'scheduled' AND scheduled_driver_id = $2
+            RETURNING id, passenger_id
+        `, [rideId, driverId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: "Pré-aceite não encontrado.", code: "NOT_PRE_ACCEPTED" });
+        }
+
+        if (req.io) {
+            req.io.to(`user_${result.rows[0].passenger_id}`).emit('scheduled_ride_released', {
+                ride_id: result.rows[0].id,
+                message: 'O motorista desistiu da corrida agendada. Outro motorista será procurado.'
+            });
+        }
+
+        res.json({ success: true, message: "Pré-aceite removido." });
+    } catch (e) {
+        logError('RIDE_SCHEDULED_RELEASE', e);
+        res.status(500).json({ error: "Erro ao remover pré-aceite." });
+    }
+};
+
+// =================================================================================================
+// 16. PARAGENS INTERMÉDIAS (MULTI-STOP)
+// =================================================================================================
+exports.markStopReached = async (req, res) => {
+    const { ride_id, stop_order } = req.body;
+    const driverId = req.user.id;
+
+    console.log(`📍 [STOP_REACHED] Ride: ${ride_id}, Stop: ${stop_order || 'próxima'}`);
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const check = await client.query("SELECT driver_id, passenger_id, status FROM rides WHERE id = $1 FOR UPDATE", [ride_id]);
+        if (check.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: "Corrida não encontrada." });
+        }
+
+        const ride = check.rows[0];
+        if (ride.driver_id !== driverId) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: "Acesso negado." });
+        }
+        if (ride.status !== 'ongoing') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: "A viagem precisa estar em curso para marcar paragens.", code: "INVALID_STATUS" });
+        }
+
+        // Só a próxima paragem pendente pode ser marcada (as paragens seguem a ordem do pedido)
+        const stopRes = await client.query(
+            "SELECT * FROM ride_stops WHERE ride_id = $1 AND status = 'pending' ORDER BY stop_order ASC LIMIT 1 FOR UPDATE",
+            [ride_id]
+        );
+
+        if (stopRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: "Nenhuma paragem pendente encontrada.", code: "STOP_NOT_FOUND" });
+        }
+
+        const stop = stopRes.rows[0];
+        if (stop_order && parseInt(stop_order) !== stop.stop_order) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: `As paragens devem ser marcadas por ordem. A próxima é a paragem ${stop.stop_order}.`,
+                code: "STOP_OUT_OF_ORDER",
+                next_stop_order: stop.stop_order
+            });
+        }
+        const updated = await client.query(
+            "UPDATE ride_stops SET status = 'reached', reached_at = NOW() WHERE id = $1 RETURNING *",
+            [stop.id]
+        );
+
+        const remainingRes = await client.query(
+            "SELECT COUNT(*) as total FROM ride_stops WHERE ride_id = $1 AND status = 'pending'",
+            [ride_id]
+        );
+
+        await client.query("UPDATE rides SET updated_at = NOW() WHERE id = $1", [ride_id]);
+        await client.query('COMMIT');
+
+        const remaining = parseInt(remainingRes.rows[0].total);
+        const fullRide = await getFullRideDetails(ride_id);
+
+        const payload = {
+            ride_id: ride_id,
+            stop: updated.rows[0],
+            remaining_stops: remaining,
+            ride: fullRide
+        };
+
+        if (req.io) {
+            req.io.to(`ride_${ride_id}`).emit('ride_stop_reached', payload);
+            req.io.to(`user_${ride.passenger_id}`).emit('ride_stop_reached', payload);
+        }
+
+        res.json({ success: true, status: 'stop_reached', ...payload });
+
+    } catch (e) {
+        await client.query('ROLLBACK');
+        logError('RIDE_STOP_REACHED', e);
+        res.status(500).json({ error: "Erro ao marcar paragem." });
+    } finally {
+        client.release();
+    }
+};
+
+// =================================================================================================
+// 17. AVALIAÇÕES (PASSAGEIRO <-> MOTORISTA)
+// =================================================================================================
+exports.rateRide = async (req, res) => {
+    const rideId = req.params.id;
+    const userId = req.user.id;
+    const rating = parseInt(req.body.rating);
+    const comment = req.body.comment ? String(req.body.comment).trim().substring(0, 500) : null;
+
+    if (!rating || rating < 1 || rating > 5) {
+        return res.status(400).json({ error: "A avaliação deve ser um número de 1 a 5.", code: "INVALID_RATING" });
+    }
+
+    // Tags livres do app (ex: "Pontual", "Carro limpo"), limitadas em quantidade e tamanho
+    const tags = Array.isArray(req.body.tags)
+        ? req.body.tags.filter(t => typeof t === 'string' && t.trim()).map(t => t.trim().substring(0, 40)).slice(0, 5)
+        : [];
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const rideRes = await client.query("SELECT id, passenger_id, driver_id, status FROM rides WHERE id = $1 FOR UPDATE", [rideId]);
+        if (rideRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: "Corrida não encontrada." });
+        }
+
+        const ride = rideRes.rows[0];
+        if (ride.status !== 'completed') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: "Só é possível avaliar corridas finalizadas.", code: "RIDE_NOT_COMPLETED" });
+        }
+
+        let raterRole;
+        let ratedId;
+        if (ride.passenger_id === userId) {
+            raterRole = 'passenger';
+            ratedId = ride.driver_id;
+        } else if (ride.driver_id === userId) {
+            raterRole = 'driver';
+            ratedId = ride.passenger_id;
+        } else {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: "Acesso negado." });
+        }
+
+        const inserted = await client.query(`
+            INSERT INTO ride_ratings (ride_id, rater_id, rated_id, rater_role, rating, comment, tags)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (ride_id, rater_id) DO NOTHING
+            RETURNING *
+        `, [rideId, userId, ratedId, raterRole, rating, comment, JSON.stringify(tags)]);
+
+        if (inserted.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: "Você já avaliou esta corrida.", code: "ALREADY_RATED" });
+        }
+
+        // `rides.rating` guarda a nota do passageiro ao motorista (usada nas estatísticas do motorista)
+        if (raterRole === 'passenger') {
+            await client.query(
+                "UPDATE rides SET rating = $1, feedback = $2, updated_at = NOW() WHERE id = $3",
+                [rating, comment, rideId]
+            );
+        }
+
+        // Média móvel das últimas RATING_WINDOW avaliações recebidas
+        const updated = await client.query(`
+            UPDATE users SET rating = COALESCE((
+                SELECT ROUND(AVG(last.rating)::numeric, 2) FROM (
+                    SELECT rating FROM ride_ratings
+                    WHERE rated_id = $1
+                    ORDER BY created_at DESC
+                    LIMIT $2
+                ) last
+            ), 5.00)
+            WHERE id = $1
+            RETURNING rating
+        `, [ratedId, SYSTEM_CONFIG.RIDES.RATING_WINDOW || 100]);
+
+        await client.query('COMMIT');
+
+        const newRating = parseFloat(updated.rows[0]?.rating || 5);
+
+        if (req.io) {
+            req.io.to(`user_${ratedId}`).emit('rating_received', {
+                ride_id: ride.id,
+                rating: rating,
+                tags: tags,
+                new_average: newRating
+            });
+        }
+
+        logSystem('RIDE_RATING', `Corrida ${rideId}: ${raterRole} ${userId} avaliou ${ratedId} com ${rating} estrelas.`);
+
+        res.status(201).json({ success: true, message: "Avaliação registada.", rating: inserted.rows[0] });
+
+    } catch (e) {
+        await client.query('ROLLBACK');
+        logError('RIDE_RATING', e);
+        res.status(500).json({ error: "Erro ao registar avaliação." });
+    } finally {
+        client.release();
+    }
+};
+
+// =================================================================================================
+// 18. SOS (BOTÃO DE PÂNICO)
+// =================================================================================================
+exports.triggerSos = async (req, res) => {
+    const rideId = req.params.id || req.body.ride_id;
+    const userId = parseInt(req.user.id);
+
+    if (!rideId) {
+        return res.status(400).json({ error: "ID da corrida é obrigatório.", code: "MISSING_RIDE_ID" });
+    }
+
+    try {
+        const result = await sosService.triggerSos(req.io, {
+            rideId: rideId,
+            userId: userId,
+            message: req.body.message ? String(req.body.message).trim().substring(0, 500) : null,
+            lat: req.body.lat,
+            lng: req.body.lng
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(result.created ? 201 : 200).json({
+            success: true,
+            message: "Alerta SOS enviado. A equipa de segurança foi avisada.",
+            incident: {
+                id: result.incident.id,
+                status: result.incident.status,
+                created_at: result.incident.created_at,
+                contacts_notified: result.incident.contacts_notified
+            }
+        });
+    } catch (e) {
+        logError('RIDE_SOS', e);
+        res.status(500).json({ error: "Erro ao enviar alerta SOS." });
+    }
+};
+
+// =================================================================================================
+// 19. RECIBO DA CORRIDA (HTML / PDF)
+// =================================================================================================
+exports.getReceipt = async (req, res) => {
+    const rideId = req.params.id;
+    const userId = req.user.id;
+    const format = (req.query.format || (req.accepts(['html', 'application/pdf']) === 'application/pdf' ? 'pdf' : 'html')).toLowerCase();
+
+    if (!['html', 'pdf'].includes(format)) {
+        return res.status(400).json({ error: "Formato inválido. Use 'html' ou 'pdf'.", code: "INVALID_FORMAT" });
+    }
+
+    try {
+        const rideRes = await pool.query("SELECT passenger_id, driver_id, status FROM rides WHERE id = $1", [rideId]);
+        const ride = rideRes.rows[0];
+
+        if (!ride) {
+            return res.status(404).json({ error: "Corrida não encontrada." });
+        }
+        if (ride.passenger_id !== userId && ride.driver_id !== userId && req.user.role !== 'admin') {
+            return res.status(403).json({ error: "Acesso negado." });
+        }
+        if (ride.status !== 'completed') {
+            return res.status(409).json({ error: "O recibo só está disponível após a conclusão da corrida.", code: "RIDE_NOT_COMPLETED" });
+        }
+
+        const receipt = await receiptService.getReceipt(rideId);
+
+        if (format === 'pdf') {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="recibo-${receipt.receipt_number}.pdf"`);
+            return res.send(receiptService.renderPdf(receipt));
+        }
+
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.send(receiptService.renderHtml(receipt));
+    } catch (e) {
+        logError('RIDE_RECEIPT', e);
+        res.status(500).json({ error: "Erro ao gerar recibo." });
+    }
+};
+
+// =================================================================================================
+// 20. EXTRATOS DE GANHOS DO MOTORISTA
+// =================================================================================================
+
+/**
+ * Envia o extrato no formato pedido (json, csv ou pdf).
+ */
+function _sendStatement(res, statement, format) {
+    const filename = `extrato-${statement.period.start}-${statement.period.end}`;
+
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        return res.send(driverStatementService.renderCsv(statement));
+    }
+    if (format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        return res.send(driverStatementService.renderPdf(statement));
+    }
+
+    res.json({ success: true, statement: statement });
+}
+
+function _statementFormat(req) {
+    const format = String(req.query.format || 'json').toLowerCase();
+    return ['json', 'csv', 'pdf'].includes(format) ? format : null;
+}
+
+/**
+ * GET /api/rides/driver/statements?period=daily|weekly|monthly&date=AAAA-MM-DD
+ * GET /api/rides/driver/statements?from=AAAA-MM-DD&to=AAAA-MM-DD
+ * Extrato calculado no momento (&format=json|csv|pdf).
+ */
+exports.getDriverStatement = async (req, res) => {
+    const format = _statementFormat(req);
+    if (!format) {
+        return res.status(400).json({ error: "Formato inválido. Use 'json', 'csv' ou 'pdf'.", code: "INVALID_FORMAT" });
+    }
+
+    const period = driverStatementService.resolvePeriod(req.query);
+    if (period.error) {
+        return res.status(400).json({ error: period.error, code: period.code });
+    }
+
+    try {
+        const statement = await driverStatementService.buildStatement(req.user.id, period.start, period.end, period.period);
+        _sendStatement(res, statement, format);
+    } catch (e) {
+        logError('DRIVER_STATEMENT', e);
+        res.status(500).json({ error: "Erro ao gerar extrato." });
+    }
+};
+
+/**
+ * GET /api/rides/driver/statements/weekly - Extratos semanais congelados (mais recentes primeiro).
+ */
+exports.getWeeklyStatements = async (req, res) => {
+    try {
+        const statements = await driverStatementService.listWeeklyStatements(req.user.id);
+        res.json({ success: true, statements: statements });
+    } catch (e) {
+        logError('DRIVER_STATEMENT_LIST', e);
+        res.status(500).json({ error: "Erro ao listar extratos." });
+    }
+};
+
+/**
+ * GET /api/rides/driver/statements/weekly/:id?format=json|csv|pdf - Download do extrato congelado.
+ */
+exports.getWeeklyStatement = async (req, res) => {
+    const format = _statementFormat(req);
+    if (!format) {
+        return res.status(400).json({ error: "Formato inválido. Use 'json', 'csv' ou 'pdf'.", code: "INVALID_FORMAT" });
+    }
+
+    try {
+        const statement = await driverStatementService.getWeeklyStatement(req.params.id, req.user.id);
+        if (!statement) {
+            return res.status(404).json({ error: "Extrato não encontrado.", code: "STATEMENT_NOT_FOUND" });
+        }
+
+        _sendStatement(res, statement, format);
+    } catch (e) {
+        logError('DRIVER_STATEMENT_DOWNLOAD', e);
+        res.status(500).json({ error: "Erro ao obter extrato." });
+    }
+};
+
+// =================================================================================================
+// 21. GORJETA AO MOTORISTA
+// =================================================================================================
+
+/**
+ * POST /api/rides/tip { ride_id, amount }
+ * Gorjeta do passageiro ao motorista pela carteira, uma por corrida, até
+ * `RIDES.TIP_WINDOW_HOURS` após a conclusão.
+ * A gorjeta é integralmente do motorista: não paga comissão nem abate a dívida de comissões.
+ */
+exports.tipDriver = async (req, res) => {
+    const { ride_id } = req.body;
+    const passengerId = req.user.id;
+    const amount = parseFloat(req.body.amount);
+    const windowHours = SYSTEM_CONFIG.RIDES?.TIP_WINDOW_HOURS || 24;
+    const maxAmount = SYSTEM_CONFIG.RIDES?.TIP_MAX_AMOUNT || 50000;
+
+    if (!ride_id) {
+        return res.status(400).json({ error: "ID da corrida é obrigatório." });
+    }
+    if (!Number.isFinite(amount) || amount <= 0 || amount > maxAmount) {
+        return res.status(400).json({ error: `Valor da gorjeta inválido (máximo ${maxAmount} Kz).`, code: "INVALID_AMOUNT" });
+    }
+
+    const tipAmount = parseFloat(amount.toFixed(2));
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const rideRes = await client.query(`
+            SELECT id, passenger_id, driver_id, status, tip_amount,
+                   completed_at >= NOW() - ($2 || ' hours')::INTERVAL as within_window
+            FROM rides WHERE id = $1 FOR UPDATE
+        `, [ride_id, windowHours]);
+
+        if (rideRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: "Corrida não encontrada." });
+        }
+
+        const ride = rideRes.rows[0];
+
+        if (ride.passenger_id !== passengerId) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: "Apenas o passageiro da corrida pode dar gorjeta." });
+        }
+        if (ride.status !== 'completed' || !ride.driver_id) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: "A gorjeta só está disponível após a conclusão da corrida.", code: "RIDE_NOT_COMPLETED" });
+        }
+        if (!ride.within_window) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: `O prazo para gorjeta (${windowHours}h após a corrida) terminou.`, code: "TIP_WINDOW_EXPIRED" });
+        }
+        if (parseFloat(ride.tip_amount) > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: "Já deu gorjeta nesta corrida.", code: "TIP_ALREADY_SENT" });
+        }
+
+        const paxRes = await client.query("SELECT balance FROM users WHERE id = $1 FOR UPDATE", [passengerId]);
+        const paxBalance = parseFloat(paxRes.rows[0]?.balance || 0);
+
+        if (paxBalance < tipAmount) {
+            await client.query('ROLLBACK');
+            return res.status(402).json({
+                error: "Saldo insuficiente na carteira.",
+                code: "INSUFFICIENT_FUNDS"
+            });
+        }
+
+        const paxUpdate = await client.query(
+            "UPDATE users SET balance = balance - $1, updated_at = NOW() WHERE id = $2 RETURNING balance",
+            [tipAmount, passengerId]
+        );
+        const driverUpdate = await client.query(
+            "UPDATE users SET balance = balance + $1, updated_at = NOW() WHERE id = $2 RETURNING balance",
+            [tipAmount, ride.driver_id]
+        );
+        const passengerBalance = parseFloat(paxUpdate.rows[0].balance);
+        const driverBalance = parseFloat(driverUpdate.rows[0].balance);
+
+        const txRef = generateRef('TIP');
+
+        await client.query(
+            `INSERT INTO wallet_transactions (reference_id, user_id, sender_id, receiver_id, amount, type, method, status, description, balance_after, category, ride_id)
+             VALUES ($1, $2, $2, $3, $4, 'tip', 'wallet', 'completed', $5, $6, 'tip', $7)`,
+            [txRef, passengerId, ride.driver_id, -tipAmount, `Gorjeta da corrida #${ride_id}`, passengerBalance, ride_id]
+        );
+
+        await client.query(
+            `INSERT INTO wallet_transactions (reference_id, user_id, sender_id, receiver_id, amount, type, method, status, description, balance_after, category, ride_id)
+             VALUES ($1, $2, $3, $2, $4, 'tip', 'wallet', 'completed', $5, $6, 'tip', $7)`,
+            [`${txRef}-REC`, ride.driver_id, passengerId, tipAmount, `Gorjeta recebida da corrida #${ride_id}`, driverBalance, ride_id]
+        );
+
+        await client.query(
+            "UPDATE rides SET tip_amount = $1, tipped_at = NOW() WHERE id = $2",
+            [tipAmount, ride_id]
+        );
+
+        await client.query('COMMIT');
+        logSystem('RIDE_TIP', `Corrida ${ride_id}: passageiro ${passengerId} deu ${tipAmount} Kz de gorjeta ao motorista ${ride.driver_id}.`);
+
+        if (req.io) {
+            req.io.to(`user_${ride.driver_id}`).emit('wallet_update', {
+                type: 'tip',
+                amount: tipAmount,
+                ride_id: ride.id,
+                new_balance: driverBalance
+            });
+            req.io.to(`user_${passengerId}`).emit('wallet_update', {
+                type: 'tip',
+                amount: -tipAmount,
+                ride_id: ride.id,
+                new_balance: passengerBalance
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Gorjeta enviada. Obrigado!",
+            tip: { ride_id: ride.id, amount: tipAmount, transaction_id: txRef },
+            new_balance: passengerBalance
+        });
+
+    } catch (e) {
+        await client.query('ROLLBACK');
+        logError('RIDE_TIP', e);
+        res.status(500).json({ error: "Erro ao enviar gorjeta." });
+    } finally {
+        client.release();
+    }
+};
+
 // =================================================================================================
 // EXPORTAR TODOS OS MÉTODOS
 // =================================================================================================
@@ -0,0 +1,92 @@
+/**
+ * =================================================================================================
+ * 🔗 AOTRAVEL SERVER PRO - TRIP SHARING CONTROLLER (TITANIUM EDITION)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/controllers/shareController.js
+ * DESCRIÇÃO: Partilha pública (só leitura) de uma corrida em andamento.
+ *            - O passageiro cria/revoga links (rotas autenticadas em /api/rides/:id/share).
+ *            - Qualquer pessoa com o token consulta /api/share/:token, sem login.
+ *
+ * EVENTOS SOCKET:
+ * - watch_shared_trip { token } -> shared_trip_snapshot + driver_location_update em tempo real
+ * - shared_trip_ended           -> observadores (corrida concluída/cancelada)
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const { logError } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+const rideShareService = require('../services/rideShareService');
+
+/**
+ * URL pública do link. Usa PUBLIC_URL quando o servidor está atrás de proxy/CDN.
+ */
+function _buildShareUrl(req, token) {
+    const base = SYSTEM_CONFIG.SERVER.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base.replace(/\/$/, '')}/api/share/${token}`;
+}
+
+/**
+ * CRIAR LINK DE PARTILHA (Passageiro)
+ * Rota: POST /api/rides/:id/share
+ */
+const createShareLink = async (req, res) => {
+    try {
+        const result = await rideShareService.createShareLink(req.params.id, req.user.id);
+
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error, code: result.code });
+        }
+
+        res.status(201).json({
+            success: true,
+            token: result.link.token,
+            url: _buildShareUrl(req, result.link.token),
+            expires_at: result.link.expires_at
+        });
+    } catch (e) {
+        logError('SHARE_LINK_CREATE', e);
+        res.status(500).json({ success: false, error: "Erro ao gerar link de partilha." });
+    }
+};
+
+/**
+ * REVOGAR LINKS DE PARTILHA (Passageiro)
+ * Rota: DELETE /api/rides/:id/share
+ */
+const revokeShareLinks = async (req, res) => {
+    try {
+        const revoked = await rideShareService.revokeShareLinks(req.io, req.params.id, req.user.id);
+        res.json({ success: true, revoked: revoked });
+    } catch (e) {
+        logError('SHARE_LINK_REVOKE', e);
+        res.status(500).json({ success: false, error: "Erro ao revogar links de partilha." });
+    }
+};
+
+/**
+ * VER CORRIDA PARTILHADA (Público)
+ * Rota: GET /api/share/:token
+ */
+const getSharedTrip = async (req, res) => {
+    try {
+        const access = await rideShareService.resolveToken(req.params.token);
+        if (access.error) {
+            return res.status(access.status).json({ success: false, error: access.error, code: access.code });
+        }
+
+        const trip = await rideShareService.getSharedTrip(access.rideId);
+        res.json({ success: true, expires_at: access.expiresAt, trip: trip });
+    } catch (e) {
+        logError('SHARE_LINK_VIEW', e);
+        res.status(500).json({ success: false, error: "Erro ao carregar a corrida partilhada." });
+    }
+};
+
+module.exports = {
+    createShareLink,
+    revokeShareLinks,
+    getSharedTrip
+};
@@ -21,6 +21,8 @@ const pool = require('../config/db');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const { logSystem, logError, generateRef } = require('../utils/helpers');
+const commissionService = require('../services/commissionService');
+const cancellationDebtService = require('../services/cancellationDebtService');
 
 // =================================================================================================
 // 🔐 HELPER: VERIFICAR PIN (BLINDADO)
@@ -53,7 +55,7 @@ exports.getWalletData = async (req, res) => {
 
         const userRes = await pool.query(
             `SELECT balance, bonus_points, wallet_account_number, wallet_status,
-                    daily_limit, daily_limit_used, account_tier, phone,
+                    daily_limit, daily_limit_used, account_tier, phone, role, commission_debt,
                     (wallet_pin_hash IS NOT NULL) as has_pin
              FROM users WHERE id = $1`,
             [userId]
@@ -86,6 +88,14 @@ exports.getWalletData = async (req, res) => {
             [userId]
         );
 
+        // Motoristas: dívida de comissões das corridas em dinheiro
+        let commissionDebt = null;
+        if (userData.role === 'driver') {
+            const debt = parseFloat(userData.commission_debt) || 0;
+            const limit = await commissionService.getMaxDriverDebt();
+            commissionDebt = { amount: debt, limit: limit, dispatch_blocked: debt > limit };
+        }
+
         res.json({
             balance: parseFloat(userData.balance) || 0,
             bonus_points: userData.bonus_points || 0,
@@ -99,7 +109,8 @@ exports.getWalletData = async (req, res) => {
             },
             recent_transactions: txRes.rows || [],
             bank_accounts: accountsRes.rows || [],
-            cards: cardsRes.rows || []
+            cards: cardsRes.rows || [],
+            commission_debt: commissionDebt
         });
 
     } catch (error) {
@@ -270,10 +281,36 @@ exports.topup = async (req, res) => {
             [ref, userId, val, method, newBalance]
         );
 
+        // Motoristas com dívida de comissões: abatida do carregamento
+        const settlement = await commissionService.settleDriverDebt(client, userId, val, 'topup');
+
+        // Passageiros com taxas de cancelamento em dívida: pagas com o novo saldo
+        const feeSettlement = await cancellationDebtService.settleCancellationDebt(client, userId, 'topup');
+        const finalBalance = feeSettlement && feeSettlement.amount > 0
+            ? feeSettlement.new_balance
+            : (settlement ? settlement.new_balance : newBalance);
+
         await client.query('COMMIT');
-        if (req.io) req.io.to(`user_${userId}`).emit('wallet_update', { type: 'topup', amount: val, new_balance: newBalance });
+        cancellationDebtService.notifySettledDrivers(req.io, feeSettlement);
+        if (req.io) {
+            req.io.to(`user_${userId}`).emit('wallet_update', {
+                type: 'topup',
+                amount: val,
+                new_balance: finalBalance,
+                debt_settled: settlement ? settlement.amount : 0
+            });
+        }
 
-        res.json({ success: true, message: 'Fundos adicionados.', new_balance: newBalance, reference: ref });
+        res.json({
+            success: true,
+            message: 'Fundos adicionados.',
+            new_balance: finalBalance,
+            reference: ref,
+            commission_debt_settled: settlement ? settlement.amount : 0,
+            commission_debt_remaining: settlement ? settlement.remaining_debt : undefined,
+            cancellation_fees_settled: feeSettlement ? feeSettlement.amount : 0,
+            cancellation_debt_remaining: feeSettlement ? feeSettlement.remaining_debt : undefined
+        });
     } catch (error) {
         await client.query('ROLLBACK');
         res.status(500).json({ error: 'Erro interno ao processar recarga.' });
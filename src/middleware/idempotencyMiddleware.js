@@ -0,0 +1,198 @@
+/**
+ * =================================================================================================
+ * 🔁 AOTRAVEL SERVER PRO - IDEMPOTENCY GUARD (RETRY SHIELD)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/middleware/idempotencyMiddleware.js
+ * DESCRIÇÃO: Protege operações sensíveis contra reenvios de clientes em redes instáveis.
+ *            1. O cliente envia uma chave única por ação (header `Idempotency-Key` no REST,
+ *               campo `idempotency_key` no payload do socket).
+ *            2. A primeira execução bem-sucedida fica gravada em `idempotency_keys`.
+ *            3. Reenvios com a mesma chave e o mesmo payload recebem a resposta gravada,
+ *               sem executar o controller outra vez.
+ *            4. A mesma chave com payload diferente é rejeitada (IDEMPOTENCY_KEY_REUSED).
+ *
+ * ESTRATÉGIA:
+ * - A chave é reservada (linha sem resposta) antes de executar; um pedido paralelo com a
+ *   mesma chave recebe 409 IDEMPOTENCY_REQUEST_IN_PROGRESS.
+ * - Só respostas de sucesso (< 400) são gravadas. Erros não têm efeitos (ROLLBACK) e
+ *   libertam a chave para o cliente tentar novamente.
+ * - A resposta só é enviada depois de gravada: um reenvio que chegue logo a seguir já encontra
+ *   a resposta em vez de IDEMPOTENCY_REQUEST_IN_PROGRESS.
+ * - Os campos de identidade que a socket bridge lê do payload (passenger_id, driver_id,
+ *   user_id, role) não entram no hash: o utilizador já faz parte da chave, e assim o reenvio
+ *   REST de um pedido feito por socket é reconhecido.
+ * - Sem chave, o pedido segue normalmente (compatível com clientes antigos).
+ *
+ * USO:
+ *   router.post('/topup', requireActiveWallet, idempotent('wallet.topup'), walletController.topup);
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const crypto = require('crypto');
+const pool = require('../config/db');
+const { logError } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+
+const WINDOW_HOURS = SYSTEM_CONFIG.SECURITY?.IDEMPOTENCY_WINDOW_HOURS || 24;
+const PROCESSING_TIMEOUT_SECONDS = SYSTEM_CONFIG.SECURITY?.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS || 120;
+const MAX_KEY_LENGTH = 255;
+
+// =================================================================================================
+// 1. UTILITÁRIOS
+// =================================================================================================
+
+/**
+ * Serialização com chaves ordenadas: o mesmo payload gera sempre o mesmo hash,
+ * independentemente da ordem dos campos enviada pelo cliente.
+ */
+function _stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(_stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${_stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash do pedido, sem a própria chave e sem os campos de identidade do socket.
+ */
+function _hashPayload(body) {
+    const { idempotency_key, passenger_id, driver_id, user_id, role, ...payload } = body || {};
+    return crypto.createHash('sha256').update(_stableStringify(payload)).digest('hex');
+}
+
+/**
+ * Header REST ou campo do payload (socket bridge, que não tem headers).
+ */
+function _extractKey(req) {
+    const header = req.headers && req.headers['idempotency-key'];
+    return header || (req.body && req.body.idempotency_key) || null;
+}
+
+// =================================================================================================
+// 2. MIDDLEWARE
+// =================================================================================================
+
+/**
+ * Cria o middleware para um endpoint lógico. O mesmo nome deve ser usado no REST e no
+ * socket, para que um reenvio por outro canal também seja reconhecido.
+ * @param {string} endpoint - Ex: 'ride.request', 'wallet.transfer'
+ */
+function idempotent(endpoint) {
+    return async function (req, res, next) {
+        const key = _extractKey(req);
+        const userId = req.user && req.user.id;
+
+        if (!key || !userId) return next();
+
+        if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({
+                error: `Idempotency-Key inválida (texto até ${MAX_KEY_LENGTH} caracteres).`,
+                code: 'INVALID_IDEMPOTENCY_KEY'
+            });
+        }
+
+        const requestHash = _hashPayload(req.body);
+
+        try {
+            // Reserva a chave. Linhas expiradas (janela) ou abandonadas (processamento
+            // interrompido, ex: queda do servidor) são reaproveitadas.
+            const reserved = await pool.query(`
+                INSERT INTO idempotency_keys (user_id, endpoint, idem_key, request_hash)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (user_id, endpoint, idem_key) DO UPDATE SET
+                    request_hash = EXCLUDED.request_hash,
+                    status_code = NULL,
+                    response = NULL,
+                    created_at = NOW(),
+                    completed_at = NULL
+                WHERE idempotency_keys.created_at < NOW() - ($5 || ' hours')::INTERVAL
+                   OR (idempotency_keys.completed_at IS NULL
+                       AND idempotency_keys.created_at < NOW() - ($6 || ' seconds')::INTERVAL)
+                RETURNING id
+            `, [userId, endpoint, key, requestHash, WINDOW_HOURS, PROCESSING_TIMEOUT_SECONDS]);
+
+            if (reserved.rows.length === 0) {
+                const existing = await pool.query(
+                    "SELECT request_hash, status_code, response, completed_at FROM idempotency_keys WHERE user_id = $1 AND endpoint = $2 AND idem_key = $3",
+                    [userId, endpoint, key]
+                );
+                const record = existing.rows[0];
+
+                // Removida entre as duas queries (erro no pedido original): o cliente repete
+                if (!record) {
+                    return res.status(409).json({
+                        error: 'Pedido em processamento. Tente novamente em instantes.',
+                        code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+                    });
+                }
+
+                if (record.request_hash !== requestHash) {
+                    return res.status(422).json({
+                        error: 'Esta Idempotency-Key já foi usada com outro pedido.',
+                        code: 'IDEMPOTENCY_KEY_REUSED'
+                    });
+                }
+
+                if (!record.completed_at) {
+                    return res.status(409).json({
+                        error: 'Pedido em processamento. Tente novamente em instantes.',
+                        code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+                    });
+                }
+
+                if (typeof res.set === 'function') res.set('Idempotent-Replayed', 'true');
+                return res.status(record.status_code).json(record.response);
+            }
+
+            const recordId = reserved.rows[0].id;
+            const originalJson = res.json;
+
+            // Intercepta a resposta do controller para gravar (sucesso) ou libertar (erro) a chave
+            // antes de a enviar ao cliente
+            res.json = function (payload) {
+                res.json = originalJson;
+                const statusCode = res.statusCode || 200;
+
+                const persist = statusCode < 400
+                    ? pool.query(
+                        "UPDATE idempotency_keys SET status_code = $1, response = $2, completed_at = NOW() WHERE id = $3",
+                        [statusCode, JSON.stringify(payload ?? null), recordId]
+                    )
+                    : pool.query("DELETE FROM idempotency_keys WHERE id = $1", [recordId]);
+
+                persist
+                    .catch(e => logError('IDEMPOTENCY_STORE', e))
+                    .then(() => originalJson.call(this, payload));
+
+                return this;
+            };
+
+            next();
+        } catch (e) {
+            // Falha do guarda não deve bloquear a operação
+            logError('IDEMPOTENCY', e);
+            next();
+        }
+    };
+}
+
+/**
+ * Remove chaves fora da janela de repetição (job de fundo).
+ * @returns {Promise<number>} - Quantidade de chaves removidas
+ */
+async function purgeExpiredKeys() {
+    const result = await pool.query(
+        "DELETE FROM idempotency_keys WHERE created_at < NOW() - ($1 || ' hours')::INTERVAL",
+        [WINDOW_HOURS]
+    );
+    return result.rowCount;
+}
+
+module.exports = {
+    idempotent,
+    purgeExpiredKeys
+};
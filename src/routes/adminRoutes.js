@@ -16,6 +16,9 @@
  * - Financeiro: /wallet/adjust (Estornos, Créditos Manuais)
  * - Relatórios: /reports (Geração de CSV/JSON)
  * - Configurações: /settings (Hot-Reload de variáveis)
+ * - Tarifa dinâmica: /surge (Procura/oferta por zona)
+ * - Zonas de serviço: /zones (Polígonos e tarifas por zona)
+ * - Segurança: /sos (Incidentes do botão de pânico)
  *
  * VERSÃO: 11.0.0-GOLD-ARMORED
  * DATA: 2026.02.11
@@ -87,4 +90,46 @@ router.get('/settings', adminController.getSettings);
 // PUT /api/admin/settings/:key - Atualizar configuração (Hot-Reload)
 router.put('/settings/:key', adminController.updateSetting);
 
+// =================================================================================================
+// 7. AUDITORIA DE CORRIDAS
+// =================================================================================================
+// GET /api/admin/rides/:id/route - Replay da rota GPS gravada (disputas)
+router.get('/rides/:id/route', adminController.getRideRouteReplay);
+
+// GET /api/admin/rides/:id/events - Auditoria das mudanças de status
+router.get('/rides/:id/events', adminController.getRideEvents);
+
+// POST /api/admin/rides/:id/reset-pin - Novo PIN de embarque após bloqueio
+router.post('/rides/:id/reset-pin', adminController.resetRidePin);
+
+// =================================================================================================
+// 8. TARIFA DINÂMICA
+// =================================================================================================
+// GET /api/admin/surge - Procura/oferta e multiplicador por zona
+router.get('/surge', adminController.getSurgeMap);
+
+// =================================================================================================
+// 9. ZONAS DE SERVIÇO
+// =================================================================================================
+// GET /api/admin/zones - Listar zonas (com motoristas online e corridas do dia)
+router.get('/zones', adminController.getZones);
+
+// POST /api/admin/zones - Criar zona (polígono + tarifa opcional)
+router.post('/zones', adminController.createZone);
+
+// PUT /api/admin/zones/:id - Atualizar zona
+router.put('/zones/:id', adminController.updateZone);
+
+// DELETE /api/admin/zones/:id - Desativar zona
+router.delete('/zones/:id', adminController.deleteZone);
+
+// =================================================================================================
+// 10. INCIDENTES SOS
+// =================================================================================================
+// GET /api/admin/sos - Listar incidentes (filtro opcional ?status=open)
+router.get('/sos', adminController.getSosIncidents);
+
+// PUT /api/admin/sos/:id - Reconhecer ou resolver incidente
+router.put('/sos/:id', adminController.updateSosIncident);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * =================================================================================================
+ * 🏷️ AOTRAVEL SERVER PRO - RIDE BIDDING ROUTES
+ * =================================================================================================
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+const bidController = require('../controllers/bidController');
+const { authenticateToken, requireDriver } = require('../middleware/authMiddleware');
+
+// Todas as rotas exigem autenticação
+router.use(authenticateToken);
+
+// GET /api/rides/:ride_id/bids - Passageiro lista os lances pendentes
+router.get('/', bidController.listBids);
+
+// POST /api/rides/:ride_id/bids - Motorista envia (ou atualiza) lance
+router.post('/', requireDriver, bidController.placeBid);
+
+// DELETE /api/rides/:ride_id/bids/:bid_id - Motorista retira o lance
+router.delete('/:bid_id', requireDriver, bidController.withdrawBid);
+
+// POST /api/rides/:ride_id/bids/:bid_id/accept - Passageiro escolhe o lance
+router.post('/:bid_id/accept', bidController.acceptBid);
+
+module.exports = router;
@@ -15,6 +15,7 @@
  * /api/wallet  -> Transações Financeiras
  * /api/admin   -> Painel Administrativo
  * /api/chat    -> Mensagens e Comunicação
+ * /api/share   -> Acompanhamento público de corridas (sem login)
  *
  * VERSÃO: 11.0.0-GOLD-ARMORED
  * DATA: 2026.02.11
@@ -33,6 +34,7 @@ const rideRoutes = require('./rideRoutes');
 const walletRoutes = require('./walletRoutes');
 const adminRoutes = require('./adminRoutes');
 const chatRoutes = require('./chatRoutes');
+const shareRoutes = require('./shareRoutes');
 
 // =================================================================================================
 // 1. MAPEAMENTO DE MÓDULOS
@@ -44,6 +46,7 @@ router.use('/rides', rideRoutes);
 router.use('/wallet', walletRoutes);
 router.use('/admin', adminRoutes);
 router.use('/chat', chatRoutes);
+router.use('/share', shareRoutes);
 
 // =================================================================================================
 // 2. ROTAS DE COMPATIBILIDADE E ALIASES
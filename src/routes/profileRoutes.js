@@ -13,6 +13,7 @@
  * - Segurança: POST /change-password
  * - Mídia: POST /photo
  * - Compliance: POST /documents (KYC)
+ * - SOS: GET|POST /trusted-contacts, PUT|DELETE /trusted-contacts/:id
  *
  * VERSÃO: 11.0.0-GOLD-ARMORED
  * DATA: 2026.02.11
@@ -53,6 +54,22 @@ router.put('/settings', profileController.updateSettings);
 // POST /api/profile/change-password - Alterar senha (requer senha atual)
 router.post('/change-password', profileController.changePassword);
 
+// =================================================================================================
+// CONTACTOS DE CONFIANÇA (SOS)
+// =================================================================================================
+
+// GET /api/profile/trusted-contacts - Listar contactos avisados em caso de SOS
+router.get('/trusted-contacts', profileController.getTrustedContacts);
+
+// POST /api/profile/trusted-contacts - Adicionar contacto
+router.post('/trusted-contacts', profileController.addTrustedContact);
+
+// PUT /api/profile/trusted-contacts/:id - Atualizar contacto
+router.put('/trusted-contacts/:id', profileController.updateTrustedContact);
+
+// DELETE /api/profile/trusted-contacts/:id - Remover contacto
+router.delete('/trusted-contacts/:id', profileController.deleteTrustedContact);
+
 // =================================================================================================
 // ROTAS DE UPLOAD (MÍDIA E DOCUMENTOS)
 // =================================================================================================
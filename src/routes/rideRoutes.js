@@ -18,10 +18,13 @@ const router = express.Router();
 
 // ✅ Importações CORRETAS
 const rideController = require('../controllers/rideController');
-const { authenticateToken, requireDriver } = require('../middleware/authMiddleware');
+const shareController = require('../controllers/shareController');
+const { authenticateToken, requireDriver, requireActiveWallet } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotencyMiddleware');
 
 // ✅ Importar as rotas de negociação (como router)
 const negotiationRoutes = require('./negotiationRoutes');
+const bidRoutes = require('./bidRoutes');
 
 // =================================================================================================
 // MIDDLEWARE DE AUTENTICAÇÃO PARA TODAS AS ROTAS
@@ -35,27 +38,73 @@ router.use(authenticateToken);
 // GET /api/rides/driver/performance-stats - Performance do motorista
 router.get('/driver/performance-stats', requireDriver, rideController.getDriverPerformance);
 
+// GET /api/rides/driver/statements - Extrato de ganhos (?period=daily|weekly|monthly&date= ou ?from=&to=, &format=json|csv|pdf)
+router.get('/driver/statements', requireDriver, rideController.getDriverStatement);
+
+// GET /api/rides/driver/statements/weekly - Extratos semanais congelados
+router.get('/driver/statements/weekly', requireDriver, rideController.getWeeklyStatements);
+
+// GET /api/rides/driver/statements/weekly/:id - Download do extrato semanal (?format=json|csv|pdf)
+router.get('/driver/statements/weekly/:id', requireDriver, rideController.getWeeklyStatement);
+
 // GET /api/rides/history - Histórico de corridas
 router.get('/history', rideController.getHistory);
 
+// GET /api/rides/estimate - Estimativa de tarifa, motoristas próximos e ETA (não cria corrida)
+router.get('/estimate', rideController.estimateFare);
+
+// =================================================================================================
+// CORRIDAS AGENDADAS
+// =================================================================================================
+
+// POST /api/rides/schedule - Agendar corrida (embarque futuro)
+router.post('/schedule', rideController.scheduleRide);
+
+// GET /api/rides/scheduled - Corridas agendadas (passageiro) ou pré-aceites (motorista)
+router.get('/scheduled', rideController.getScheduledRides);
+
+// GET /api/rides/scheduled/available - Corridas agendadas sem motorista
+router.get('/scheduled/available', requireDriver, rideController.getAvailableScheduledRides);
+
+// PUT /api/rides/scheduled/:id - Editar corrida agendada
+router.put('/scheduled/:id', rideController.updateScheduledRide);
+
+// DELETE /api/rides/scheduled/:id - Cancelar corrida agendada
+router.delete('/scheduled/:id', rideController.cancelScheduledRide);
+
+// POST /api/rides/scheduled/:id/pre-accept - Motorista pré-aceita a corrida
+router.post('/scheduled/:id/pre-accept', requireDriver, rideController.preAcceptScheduledRide);
+
+// POST /api/rides/scheduled/:id/release - Motorista desiste do pré-aceite
+router.post('/scheduled/:id/release', requireDriver, rideController.releaseScheduledRide);
+
 // =================================================================================================
 // ROTAS TRANSACIONAIS (CICLO DE VIDA)
 // =================================================================================================
 
-// POST /api/rides/request - Solicitar nova corrida
-router.post('/request', rideController.requestRide);
+// POST /api/rides/request - Solicitar nova corrida (aceita header Idempotency-Key)
+router.post('/request', idempotent('ride.request'), rideController.requestRide);
 
 // POST /api/rides/accept - Aceitar corrida
 router.post('/accept', requireDriver, rideController.acceptRide);
 
+// POST /api/rides/decline - Recusar oferta (passa ao próximo motorista)
+router.post('/decline', requireDriver, rideController.declineRide);
+
 // POST /api/rides/update-status - Atualizar status
 router.post('/update-status', requireDriver, rideController.updateStatus);
 
 // POST /api/rides/start - Iniciar viagem
 router.post('/start', requireDriver, rideController.startRide);
 
-// POST /api/rides/complete - Finalizar viagem
-router.post('/complete', requireDriver, rideController.completeRide);
+// POST /api/rides/stop-reached - Marcar paragem intermédia como alcançada
+router.post('/stop-reached', requireDriver, rideController.markStopReached);
+
+// POST /api/rides/complete - Finalizar viagem (aceita header Idempotency-Key)
+router.post('/complete', requireDriver, idempotent('ride.complete'), rideController.completeRide);
+
+// POST /api/rides/tip - Gorjeta ao motorista após a corrida (aceita header Idempotency-Key)
+router.post('/tip', requireActiveWallet, idempotent('ride.tip'), rideController.tipDriver);
 
 // POST /api/rides/cancel - Cancelar corrida
 router.post('/cancel', rideController.cancelRide);
@@ -65,10 +114,28 @@ router.post('/cancel', rideController.cancelRide);
 // =================================================================================================
 router.use('/:ride_id/negotiate', negotiationRoutes);
 
+// Leilão de tarifa (lances de motoristas sobre a oferta do passageiro)
+router.use('/:ride_id/bids', bidRoutes);
+
 // =================================================================================================
 // ROTAS DINÂMICAS (COM :id) - DEVEM VIR POR ÚLTIMO
 // =================================================================================================
 
+// GET /api/rides/:id/receipt - Recibo da corrida concluída (?format=html|pdf)
+router.get('/:id/receipt', rideController.getReceipt);
+
+// POST /api/rides/:id/share - Passageiro gera link público de acompanhamento
+router.post('/:id/share', shareController.createShareLink);
+
+// DELETE /api/rides/:id/share - Passageiro revoga os links ativos
+router.delete('/:id/share', shareController.revokeShareLinks);
+
+// POST /api/rides/:id/sos - Botão de pânico (passageiro ou motorista da corrida)
+router.post('/:id/sos', rideController.triggerSos);
+
+// POST /api/rides/:id/rate - Avaliar corrida (passageiro -> motorista ou motorista -> passageiro)
+router.post('/:id/rate', rideController.rateRide);
+
 // GET /api/rides/:id - Detalhes da corrida
 router.get('/:id', rideController.getRideDetails);
 
@@ -0,0 +1,17 @@
+/**
+ * =================================================================================================
+ * 🔗 AOTRAVEL SERVER PRO - PUBLIC TRIP SHARING ROUTES
+ * =================================================================================================
+ * Rotas públicas (sem autenticação): o token do link é a única credencial.
+ * A criação/revogação dos links fica em /api/rides/:id/share (autenticado).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const shareController = require('../controllers/shareController');
+
+// GET /api/share/:token - Corrida partilhada (motorista, matrícula, posição e ETA)
+router.get('/:token', shareController.getSharedTrip);
+
+module.exports = router;
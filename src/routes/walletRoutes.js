@@ -25,6 +25,7 @@ const express = require('express');
 const router = express.Router();
 const walletController = require('../controllers/walletController');
 const { authenticateToken, requireActiveWallet } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotencyMiddleware');
 
 // =================================================================================================
 // MIDDLEWARE GLOBAL
@@ -44,10 +45,10 @@ router.get('/', walletController.getWalletData);
 // Estas rotas movimentam dinheiro e exigem status 'active' e 'unblocked'
 
 // POST /api/wallet/transfer/internal - Transferência P2P
-router.post('/transfer/internal', requireActiveWallet, walletController.internalTransfer);
+router.post('/transfer/internal', requireActiveWallet, idempotent('wallet.transfer'), walletController.internalTransfer);
 
 // POST /api/wallet/topup - Recarga de Saldo
-router.post('/topup', requireActiveWallet, walletController.topup);
+router.post('/topup', requireActiveWallet, idempotent('wallet.topup'), walletController.topup);
 
 // POST /api/wallet/withdraw - Saque Bancário
 router.post('/withdraw', requireActiveWallet, walletController.withdraw);
@@ -0,0 +1,50 @@
+/**
+ * =================================================================================================
+ * 🚨 AOTRAVEL SERVER PRO - ADMIN ALERTS (TITANIUM WATCHTOWER)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/adminAlertService.js
+ * DESCRIÇÃO: Alertas operacionais para a equipa de administração.
+ *            1. Grava uma notificação (`notifications`, type `admin_alert`) para cada admin.
+ *            2. Emite `admin_alert` em tempo real para a sala `admins` do Socket.IO.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const { logError, logSystem } = require('../utils/helpers');
+
+/**
+ * Dispara um alerta para todos os administradores.
+ * @param {object} io - Instância do Socket.IO (opcional)
+ * @param {{ type: string, title: string, message: string, severity?: string, data?: object }} alert
+ */
+async function raiseAdminAlert(io, alert) {
+    const payload = {
+        type: alert.type,
+        severity: alert.severity || 'warning',
+        title: alert.title,
+        message: alert.message,
+        data: alert.data || {},
+        created_at: new Date().toISOString()
+    };
+
+    try {
+        await pool.query(`
+            INSERT INTO notifications (user_id, type, title, body, data)
+            SELECT id, 'admin_alert', $1, $2, $3 FROM users WHERE role = 'admin' AND is_blocked = false
+        `, [payload.title, payload.message, JSON.stringify({ alert_type: payload.type, severity: payload.severity, ...payload.data })]);
+    } catch (e) {
+        logError('ADMIN_ALERT', e);
+    }
+
+    if (io) io.to('admins').emit('admin_alert', payload);
+
+    logSystem('ADMIN_ALERT', `[${payload.severity.toUpperCase()}] ${payload.title} - ${payload.message}`);
+    return payload;
+}
+
+module.exports = {
+    raiseAdminAlert
+};
@@ -0,0 +1,107 @@
+/**
+ * =================================================================================================
+ * 🚫 AOTRAVEL SERVER PRO - CANCELLATION DEBT (TITANIUM COLLECTOR)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/cancellationDebtService.js
+ * DESCRIÇÃO: Liquidação das taxas de cancelamento em dívida (`users.cancellation_debt`).
+ *            Corridas que não são pagas pela carteira registam a taxa como dívida, com um par de
+ *            transações `pending` (débito do passageiro / crédito do motorista).
+ *            1. No próximo carregamento, a carteira paga as taxas pendentes (mais antigas primeiro).
+ *            2. No pedido de corrida, a dívida é liquidada com o saldo disponível; se continuar em
+ *               aberto, o pedido é recusado (CANCELLATION_DEBT_OUTSTANDING).
+ *
+ * NOTA: Cada taxa é liquidada por inteiro (sem pagamentos parciais), para que o par de
+ *       transações passe de `pending` a `completed` com os valores originais.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+/**
+ * Paga, com o saldo da carteira, as taxas de cancelamento pendentes do passageiro.
+ * @param {object} db - Client transacional
+ * @param {number} passengerId
+ * @param {string} source - 'topup' | 'ride_request'
+ * @returns {Promise<null|{ amount: number, new_balance: number, remaining_debt: number, drivers: Array<{ driver_id: number, amount: number, new_balance: number }> }>}
+ *          null quando não há dívida
+ */
+async function settleCancellationDebt(db, passengerId, source) {
+    const userRes = await db.query(
+        "SELECT balance, cancellation_debt FROM users WHERE id = $1 FOR UPDATE",
+        [passengerId]
+    );
+    if (userRes.rows.length === 0) return null;
+
+    const debt = parseFloat(userRes.rows[0].cancellation_debt) || 0;
+    if (debt <= 0) return null;
+
+    let balance = parseFloat(userRes.rows[0].balance) || 0;
+    let settled = 0;
+    const drivers = [];
+
+    const pendingRes = await db.query(`
+        SELECT id, reference_id, amount, sender_id, receiver_id, ride_id
+        FROM wallet_transactions
+        WHERE user_id = $1 AND category = 'cancellation_fee' AND status = 'pending' AND amount < 0
+        ORDER BY created_at ASC, id ASC
+    `, [passengerId]);
+
+    for (const tx of pendingRes.rows) {
+        const fee = Math.abs(parseFloat(tx.amount));
+        if (balance < fee) break;
+
+        balance = parseFloat((balance - fee).toFixed(2));
+        settled = parseFloat((settled + fee).toFixed(2));
+
+        const driverRes = await db.query(
+            "UPDATE users SET balance = balance + $1, updated_at = NOW() WHERE id = $2 RETURNING balance",
+            [fee, tx.receiver_id]
+        );
+        const driverBalance = driverRes.rows[0] ? parseFloat(driverRes.rows[0].balance) : null;
+        const metadata = JSON.stringify({ is_debt: true, settled_from: source });
+
+        await db.query(
+            "UPDATE wallet_transactions SET status = 'completed', method = 'wallet', balance_after = $1, metadata = $2, updated_at = NOW() WHERE id = $3",
+            [balance, metadata, tx.id]
+        );
+        await db.query(
+            "UPDATE wallet_transactions SET status = 'completed', method = 'wallet', balance_after = $1, metadata = $2, updated_at = NOW() WHERE reference_id = $3",
+            [driverBalance, metadata, `${tx.reference_id}-REC`]
+        );
+
+        if (driverBalance !== null) {
+            drivers.push({ driver_id: tx.receiver_id, amount: fee, new_balance: driverBalance });
+        }
+    }
+
+    const remainingDebt = parseFloat(Math.max(debt - settled, 0).toFixed(2));
+
+    if (settled > 0) {
+        await db.query(
+            "UPDATE users SET balance = $1, cancellation_debt = $2, updated_at = NOW() WHERE id = $3",
+            [balance, remainingDebt, passengerId]
+        );
+    }
+
+    return { amount: settled, new_balance: balance, remaining_debt: remainingDebt, drivers: drivers };
+}
+
+/**
+ * Avisa os motoristas que receberam taxas liquidadas (depois do COMMIT).
+ */
+function notifySettledDrivers(io, settlement) {
+    if (!io || !settlement) return;
+    for (const credit of settlement.drivers) {
+        io.to(`user_${credit.driver_id}`).emit('wallet_update', {
+            type: 'cancellation_fee',
+            amount: credit.amount,
+            new_balance: credit.new_balance
+        });
+    }
+}
+
+module.exports = {
+    settleCancellationDebt,
+    notifySettledDrivers
+};
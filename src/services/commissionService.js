@@ -0,0 +1,203 @@
+/**
+ * =================================================================================================
+ * 💼 AOTRAVEL SERVER PRO - PLATFORM COMMISSION (TITANIUM REVENUE)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/commissionService.js
+ * DESCRIÇÃO: Comissão da plataforma sobre corridas concluídas.
+ *            1. Percentagem por zona de serviço ou tipo de corrida (`app_settings.ride_commission`),
+ *               com fallback em `RIDES.COMMISSION_DEFAULT_PCT`.
+ *            2. Cada comissão fica no razão da plataforma (`platform_ledger`):
+ *               - wallet: o passageiro paga o total, o motorista recebe o líquido e a comissão
+ *                 entra como receita já liquidada (`revenue` / settled);
+ *               - cash: o motorista fica com o dinheiro todo e a comissão fica como valor a
+ *                 receber do motorista (`receivable` / outstanding).
+ *            3. As comissões em dinheiro acumulam na dívida do motorista (`users.commission_debt`),
+ *               descontada automaticamente dos próximos ganhos em carteira e carregamentos.
+ *               Acima de `max_driver_debt` o motorista deixa de receber corridas.
+ *
+ * CONTROLO ADMIN (PUT /api/admin/settings/ride_commission):
+ *   { "default_pct": 15,
+ *     "by_ride_type": { "moto": 12, "delivery": 10 },
+ *     "by_zone": { "<zone_id>": 18 | { "default": 18, "moto": 14 } },
+ *     "max_driver_debt": 10000 }
+ *   Precedência: zona > tipo de corrida > default_pct.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const { logError, generateRef } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+
+const DEFAULT_PCT = SYSTEM_CONFIG.RIDES?.COMMISSION_DEFAULT_PCT ?? 15;
+const DEFAULT_MAX_DEBT = SYSTEM_CONFIG.RIDES?.DRIVER_MAX_COMMISSION_DEBT ?? 10000;
+
+function _validPct(value) {
+    const pct = parseFloat(value);
+    return Number.isFinite(pct) && pct >= 0 && pct <= 100 ? pct : null;
+}
+
+/**
+ * Configuração do admin (`app_settings.ride_commission`) com fallback no appConfig.
+ */
+async function getCommissionSettings(db = pool) {
+    const defaults = { default_pct: DEFAULT_PCT, by_ride_type: {}, by_zone: {}, max_driver_debt: DEFAULT_MAX_DEBT };
+    try {
+        const settingsRes = await db.query("SELECT value FROM app_settings WHERE key = 'ride_commission'");
+        return { ...defaults, ...(settingsRes.rows[0]?.value || {}) };
+    } catch (e) {
+        logError('COMMISSION_SETTINGS', e);
+        return defaults;
+    }
+}
+
+/**
+ * Percentagem aplicável a uma corrida.
+ * @returns {Promise<number>} - 0 a 100
+ */
+async function getCommissionPct(rideType, zoneId, db = pool) {
+    const settings = await getCommissionSettings(db);
+
+    const zoneRule = zoneId ? (settings.by_zone || {})[String(zoneId)] : undefined;
+    if (zoneRule !== undefined && zoneRule !== null) {
+        const zonePct = typeof zoneRule === 'object'
+            ? _validPct(zoneRule[rideType] ?? zoneRule.default)
+            : _validPct(zoneRule);
+        if (zonePct !== null) return zonePct;
+    }
+
+    const typePct = _validPct((settings.by_ride_type || {})[rideType]);
+    if (typePct !== null) return typePct;
+
+    return _validPct(settings.default_pct) ?? DEFAULT_PCT;
+}
+
+/**
+ * Dívida máxima (Kz) com que um motorista ainda recebe corridas.
+ */
+async function getMaxDriverDebt(db = pool) {
+    const settings = await getCommissionSettings(db);
+    const limit = parseFloat(settings.max_driver_debt);
+    return Number.isFinite(limit) && limit >= 0 ? limit : DEFAULT_MAX_DEBT;
+}
+
+/**
+ * Divide o valor da corrida entre plataforma e motorista (arredondado ao cêntimo).
+ * @returns {{ gross: number, pct: number, commission: number, net: number }}
+ */
+function splitFare(amount, pct) {
+    const gross = parseFloat(amount) || 0;
+    const commission = Math.round(gross * pct) / 100;
+    return {
+        gross: gross,
+        pct: pct,
+        commission: commission,
+        net: parseFloat((gross - commission).toFixed(2))
+    };
+}
+
+/**
+ * Regista a comissão no razão da plataforma (dentro da transação da conclusão).
+ * Em dinheiro, a comissão soma à dívida do motorista.
+ * @param {object} db - Client transacional
+ * @param {{ rideId: number, driverId: number, method: string, split: object }} entry
+ * @returns {Promise<object|null>} - Linha do razão (null se a comissão for zero)
+ */
+async function recordCommission(db, { rideId, driverId, method, split }) {
+    if (!split || split.commission <= 0) return null;
+
+    const isCash = method !== 'wallet';
+    const result = await db.query(`
+        INSERT INTO platform_ledger
+            (reference_id, ride_id, driver_id, entry_type, payment_method, gross_amount, commission_pct, amount, status, settled_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CASE WHEN $10 THEN NOW() END)
+        RETURNING *
+    `, [
+        generateRef('COM'),
+        rideId,
+        driverId,
+        isCash ? 'receivable' : 'revenue',
+        method,
+        split.gross,
+        split.pct,
+        split.commission,
+        isCash ? 'outstanding' : 'settled',
+        !isCash
+    ]);
+
+    if (isCash) {
+        await db.query(
+            "UPDATE users SET commission_debt = COALESCE(commission_debt, 0) + $1, updated_at = NOW() WHERE id = $2",
+            [split.commission, driverId]
+        );
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Desconta a dívida de comissões de um crédito acabado de entrar na carteira do motorista
+ * (ganhos de corrida ou carregamento). Os valores a receber mais antigos são liquidados primeiro.
+ * @param {object} db - Client transacional
+ * @param {number} driverId
+ * @param {number} available - Valor creditado que pode ser usado para abater a dívida
+ * @param {string} source - 'ride_earnings' | 'topup'
+ * @returns {Promise<null|{ amount: number, new_balance: number, remaining_debt: number, reference_id: string }>}
+ */
+async function settleDriverDebt(db, driverId, available, source) {
+    const userRes = await db.query(
+        "SELECT balance, commission_debt FROM users WHERE id = $1 FOR UPDATE",
+        [driverId]
+    );
+    if (userRes.rows.length === 0) return null;
+
+    const debt = parseFloat(userRes.rows[0].commission_debt) || 0;
+    const deduction = parseFloat(Math.min(debt, parseFloat(available) || 0).toFixed(2));
+    if (deduction <= 0) return null;
+
+    const newBalance = parseFloat(userRes.rows[0].balance) - deduction;
+    const remainingDebt = parseFloat((debt - deduction).toFixed(2));
+
+    await db.query(
+        "UPDATE users SET balance = $1, commission_debt = $2, updated_at = NOW() WHERE id = $3",
+        [newBalance, remainingDebt, driverId]
+    );
+
+    const reference = generateRef('DEBT');
+    await db.query(
+        `INSERT INTO wallet_transactions (reference_id, user_id, amount, type, method, status, description, balance_after, category, metadata)
+         VALUES ($1, $2, $3, 'payment', 'internal', 'completed', $4, $5, 'commission', $6)`,
+        [reference, driverId, -deduction, 'Liquidação de comissões de corridas em dinheiro', newBalance,
+            JSON.stringify({ source: source, debt_before: debt, debt_after: remainingDebt })]
+    );
+
+    // FIFO: cada valor a receber é abatido até esgotar o montante descontado
+    await db.query(`
+        WITH ordered AS (
+            SELECT id,
+                   amount - settled_amount AS remaining,
+                   SUM(amount - settled_amount) OVER (ORDER BY created_at, id) AS running
+            FROM platform_ledger
+            WHERE driver_id = $1 AND entry_type = 'receivable' AND status = 'outstanding'
+        )
+        UPDATE platform_ledger l SET
+            settled_amount = l.settled_amount + LEAST(o.remaining, $2 - (o.running - o.remaining)),
+            status = CASE WHEN $2 >= o.running THEN 'settled' ELSE 'outstanding' END,
+            settled_at = CASE WHEN $2 >= o.running THEN NOW() ELSE l.settled_at END
+        FROM ordered o
+        WHERE l.id = o.id AND $2 > o.running - o.remaining
+    `, [driverId, deduction]);
+
+    return { amount: deduction, new_balance: newBalance, remaining_debt: remainingDebt, reference_id: reference };
+}
+
+module.exports = {
+    getCommissionSettings,
+    getCommissionPct,
+    getMaxDriverDebt,
+    splitFare,
+    recordCommission,
+    settleDriverDebt
+};
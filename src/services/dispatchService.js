@@ -0,0 +1,371 @@
+/**
+ * =================================================================================================
+ * 📡 AOTRAVEL SERVER PRO - SEQUENTIAL DISPATCH ENGINE (TITANIUM DISPATCH)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/dispatchService.js
+ * DESCRIÇÃO: Motor de despacho sequencial de corridas.
+ *            Oferece a corrida a UM motorista por vez (o melhor classificado), aguarda
+ *            `DRIVER_ACCEPTANCE_TIMEOUT` segundos e, sem resposta, retira a oferta e passa
+ *            ao próximo candidato. Esgotados os candidatos, alarga o raio de busca em ondas.
+ *
+ * REGRAS:
+ * 1. Apenas o motorista com a oferta ativa pode aceitar a corrida (fim da "corrida" entre motoristas).
+ * 2. Um motorista nunca recebe a mesma corrida duas vezes.
+ * 3. Ofertas expiradas ou recusadas são retiradas com o evento `ride_offer_withdrawn`.
+ * 4. Sem candidatos em nenhuma onda, o passageiro recebe `ride_no_drivers`.
+ * 5. Motoristas com más taxas de aceitação/cancelamento vão para o fim da fila (driverMetricsService).
+ *    Cada oferta e o seu desfecho ficam registados em `driver_offers`.
+ *
+ * 6. Esgotados os candidatos, o estado do despacho fica `exhausted` até a corrida sair da busca:
+ *    ninguém pode aceitar sem uma oferta ativa.
+ *
+ * NOTA: O estado vive em memória (instância única). Após um restart, corridas sem estado
+ *       de despacho só podem ser aceites pelo motorista com uma oferta `pending` ainda dentro
+ *       do prazo em `driver_offers`.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const { getDistance, logError, logSystem } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+const driverMetricsService = require('./driverMetricsService');
+
+// Estado dos despachos em curso (rideId -> estado)
+const activeDispatches = new Map();
+
+const OFFER_TIMEOUT_MS = (SYSTEM_CONFIG.RIDES?.DRIVER_ACCEPTANCE_TIMEOUT || 45) * 1000;
+const RADIUS_STEPS_KM = SYSTEM_CONFIG.RIDES?.DISPATCH_RADIUS_STEPS_KM || [3, 6, 10, 15];
+
+// =================================================================================================
+// 0. HELPERS PRIVADOS
+// =================================================================================================
+
+/**
+ * Ordena os candidatos: mais próximo primeiro, desempate pela melhor avaliação.
+ * Motoristas com má fiabilidade (`poor_performance`) e sem GPS válido ficam no fim da fila.
+ */
+function _rankDrivers(drivers, originLat, originLng) {
+    return drivers
+        .map(driver => {
+            const lat = parseFloat(driver.lat);
+            const lng = parseFloat(driver.lng);
+            const hasGps = lat && lng && lat !== 0 && lng !== 0;
+            return {
+                ...driver,
+                distance_to_pickup: hasGps ? getDistance(originLat, originLng, lat, lng) : Infinity
+            };
+        })
+        .sort((a, b) => {
+            if (Boolean(a.poor_performance) !== Boolean(b.poor_performance)) {
+                return a.poor_performance ? 1 : -1;
+            }
+            if (a.distance_to_pickup !== b.distance_to_pickup) {
+                return a.distance_to_pickup - b.distance_to_pickup;
+            }
+            return parseFloat(b.rating || 0) - parseFloat(a.rating || 0);
+        });
+}
+
+/**
+ * Marca os candidatos com taxas fora dos limites. Sem métricas (erro), a ordem normal prevalece.
+ */
+async function _attachPerformance(drivers) {
+    if (drivers.length === 0) return drivers;
+
+    try {
+        const metrics = await driverMetricsService.getRatesForDrivers(drivers.map(d => d.driver_id));
+        return drivers.map(d => ({
+            ...d,
+            poor_performance: driverMetricsService.isPoorPerformer(metrics.get(String(d.driver_id)))
+        }));
+    } catch (e) {
+        logError('DISPATCH_METRICS', e);
+        return drivers;
+    }
+}
+
+/**
+ * Emite um evento para o motorista (socket direto ou sala pessoal).
+ */
+function _emitToDriver(io, driver, event, data) {
+    if (!io || !driver) return;
+    if (driver.socket_id) {
+        io.to(driver.socket_id).emit(event, data);
+    } else {
+        io.to(`driver_${driver.driver_id}`).emit(event, data);
+    }
+}
+
+/**
+ * Retira a oferta ativa do motorista atual (timeout, recusa ou cancelamento).
+ * Timeout e recusa ficam no histórico do motorista; os restantes casos são resolvidos
+ * quando a corrida sai da busca (`closeRideOffers`).
+ */
+function _withdrawOffer(state, reason) {
+    if (state.timer) {
+        clearTimeout(state.timer);
+        state.timer = null;
+    }
+
+    if (state.currentDriver) {
+        _emitToDriver(state.io, state.currentDriver, 'ride_offer_withdrawn', {
+            ride_id: state.rideId,
+            reason: reason,
+            timestamp: new Date().toISOString()
+        });
+        if (reason === 'timeout' || reason === 'declined') {
+            driverMetricsService.resolveOffer(state.rideId, state.currentDriver.driver_id, reason === 'timeout' ? 'expired' : 'declined')
+                .catch(e => logError('DRIVER_OFFER_RESOLVE', e));
+        }
+
+        state.currentDriver = null;
+    }
+}
+
+/**
+ * Carrega a próxima onda de candidatos, ignorando motoristas já contactados.
+ */
+async function _loadNextWave(state) {
+    const rideController = require('../controllers/rideController');
+
+    while (state.queue.length === 0 && state.waveIndex < RADIUS_STEPS_KM.length) {
+        const radius = RADIUS_STEPS_KM[state.waveIndex];
+        const isLastWave = state.waveIndex === RADIUS_STEPS_KM.length - 1;
+        state.waveIndex++;
+
+        const drivers = await rideController.findAvailableDrivers(
+            state.payload.origin_lat,
+            state.payload.origin_lng,
+            radius,
+            { includeGpsZero: isLastWave, rideType: state.payload.ride_type }
+        );
+
+        const fresh = drivers.filter(d =>
+            !state.offered.has(String(d.driver_id)) &&
+            String(d.driver_id) !== String(state.payload.passenger_id)
+        );
+
+        state.queue = _rankDrivers(await _attachPerformance(fresh), state.payload.origin_lat, state.payload.origin_lng);
+        logSystem('DISPATCH', `Corrida ${state.rideId}: onda ${state.waveIndex} (${radius}km) com ${state.queue.length} candidatos.`);
+    }
+}
+
+/**
+ * Oferece a corrida ao próximo candidato. Retorna o motorista notificado ou null.
+ */
+async function _offerNext(state) {
+    // O despacho pode ter sido encerrado enquanto aguardávamos (aceite/cancelamento)
+    if (activeDispatches.get(state.rideId) !== state) return null;
+
+    const check = await pool.query("SELECT status FROM rides WHERE id = $1", [state.rideId]);
+    if (!check.rows[0] || check.rows[0].status !== 'searching') {
+        activeDispatches.delete(state.rideId);
+        return null;
+    }
+
+    await _loadNextWave(state);
+
+    if (activeDispatches.get(state.rideId) !== state) return null;
+
+    const driver = state.queue.shift();
+
+    if (!driver) {
+        // O estado fica no mapa até a corrida sair da busca (aceite/cancelamento/expiração)
+        state.exhausted = true;
+        if (state.io) {
+            state.io.to(`user_${state.payload.passenger_id}`).emit('ride_no_drivers', {
+                ride_id: state.rideId,
+                message: 'Nenhum motorista disponível no momento.'
+            });
+        }
+        logSystem('DISPATCH', `Corrida ${state.rideId}: candidatos esgotados após ${state.offered.size} ofertas.`);
+        return null;
+    }
+
+    state.offered.add(String(driver.driver_id));
+    state.currentDriver = driver;
+
+    // Gravada antes do envio, para que uma recusa imediata encontre a oferta
+    try {
+        await driverMetricsService.recordOffers(state.rideId, [driver.driver_id], 'dispatch');
+    } catch (e) {
+        logError('DRIVER_OFFER_RECORD', e);
+    }
+
+    const expiresAt = new Date(Date.now() + OFFER_TIMEOUT_MS);
+
+    _emitToDriver(state.io, driver, 'ride_opportunity', {
+        ...state.payload,
+        distance_to_pickup: isFinite(driver.distance_to_pickup)
+            ? parseFloat(driver.distance_to_pickup.toFixed(1))
+            : 0,
+        offer_timeout: OFFER_TIMEOUT_MS / 1000,
+        offer_expires_at: expiresAt.toISOString()
+    });
+
+    state.timer = setTimeout(() => {
+        _withdrawOffer(state, 'timeout');
+        _offerNext(state).catch(e => logError('DISPATCH_NEXT', e));
+    }, OFFER_TIMEOUT_MS);
+
+    logSystem('DISPATCH', `Corrida ${state.rideId} oferecida ao motorista ${driver.driver_id} (${state.offered.size}ª oferta).`);
+    return driver;
+}
+
+// =================================================================================================
+// 1. API PÚBLICA DO MOTOR DE DESPACHO
+// =================================================================================================
+
+/**
+ * Tipos de veículo que podem atender o tipo de corrida (app_settings com fallback no appConfig).
+ */
+async function getEligibleVehicleTypes(rideType) {
+    const fallback = SYSTEM_CONFIG.RIDES?.VEHICLE_TYPES_BY_RIDE_TYPE || {};
+    let mapping = fallback;
+
+    try {
+        const settingsRes = await pool.query("SELECT value FROM app_settings WHERE key = 'dispatch_vehicle_types'");
+        if (settingsRes.rows[0]?.value) mapping = settingsRes.rows[0].value;
+    } catch (e) {
+        logError('VEHICLE_TYPES_SETTINGS', e);
+    }
+
+    return mapping[rideType] || fallback[rideType] || fallback.ride || ['car'];
+}
+
+/**
+ * Inicia o despacho sequencial de uma corrida recém-criada.
+ *
+ * @param {object} io - Instância do Socket.IO
+ * @param {object} ridePayload - Payload `ride_opportunity` (ride_id, passenger_id, origin_lat, origin_lng, ...)
+ * @returns {Promise<object|null>} - Primeiro motorista notificado (ou null se não houver)
+ */
+async function startDispatch(io, ridePayload) {
+    const rideId = String(ridePayload.ride_id);
+    stopDispatch(rideId, 'restarted');
+
+    const state = {
+        rideId: rideId,
+        io: io,
+        payload: ridePayload,
+        waveIndex: 0,
+        queue: [],
+        offered: new Set(),
+        currentDriver: null,
+        timer: null,
+        exhausted: false
+    };
+
+    activeDispatches.set(rideId, state);
+
+    try {
+        return await _offerNext(state);
+    } catch (e) {
+        activeDispatches.delete(rideId);
+        logError('DISPATCH_START', e);
+        return null;
+    }
+}
+
+/**
+ * Modo leilão: envia a oferta do passageiro a todos os motoristas elegíveis no raio máximo,
+ * que respondem com lances em vez de aceitar diretamente.
+ * @returns {Promise<number>} - Quantidade de motoristas notificados
+ */
+async function broadcastOffer(io, ridePayload) {
+    const rideController = require('../controllers/rideController');
+
+    const drivers = await rideController.findAvailableDrivers(
+        ridePayload.origin_lat,
+        ridePayload.origin_lng,
+        SYSTEM_CONFIG.RIDES?.MAX_RADIUS_KM || 15,
+        { rideType: ridePayload.ride_type }
+    );
+
+    const candidates = _rankDrivers(
+        await _attachPerformance(drivers.filter(d => String(d.driver_id) !== String(ridePayload.passenger_id))),
+        ridePayload.origin_lat,
+        ridePayload.origin_lng
+    );
+
+    driverMetricsService.recordOffers(ridePayload.ride_id, candidates.map(d => d.driver_id), 'bidding')
+        .catch(e => logError('DRIVER_OFFER_RECORD', e));
+
+    for (const driver of candidates) {
+        _emitToDriver(io, driver, 'ride_opportunity', {
+            ...ridePayload,
+            distance_to_pickup: isFinite(driver.distance_to_pickup)
+                ? parseFloat(driver.distance_to_pickup.toFixed(1))
+                : 0,
+            bid_ttl: SYSTEM_CONFIG.RIDES?.BID_TTL_SECONDS || 90
+        });
+    }
+
+    logSystem('DISPATCH', `Corrida ${ridePayload.ride_id} (leilão) enviada a ${candidates.length} motoristas.`);
+    return candidates.length;
+}
+
+/**
+ * Encerra o despacho (corrida aceite ou cancelada).
+ * Se `reason` for informado, a oferta ativa é retirada do motorista atual.
+ */
+function stopDispatch(rideId, reason = null) {
+    const state = activeDispatches.get(String(rideId));
+    if (!state) return;
+
+    if (reason) {
+        _withdrawOffer(state, reason);
+    } else if (state.timer) {
+        clearTimeout(state.timer);
+        state.timer = null;
+    }
+
+    activeDispatches.delete(String(rideId));
+}
+
+/**
+ * Motorista recusou explicitamente a oferta: passa imediatamente ao próximo.
+ * @returns {boolean} - true se a recusa correspondia à oferta ativa
+ */
+async function declineOffer(rideId, driverId) {
+    const state = activeDispatches.get(String(rideId));
+    if (!state || !state.currentDriver) return false;
+    if (String(state.currentDriver.driver_id) !== String(driverId)) return false;
+
+    _withdrawOffer(state, 'declined');
+    _offerNext(state).catch(e => logError('DISPATCH_NEXT', e));
+    return true;
+}
+
+/**
+ * Verifica se o motorista tem a oferta ativa da corrida.
+ * Sem despacho em memória (ex: após restart), vale a oferta `pending` ainda dentro do prazo.
+ * @param {object} db - Client transacional (opcional)
+ * @returns {Promise<boolean>}
+ */
+async function canDriverAccept(rideId, driverId, db = pool) {
+    const state = activeDispatches.get(String(rideId));
+    if (state) {
+        return !!state.currentDriver && String(state.currentDriver.driver_id) === String(driverId);
+    }
+
+    const offerRes = await db.query(`
+        SELECT 1 FROM driver_offers
+        WHERE ride_id = $1 AND driver_id = $2 AND mode = 'dispatch' AND outcome = 'pending'
+          AND offered_at > NOW() - ($3 || ' seconds')::INTERVAL
+        LIMIT 1
+    `, [rideId, driverId, OFFER_TIMEOUT_MS / 1000]);
+    return offerRes.rows.length > 0;
+}
+
+module.exports = {
+    getEligibleVehicleTypes,
+    broadcastOffer,
+    startDispatch,
+    stopDispatch,
+    declineOffer,
+    canDriverAccept
+};
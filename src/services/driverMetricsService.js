@@ -0,0 +1,180 @@
+/**
+ * =================================================================================================
+ * 📊 AOTRAVEL SERVER PRO - DRIVER RELIABILITY METRICS (TITANIUM SCORE)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/driverMetricsService.js
+ * DESCRIÇÃO: Histórico das ofertas `ride_opportunity` e taxas de fiabilidade dos motoristas.
+ *            1. Cada oferta recebida fica em `driver_offers` (despacho sequencial ou leilão).
+ *            2. O desfecho é gravado: accepted, declined, expired, bid ou withdrawn.
+ *            3. Taxas móveis (janela de `DRIVER_METRICS_WINDOW_DAYS`):
+ *               - Aceitação: aceites / ofertas respondidas ou expiradas (só despacho sequencial,
+ *                 onde a oferta é exclusiva do motorista).
+ *               - Cancelamento: cancelamentos do motorista (`ride_events`) / corridas aceites.
+ *            4. O despacho usa `isPoorPerformer` para colocar esses motoristas no fim da fila.
+ *
+ * DESFECHOS:
+ * - withdrawn: a oferta deixou de valer sem culpa do motorista (cancelada, outro motorista
+ *   aceitou, despacho reiniciado). Não conta para as taxas.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const SYSTEM_CONFIG = require('../config/appConfig');
+
+const WINDOW_DAYS = SYSTEM_CONFIG.RIDES?.DRIVER_METRICS_WINDOW_DAYS || 30;
+const MIN_OFFERS = SYSTEM_CONFIG.RIDES?.DRIVER_METRICS_MIN_OFFERS || 10;
+const MIN_RIDES = SYSTEM_CONFIG.RIDES?.DRIVER_METRICS_MIN_RIDES || 10;
+const MIN_ACCEPTANCE_RATE = SYSTEM_CONFIG.RIDES?.DRIVER_MIN_ACCEPTANCE_RATE ?? 0.5;
+const MAX_CANCELLATION_RATE = SYSTEM_CONFIG.RIDES?.DRIVER_MAX_CANCELLATION_RATE ?? 0.2;
+
+// =================================================================================================
+// 1. REGISTO DAS OFERTAS
+// =================================================================================================
+
+/**
+ * Regista ofertas enviadas (uma linha por motorista).
+ * @param {string} mode - 'dispatch' (sequencial) ou 'bidding' (leilão)
+ */
+async function recordOffers(rideId, driverIds, mode = 'dispatch') {
+    if (!driverIds || driverIds.length === 0) return;
+
+    await pool.query(`
+        INSERT INTO driver_offers (ride_id, driver_id, mode)
+        SELECT $1, UNNEST($2::INTEGER[]), $3
+    `, [rideId, driverIds, mode]);
+}
+
+/**
+ * Grava a resposta do motorista à oferta pendente (ou com lance) desta corrida.
+ * @param {string} outcome - 'declined' | 'expired' | 'bid'
+ */
+async function resolveOffer(rideId, driverId, outcome) {
+    await pool.query(`
+        UPDATE driver_offers SET outcome = $3, responded_at = NOW()
+        WHERE ride_id = $1 AND driver_id = $2 AND outcome IN ('pending', 'bid')
+    `, [rideId, driverId, outcome]);
+}
+
+/**
+ * A corrida saiu da busca: a oferta do motorista que aceitou fica 'accepted' e as
+ * restantes ainda em aberto passam a 'withdrawn'.
+ */
+async function closeRideOffers(rideId, acceptedDriverId = null) {
+    await pool.query(`
+        UPDATE driver_offers SET
+            outcome = CASE WHEN driver_id = $2 THEN 'accepted' ELSE 'withdrawn' END,
+            responded_at = NOW()
+        WHERE ride_id = $1 AND outcome IN ('pending', 'bid')
+    `, [rideId, acceptedDriverId]);
+}
+
+// =================================================================================================
+// 2. TAXAS
+// =================================================================================================
+
+function _rate(part, total) {
+    return total > 0 ? parseFloat((part / total).toFixed(4)) : null;
+}
+
+/**
+ * Taxas móveis de vários motoristas numa única ida ao banco.
+ * @returns {Promise<Map<string, object>>} - driverId -> métricas
+ */
+async function getRatesForDrivers(driverIds) {
+    const metrics = new Map();
+    if (!driverIds || driverIds.length === 0) return metrics;
+
+    const result = await pool.query(`
+        WITH ids AS (
+            SELECT UNNEST($1::INTEGER[]) AS driver_id
+        ),
+        offers AS (
+            SELECT driver_id,
+                   COUNT(*) FILTER (WHERE outcome IN ('accepted', 'declined', 'expired')) AS offers,
+                   COUNT(*) FILTER (WHERE outcome = 'accepted') AS accepted,
+                   COUNT(*) FILTER (WHERE outcome = 'declined') AS declined,
+                   COUNT(*) FILTER (WHERE outcome = 'expired') AS expired
+            FROM driver_offers
+            WHERE mode = 'dispatch' AND driver_id = ANY($1::INTEGER[])
+              AND offered_at >= NOW() - ($2 || ' days')::INTERVAL
+            GROUP BY driver_id
+        ),
+        trips AS (
+            SELECT driver_id, COUNT(*) AS accepted_rides
+            FROM rides
+            WHERE driver_id = ANY($1::INTEGER[]) AND accepted_at >= NOW() - ($2 || ' days')::INTERVAL
+            GROUP BY driver_id
+        ),
+        cancels AS (
+            SELECT actor_id AS driver_id, COUNT(*) AS cancellations
+            FROM ride_events
+            WHERE to_status = 'cancelled' AND actor_role = 'driver' AND actor_id = ANY($1::INTEGER[])
+              AND created_at >= NOW() - ($2 || ' days')::INTERVAL
+            GROUP BY actor_id
+        )
+        SELECT ids.driver_id,
+               COALESCE(o.offers, 0) AS offers, COALESCE(o.accepted, 0) AS accepted,
+               COALESCE(o.declined, 0) AS declined, COALESCE(o.expired, 0) AS expired,
+               COALESCE(t.accepted_rides, 0) AS accepted_rides,
+               COALESCE(c.cancellations, 0) AS cancellations
+        FROM ids
+        LEFT JOIN offers o ON o.driver_id = ids.driver_id
+        LEFT JOIN trips t ON t.driver_id = ids.driver_id
+        LEFT JOIN cancels c ON c.driver_id = ids.driver_id
+    `, [driverIds, WINDOW_DAYS]);
+
+    for (const row of result.rows) {
+        const offers = parseInt(row.offers);
+        const acceptedRides = parseInt(row.accepted_rides);
+        const cancellations = parseInt(row.cancellations);
+
+        metrics.set(String(row.driver_id), {
+            window_days: WINDOW_DAYS,
+            offers_received: offers,
+            offers_accepted: parseInt(row.accepted),
+            offers_declined: parseInt(row.declined),
+            offers_expired: parseInt(row.expired),
+            acceptance_rate: _rate(parseInt(row.accepted), offers),
+            rides_accepted: acceptedRides,
+            driver_cancellations: cancellations,
+            // Cancelamentos também podem vir de corridas aceites antes da janela
+            cancellation_rate: _rate(cancellations, Math.max(acceptedRides, cancellations))
+        });
+    }
+
+    return metrics;
+}
+
+/**
+ * Taxas móveis de um motorista.
+ */
+async function getDriverRates(driverId) {
+    const metrics = await getRatesForDrivers([driverId]);
+    return metrics.get(String(driverId));
+}
+
+/**
+ * Motorista com histórico suficiente e taxas fora dos limites.
+ */
+function isPoorPerformer(metrics) {
+    if (!metrics) return false;
+
+    const lowAcceptance = metrics.offers_received >= MIN_OFFERS &&
+        metrics.acceptance_rate !== null && metrics.acceptance_rate < MIN_ACCEPTANCE_RATE;
+    const highCancellation = metrics.rides_accepted >= MIN_RIDES &&
+        metrics.cancellation_rate !== null && metrics.cancellation_rate > MAX_CANCELLATION_RATE;
+
+    return lowAcceptance || highCancellation;
+}
+
+module.exports = {
+    recordOffers,
+    resolveOffer,
+    closeRideOffers,
+    getRatesForDrivers,
+    getDriverRates,
+    isPoorPerformer
+};
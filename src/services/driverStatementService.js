@@ -0,0 +1,494 @@
+/**
+ * =================================================================================================
+ * 🧾 AOTRAVEL SERVER PRO - DRIVER STATEMENTS (TITANIUM LEDGER)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/driverStatementService.js
+ * DESCRIÇÃO: Extratos de ganhos dos motoristas.
+ *            1. Extrato por período (diário, semanal, mensal ou intervalo livre), calculado na hora:
+ *               corridas, tarifas brutas, comissão, gorjetas, taxas de cancelamento, divisão
+ *               dinheiro/carteira/cartão e horas online (`driver_online_sessions`).
+ *            2. Todas as segundas-feiras (hora de Luanda) é gravada uma cópia congelada do extrato
+ *               da semana anterior (`driver_statements`), que não muda com correções posteriores.
+ *            3. Exportação em CSV e PDF.
+ *
+ * PERÍODOS: as datas são dias civis no fuso `SYSTEM_CONFIG.TIMEZONE`; semanas de segunda a domingo.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const cron = require('node-cron');
+const pool = require('../config/db');
+const { logError, logSystem } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+const { createPdfDocument } = require('../utils/pdfDocument');
+
+const TIMEZONE = SYSTEM_CONFIG.TIMEZONE || 'Africa/Luanda';
+const MAX_RANGE_DAYS = 366;
+const PERIODS = ['daily', 'weekly', 'monthly'];
+const PAYMENT_LABELS = { cash: 'Dinheiro', wallet: 'Carteira', card: 'Cartão' };
+const PAYMENT_METHODS = Object.keys(PAYMENT_LABELS);
+
+let weeklyJob = null;
+
+// =================================================================================================
+// 0. HELPERS PRIVADOS - DATAS
+// =================================================================================================
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function _parseDate(value) {
+    if (!DATE_RE.test(String(value || ''))) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+function _formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function _addDays(date, days) {
+    return new Date(date.getTime() + days * 86400000);
+}
+
+/**
+ * Dia civil atual no fuso da operação (YYYY-MM-DD).
+ */
+function _todayLocal() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+}
+
+/**
+ * Segunda-feira da semana que contém `date`.
+ */
+function _weekStart(date) {
+    return _addDays(date, -((date.getUTCDay() + 6) % 7));
+}
+
+// =================================================================================================
+// 1. PERÍODOS
+// =================================================================================================
+
+/**
+ * Converte os parâmetros do pedido num intervalo de datas (inclusivo).
+ * @param {{ period?: string, date?: string, from?: string, to?: string }} params
+ * @returns {{ period: string, start: string, end: string }|{ error: string, code: string }}
+ */
+function resolvePeriod({ period, date, from, to } = {}) {
+    if (from || to) {
+        const start = _parseDate(from);
+        const end = _parseDate(to);
+        if (!start || !end || end < start) {
+            return { error: "Intervalo inválido. Use from/to no formato AAAA-MM-DD, com from <= to.", code: "INVALID_DATE_RANGE" };
+        }
+        if ((end - start) / 86400000 + 1 > MAX_RANGE_DAYS) {
+            return { error: `O intervalo máximo é de ${MAX_RANGE_DAYS} dias.`, code: "INVALID_DATE_RANGE" };
+        }
+        return { period: 'custom', start: _formatDate(start), end: _formatDate(end) };
+    }
+
+    const kind = period || 'weekly';
+    if (!PERIODS.includes(kind)) {
+        return { error: `Período inválido. Use: ${PERIODS.join(', ')} ou from/to.`, code: "INVALID_PERIOD" };
+    }
+
+    const ref = _parseDate(date || _todayLocal());
+    if (!ref) return { error: "Data inválida. Use o formato AAAA-MM-DD.", code: "INVALID_DATE_RANGE" };
+
+    if (kind === 'daily') {
+        return { period: kind, start: _formatDate(ref), end: _formatDate(ref) };
+    }
+    if (kind === 'weekly') {
+        const start = _weekStart(ref);
+        return { period: kind, start: _formatDate(start), end: _formatDate(_addDays(start, 6)) };
+    }
+
+    const start = new Date(Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth(), 1));
+    const end = new Date(Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth() + 1, 0));
+    return { period: kind, start: _formatDate(start), end: _formatDate(end) };
+}
+
+// =================================================================================================
+// 2. CÁLCULO DO EXTRATO
+// =================================================================================================
+
+// Limites do período como instantes (início do primeiro dia e fim do último, no fuso da operação)
+const BOUNDS_CTE = `
+    WITH bounds AS (
+        SELECT ($2::date)::timestamp AT TIME ZONE $4 AS lower,
+               ($3::date + 1)::timestamp AT TIME ZONE $4 AS upper
+    )
+`;
+
+function _num(value) {
+    return parseFloat(value) || 0;
+}
+
+function _round(value) {
+    return parseFloat(_num(value).toFixed(2));
+}
+
+/**
+ * Extrato de um motorista entre duas datas (inclusivas, YYYY-MM-DD).
+ */
+async function buildStatement(driverId, start, end, period = 'custom') {
+    const params = [driverId, start, end, TIMEZONE];
+
+    const driverRes = await pool.query("SELECT id, name FROM users WHERE id = $1", [driverId]);
+
+    const ridesRes = await pool.query(`
+        ${BOUNDS_CTE}
+        SELECT r.id, r.completed_at, r.origin_name, r.dest_name, r.ride_type, r.payment_method,
+               COALESCE(r.final_price, 0) as final_price,
+               COALESCE(r.commission_amount, 0) as commission_amount,
+               COALESCE(r.distance_km, 0) as distance_km
+        FROM rides r, bounds b
+        WHERE r.driver_id = $1 AND r.status = 'completed'
+          AND r.completed_at >= b.lower AND r.completed_at < b.upper
+        ORDER BY r.completed_at ASC
+    `, params);
+
+    const extrasRes = await pool.query(`
+        ${BOUNDS_CTE}
+        SELECT
+            COALESCE(SUM(t.amount) FILTER (WHERE t.category = 'tip' AND t.status = 'completed'), 0) as tips,
+            COALESCE(SUM(t.amount) FILTER (WHERE t.category = 'cancellation_fee' AND t.status = 'completed'), 0) as fees,
+            COALESCE(SUM(t.amount) FILTER (WHERE t.category = 'cancellation_fee' AND t.status = 'pending'), 0) as fees_pending
+        FROM wallet_transactions t, bounds b
+        WHERE t.user_id = $1 AND t.amount > 0
+          AND t.category IN ('tip', 'cancellation_fee')
+          AND t.created_at >= b.lower AND t.created_at < b.upper
+    `, params);
+
+    const onlineRes = await pool.query(`
+        ${BOUNDS_CTE}
+        SELECT COALESCE(SUM(EXTRACT(EPOCH FROM (
+                   LEAST(COALESCE(s.ended_at, NOW()::timestamp)::timestamptz, b.upper) -
+                   GREATEST(s.started_at::timestamptz, b.lower)
+               ))), 0) as seconds
+        FROM driver_online_sessions s, bounds b
+        WHERE s.driver_id = $1
+          AND s.started_at < b.upper
+          AND COALESCE(s.ended_at, NOW()::timestamp) > b.lower
+    `, params);
+
+    const rides = ridesRes.rows.map(r => {
+        const fare = _round(r.final_price);
+        const commission = _round(r.commission_amount);
+        return {
+            ride_id: r.id,
+            completed_at: r.completed_at,
+            date: new Date(r.completed_at).toLocaleDateString('en-CA', { timeZone: TIMEZONE }),
+            origin_name: r.origin_name,
+            dest_name: r.dest_name,
+            ride_type: r.ride_type,
+            // Corridas anteriores ao registo do método de pagamento eram em dinheiro
+            payment_method: PAYMENT_METHODS.includes(r.payment_method) ? r.payment_method : 'cash',
+            fare: fare,
+            commission: commission,
+            net: _round(fare - commission),
+            distance_km: _round(r.distance_km)
+        };
+    });
+
+    const sum = (list, key) => _round(list.reduce((acc, item) => acc + item[key], 0));
+    const byMethod = (method) => {
+        const list = rides.filter(r => r.payment_method === method);
+        return { rides: list.length, gross_fares: sum(list, 'fare') };
+    };
+
+    const grossFares = sum(rides, 'fare');
+    const commission = sum(rides, 'commission');
+    const tips = _round(extrasRes.rows[0].tips);
+    const cancellationFees = _round(extrasRes.rows[0].fees);
+
+    // Resumo por dia (só dias com corridas)
+    const days = [];
+    for (const ride of rides) {
+        let day = days[days.length - 1];
+        if (!day || day.date !== ride.date) {
+            day = { date: ride.date, rides: 0, gross_fares: 0, commission: 0, net_fares: 0 };
+            days.push(day);
+        }
+        day.rides++;
+        day.gross_fares = _round(day.gross_fares + ride.fare);
+        day.commission = _round(day.commission + ride.commission);
+        day.net_fares = _round(day.gross_fares - day.commission);
+    }
+
+    return {
+        driver: { id: driverRes.rows[0]?.id || driverId, name: driverRes.rows[0]?.name || null },
+        period: { type: period, start: start, end: end, timezone: TIMEZONE },
+        totals: {
+            rides: rides.length,
+            distance_km: sum(rides, 'distance_km'),
+            gross_fares: grossFares,
+            commission: commission,
+            net_fares: _round(grossFares - commission),
+            tips: tips,
+            cancellation_fees: cancellationFees,
+            cancellation_fees_pending: _round(extrasRes.rows[0].fees_pending),
+            total_earnings: _round(grossFares - commission + tips + cancellationFees),
+            cash: byMethod('cash'),
+            wallet: byMethod('wallet'),
+            card: byMethod('card'),
+            hours_online: _round(_num(onlineRes.rows[0].seconds) / 3600)
+        },
+        days: days,
+        rides: rides,
+        generated_at: new Date().toISOString()
+    };
+}
+
+// =================================================================================================
+// 3. SNAPSHOTS SEMANAIS
+// =================================================================================================
+
+/**
+ * Grava o extrato congelado da semana anterior para cada motorista com atividade.
+ * Idempotente: motoristas que já têm o extrato da semana são ignorados.
+ * @returns {Promise<number>} - Quantidade de extratos gerados
+ */
+async function generateWeeklyStatements() {
+    const lastWeekStart = _addDays(_weekStart(_parseDate(_todayLocal())), -7);
+    const start = _formatDate(lastWeekStart);
+    const end = _formatDate(_addDays(lastWeekStart, 6));
+
+    const driversRes = await pool.query(`
+        ${BOUNDS_CTE}
+        SELECT u.id
+        FROM users u, bounds b
+        WHERE u.role = $1
+          AND NOT EXISTS (
+              SELECT 1 FROM driver_statements ds
+              WHERE ds.driver_id = u.id AND ds.period_type = 'weekly' AND ds.period_start = $2::date
+          )
+          AND (
+              EXISTS (SELECT 1 FROM rides r WHERE r.driver_id = u.id AND r.status = 'completed'
+                      AND r.completed_at >= b.lower AND r.completed_at < b.upper)
+              OR EXISTS (SELECT 1 FROM wallet_transactions t WHERE t.user_id = u.id
+                      AND t.category IN ('tip', 'cancellation_fee')
+                      AND t.created_at >= b.lower AND t.created_at < b.upper)
+              OR EXISTS (SELECT 1 FROM driver_online_sessions s WHERE s.driver_id = u.id
+                      AND s.started_at < b.upper AND COALESCE(s.ended_at, NOW()::timestamp) > b.lower)
+          )
+    `, ['driver', start, end, TIMEZONE]);
+
+    let generated = 0;
+    for (const row of driversRes.rows) {
+        try {
+            const statement = await buildStatement(row.id, start, end, 'weekly');
+            const inserted = await pool.query(`
+                INSERT INTO driver_statements (driver_id, period_type, period_start, period_end, statement)
+                VALUES ($1, 'weekly', $2, $3, $4)
+                ON CONFLICT (driver_id, period_type, period_start) DO NOTHING
+            `, [row.id, start, end, JSON.stringify(statement)]);
+            generated += inserted.rowCount;
+        } catch (e) {
+            logError('DRIVER_STATEMENT_WEEKLY', e);
+        }
+    }
+
+    logSystem('STATEMENTS', `Extratos semanais ${start} a ${end}: ${generated} gerados.`);
+    return generated;
+}
+
+/**
+ * Lista os extratos semanais congelados de um motorista (sem o detalhe das corridas).
+ */
+async function listWeeklyStatements(driverId) {
+    const result = await pool.query(`
+        SELECT id, period_start::text as period_start, period_end::text as period_end,
+               statement->'totals' as totals, generated_at
+        FROM driver_statements
+        WHERE driver_id = $1 AND period_type = 'weekly'
+        ORDER BY period_start DESC
+        LIMIT 104
+    `, [driverId]);
+
+    return result.rows;
+}
+
+/**
+ * Extrato semanal congelado (apenas do próprio motorista).
+ */
+async function getWeeklyStatement(statementId, driverId) {
+    const result = await pool.query(
+        "SELECT statement, generated_at FROM driver_statements WHERE id = $1 AND driver_id = $2",
+        [statementId, driverId]
+    );
+    if (!result.rows[0]) return null;
+    return { ...result.rows[0].statement, frozen_at: result.rows[0].generated_at };
+}
+
+/**
+ * Agenda a geração semanal: segundas-feiras às 01:00 no fuso da operação.
+ * No arranque recupera a semana anterior, caso o servidor estivesse parado na segunda-feira.
+ */
+function startStatementScheduler() {
+    if (weeklyJob) return;
+
+    weeklyJob = cron.schedule('0 1 * * 1', () => {
+        generateWeeklyStatements().catch(e => logError('DRIVER_STATEMENT_CRON', e));
+    }, { timezone: TIMEZONE });
+
+    // Recuperação corre depois do bootstrap da base de dados (o socket arranca antes)
+    setTimeout(() => {
+        generateWeeklyStatements().catch(e => logError('DRIVER_STATEMENT_CATCHUP', e));
+    }, 60000);
+    logSystem('STATEMENTS', `Extratos semanais agendados (segunda-feira 01:00, ${TIMEZONE}).`);
+}
+
+// =================================================================================================
+// 4. EXPORTAÇÃO
+// =================================================================================================
+
+function _csvCell(value) {
+    const text = String(value ?? '');
+    return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function _money(value) {
+    const amount = Number(value || 0).toLocaleString(SYSTEM_CONFIG.LOCALE, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${amount} Kz`;
+}
+
+/**
+ * Divisão por método de pagamento: [descrição, valor]. Extratos semanais gravados antes
+ * da divisão por cartão não têm `totals.card`.
+ */
+function _methodLines(totals) {
+    return PAYMENT_METHODS.map(method => {
+        const bucket = totals[method] || { rides: 0, gross_fares: 0 };
+        return [`${PAYMENT_LABELS[method]} (${bucket.rides} corridas)`, bucket.gross_fares];
+    });
+}
+
+/**
+ * Linhas do resumo partilhadas pelo CSV e pelo PDF: [descrição, valor numérico].
+ */
+function _summaryLines(statement) {
+    const t = statement.totals;
+    return [
+        ['Corridas', t.rides],
+        ['Distância (km)', t.distance_km],
+        ['Tarifas brutas', t.gross_fares],
+        ['Comissão da plataforma', -t.commission],
+        ['Tarifas líquidas', t.net_fares],
+        ['Gorjetas', t.tips],
+        ['Taxas de cancelamento', t.cancellation_fees],
+        ['Taxas de cancelamento pendentes', t.cancellation_fees_pending],
+        ['Total de ganhos', t.total_earnings],
+        ..._methodLines(t),
+        ['Horas online', t.hours_online]
+    ];
+}
+
+/**
+ * CSV (UTF-8 com BOM para abrir corretamente no Excel): resumo seguido das corridas.
+ */
+function renderCsv(statement) {
+    const lines = [
+        ['Extrato do motorista', statement.driver.name || statement.driver.id],
+        ['Período', statement.period.start, statement.period.end],
+        [],
+        ..._summaryLines(statement),
+        [],
+        ['Data', 'Corrida', 'Origem', 'Destino', 'Pagamento', 'Tarifa', 'Comissão', 'Líquido', 'Distância (km)'],
+        ...statement.rides.map(r => [
+            r.date, r.ride_id, r.origin_name, r.dest_name, PAYMENT_LABELS[r.payment_method] || r.payment_method,
+            r.fare.toFixed(2), r.commission.toFixed(2), r.net.toFixed(2), r.distance_km
+        ])
+    ];
+
+    return '\uFEFF' + lines.map(cols => cols.map(_csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * PDF: resumo e tabela de corridas (com paginação).
+ */
+function renderPdf(statement) {
+    const doc = createPdfDocument();
+    const left = 50;
+    const right = doc.width - 50;
+    const bottom = doc.height - 50;
+    let y = 60;
+
+    const row = (label, value, opts = {}) => {
+        doc.text(left, y, label, opts);
+        doc.text(right, y, value, { ...opts, align: 'right' });
+        y += 16;
+    };
+    const section = (title) => {
+        y += 12;
+        doc.text(left, y, title.toUpperCase(), { size: 9, bold: true });
+        doc.line(left, y + 5, right, y + 5);
+        y += 20;
+    };
+
+    doc.text(left, y, `${SYSTEM_CONFIG.RECEIPT_ISSUER?.NAME || 'AOtravel'} - Extrato do motorista`, { size: 18, bold: true });
+    y += 20;
+    doc.text(left, y, `${statement.driver.name || ''}  |  ${statement.period.start} a ${statement.period.end}`, { size: 9 });
+    y += 10;
+
+    section('Resumo');
+    const t = statement.totals;
+    row('Corridas', String(t.rides));
+    row('Distância', `${t.distance_km} km`);
+    row('Tarifas brutas', _money(t.gross_fares));
+    row('Comissão da plataforma', `-${_money(t.commission)}`);
+    row('Tarifas líquidas', _money(t.net_fares));
+    row('Gorjetas', _money(t.tips));
+    row('Taxas de cancelamento', _money(t.cancellation_fees));
+    if (t.cancellation_fees_pending) row('Taxas de cancelamento pendentes', _money(t.cancellation_fees_pending));
+    doc.line(left, y - 10, right, y - 10, { width: 1 });
+    y += 2;
+    row('Total de ganhos', _money(t.total_earnings), { bold: true, size: 12 });
+    y += 4;
+    _methodLines(t).forEach(([label, amount]) => row(label, _money(amount)));
+    row('Horas online', `${t.hours_online} h`);
+
+    section('Corridas');
+    const columns = [
+        { x: left, label: 'Data' },
+        { x: left + 70, label: 'Corrida' },
+        { x: left + 130, label: 'Pagamento' },
+        { x: right - 180, label: 'Tarifa', align: 'right' },
+        { x: right - 90, label: 'Comissão', align: 'right' },
+        { x: right, label: 'Líquido', align: 'right' }
+    ];
+    const header = () => {
+        columns.forEach(c => doc.text(c.x, y, c.label, { size: 9, bold: true, align: c.align }));
+        y += 14;
+    };
+
+    header();
+    for (const ride of statement.rides) {
+        if (y > bottom) {
+            doc.addPage();
+            y = 60;
+            header();
+        }
+        const values = [ride.date, `#${ride.ride_id}`, PAYMENT_LABELS[ride.payment_method] || ride.payment_method,
+            _money(ride.fare), _money(ride.commission), _money(ride.net)];
+        columns.forEach((c, i) => doc.text(c.x, y, values[i], { size: 9, align: c.align }));
+        y += 13;
+    }
+    if (statement.rides.length === 0) {
+        doc.text(left, y, 'Sem corridas concluídas no período.', { size: 9 });
+    }
+
+    return doc.toBuffer();
+}
+
+module.exports = {
+    resolvePeriod,
+    buildStatement,
+    generateWeeklyStatements,
+    listWeeklyStatements,
+    getWeeklyStatement,
+    startStatementScheduler,
+    renderCsv,
+    renderPdf
+};
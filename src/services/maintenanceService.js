@@ -0,0 +1,293 @@
+/**
+ * =================================================================================================
+ * 🧹 AOTRAVEL SERVER PRO - MAINTENANCE WORKER (TITANIUM JANITOR)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/maintenanceService.js
+ * DESCRIÇÃO: Job de fundo de higiene operacional. A cada `MAINTENANCE_INTERVAL_SECONDS`:
+ *            1. Expira corridas em `searching` há mais de `SEARCH_EXPIRY_MINUTES` (cancelamento
+ *               pelo ator `system` via máquina de estados), avisa o passageiro com `ride_no_drivers`
+ *               e os motoristas que receberam a oferta com `ride_expired`.
+ *            2. Sinaliza corridas `accepted` em que o motorista não se move há
+ *               `STALLED_RIDE_MINUTES` (coluna `stalled_flagged_at` + alerta aos admins).
+ *            3. Coloca offline os motoristas sem `heartbeat` há `DRIVER_HEARTBEAT_TIMEOUT_MINUTES`,
+ *               tanto em `driver_positions` como em `users.is_online`.
+ *
+ * NOTA: As posições de referência das corridas aceites vivem em memória. Após um restart,
+ *       a contagem de imobilidade recomeça (nunca sinaliza antes do tempo).
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const { getDistance, logError, logSystem } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+const rideStateMachine = require('./rideStateMachine');
+const adminAlertService = require('./adminAlertService');
+
+const INTERVAL_MS = (SYSTEM_CONFIG.RIDES?.MAINTENANCE_INTERVAL_SECONDS || 60) * 1000;
+const SEARCH_EXPIRY_MINUTES = SYSTEM_CONFIG.RIDES?.SEARCH_EXPIRY_MINUTES || 10;
+const STALLED_RIDE_MINUTES = SYSTEM_CONFIG.RIDES?.STALLED_RIDE_MINUTES || 10;
+const STALLED_MIN_MOVEMENT_M = SYSTEM_CONFIG.RIDES?.STALLED_RIDE_MIN_MOVEMENT_M || 100;
+const HEARTBEAT_TIMEOUT_MINUTES = SYSTEM_CONFIG.RIDES?.DRIVER_HEARTBEAT_TIMEOUT_MINUTES || 3;
+
+// Última posição "de referência" do motorista por corrida aceite (rideId -> { lat, lng, since })
+const positionSnapshots = new Map();
+
+let maintenanceTimer = null;
+let running = false;
+
+// =================================================================================================
+// 0. HELPERS PRIVADOS
+// =================================================================================================
+
+/**
+ * Cancela uma corrida em busca expirada (ator `system`). Retorna a corrida ou null se
+ * outro pedido a alterou entretanto.
+ */
+async function _expireRide(io, rideId) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const rideRes = await client.query(
+            "SELECT * FROM rides WHERE id = $1 AND status = 'searching' FOR UPDATE SKIP LOCKED",
+            [rideId]
+        );
+        if (rideRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const result = await rideStateMachine.transition(client, rideRes.rows[0], 'cancelled', { id: null, role: 'system' }, {
+            fields: { cancelled_by: 'system', cancellation_reason: 'no_drivers' },
+            metadata: { source: 'maintenance', reason: 'no_drivers' }
+        });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        await client.query(
+            "UPDATE ride_bids SET status = 'rejected', updated_at = NOW() WHERE ride_id = $1 AND status = 'pending'",
+            [rideId]
+        );
+
+        await client.query('COMMIT');
+        rideStateMachine.afterCommit(io, result);
+        return result.ride;
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Retira a oferta das apps dos motoristas que a receberam (despacho ou leilão).
+ * Consulta todas as ofertas da corrida: `closeRideOffers` já as marcou como withdrawn.
+ */
+async function _notifyOfferedDrivers(io, rideId) {
+    const offered = await pool.query(
+        "SELECT DISTINCT driver_id FROM driver_offers WHERE ride_id = $1",
+        [rideId]
+    );
+
+    for (const row of offered.rows) {
+        io.to(`driver_${row.driver_id}`).emit('ride_expired', {
+            ride_id: rideId,
+            cancelled_by: 'system',
+            reason: 'no_drivers'
+        });
+    }
+}
+
+/**
+ * 1. Corridas em busca sem motorista. O tempo conta desde a entrada em `searching`
+ *    (corridas agendadas entram mais tarde do que foram criadas).
+ */
+async function _expireStaleSearches(io) {
+    const stale = await pool.query(`
+        SELECT r.id
+        FROM rides r
+        WHERE r.status = 'searching'
+          AND COALESCE(
+                (SELECT MAX(e.created_at) FROM ride_events e WHERE e.ride_id = r.id AND e.to_status = 'searching'),
+                r.created_at
+              ) < NOW() - ($1 || ' minutes')::INTERVAL
+        ORDER BY r.created_at ASC
+        LIMIT 100
+    `, [SEARCH_EXPIRY_MINUTES]);
+
+    for (const row of stale.rows) {
+        try {
+            const ride = await _expireRide(io, row.id);
+            if (!ride) continue;
+
+            if (io) {
+                io.to(`user_${ride.passenger_id}`).emit('ride_no_drivers', {
+                    ride_id: ride.id,
+                    expired: true,
+                    message: 'Nenhum motorista aceitou a corrida. Tente novamente.'
+                });
+                await _notifyOfferedDrivers(io, ride.id);
+            }
+
+            logSystem('MAINTENANCE', `Corrida ${ride.id} expirada após ${SEARCH_EXPIRY_MINUTES}min sem motorista.`);
+        } catch (e) {
+            logError('MAINTENANCE_EXPIRE_RIDE', e);
+        }
+    }
+}
+
+/**
+ * 2. Corridas aceites em que o motorista não se aproxima: sem atualizações de GPS ou
+ *    parado (< STALLED_MIN_MOVEMENT_M) durante STALLED_RIDE_MINUTES.
+ */
+async function _flagStalledRides(io) {
+    const result = await pool.query(`
+        SELECT r.id, r.passenger_id, r.driver_id, r.accepted_at,
+               dp.lat, dp.lng, dp.last_update
+        FROM rides r
+        LEFT JOIN driver_positions dp ON dp.driver_id = r.driver_id
+        WHERE r.status = 'accepted'
+          AND r.stalled_flagged_at IS NULL
+          AND r.accepted_at < NOW() - ($1 || ' minutes')::INTERVAL
+    `, [STALLED_RIDE_MINUTES]);
+
+    const now = Date.now();
+    const stallMs = STALLED_RIDE_MINUTES * 60 * 1000;
+    const watched = new Set();
+
+    for (const ride of result.rows) {
+        const key = String(ride.id);
+        watched.add(key);
+
+        const lat = parseFloat(ride.lat);
+        const lng = parseFloat(ride.lng);
+        const noSignal = !lat || !lng || !ride.last_update || now - new Date(ride.last_update).getTime() >= stallMs;
+
+        let stalled = noSignal;
+        if (!noSignal) {
+            const snapshot = positionSnapshots.get(key);
+            if (!snapshot || getDistance(snapshot.lat, snapshot.lng, lat, lng) * 1000 >= STALLED_MIN_MOVEMENT_M) {
+                positionSnapshots.set(key, { lat: lat, lng: lng, since: now });
+            } else {
+                stalled = now - snapshot.since >= stallMs;
+            }
+        }
+
+        if (!stalled) continue;
+
+        try {
+            const flagged = await pool.query(
+                "UPDATE rides SET stalled_flagged_at = NOW() WHERE id = $1 AND status = 'accepted' AND stalled_flagged_at IS NULL RETURNING id",
+                [ride.id]
+            );
+            positionSnapshots.delete(key);
+            if (flagged.rows.length === 0) continue;
+
+            await adminAlertService.raiseAdminAlert(io, {
+                type: 'ride_stalled',
+                severity: 'warning',
+                title: 'Motorista parado após aceitar',
+                message: noSignal
+                    ? `Corrida ${ride.id}: motorista ${ride.driver_id} sem sinal de GPS há ${STALLED_RIDE_MINUTES}min.`
+                    : `Corrida ${ride.id}: motorista ${ride.driver_id} sem movimento há ${STALLED_RIDE_MINUTES}min.`,
+                data: { ride_id: ride.id, driver_id: ride.driver_id, passenger_id: ride.passenger_id, no_signal: noSignal }
+            });
+        } catch (e) {
+            logError('MAINTENANCE_STALLED_RIDE', e);
+        }
+    }
+
+    // Descarta referências de corridas que já não estão aceites
+    for (const key of positionSnapshots.keys()) {
+        if (!watched.has(key)) positionSnapshots.delete(key);
+    }
+}
+
+/**
+ * 3. Motoristas "fantasma": app morta sem `disconnect`. Usa o último heartbeat/posição
+ *    (`driver_positions.last_update`) e o `users.last_seen` para os que já não têm posição ativa.
+ */
+async function _sweepGhostDrivers() {
+    const positions = await pool.query(`
+        UPDATE driver_positions
+        SET status = 'offline', socket_id = NULL
+        WHERE status = 'online' AND last_update < NOW() - ($1 || ' minutes')::INTERVAL
+        RETURNING driver_id
+    `, [HEARTBEAT_TIMEOUT_MINUTES]);
+
+    const swept = positions.rows.map(r => r.driver_id);
+
+    const users = await pool.query(`
+        UPDATE users u SET is_online = false
+        WHERE u.role = 'driver' AND u.is_online = true
+          AND (
+                u.id = ANY($1::INTEGER[])
+                OR (
+                    COALESCE(u.last_seen, u.created_at) < NOW() - ($2 || ' minutes')::INTERVAL
+                    AND NOT EXISTS (
+                        SELECT 1 FROM driver_positions dp
+                        WHERE dp.driver_id = u.id AND dp.status = 'online'
+                    )
+                )
+              )
+        RETURNING u.id
+    `, [swept, HEARTBEAT_TIMEOUT_MINUTES]);
+
+    if (positions.rows.length > 0 || users.rows.length > 0) {
+        logSystem('MAINTENANCE', `Motoristas sem heartbeat colocados offline: ${users.rows.map(r => r.id).join(', ') || swept.join(', ')}.`);
+    }
+}
+
+async function _tick(io) {
+    if (running) return; // Evita sobreposição se um ciclo demorar mais que o intervalo
+    running = true;
+
+    // Tarefas independentes: a falha de uma não impede as restantes
+    const tasks = [
+        ['MAINTENANCE_SEARCHING', () => _expireStaleSearches(io)],
+        ['MAINTENANCE_STALLED', () => _flagStalledRides(io)],
+        ['MAINTENANCE_GHOST_DRIVERS', () => _sweepGhostDrivers()]
+    ];
+
+    for (const [tag, task] of tasks) {
+        try {
+            await task();
+        } catch (e) {
+            logError(tag, e);
+        }
+    }
+
+    running = false;
+}
+
+// =================================================================================================
+// 1. API PÚBLICA
+// =================================================================================================
+
+/**
+ * Inicia o job de manutenção (idempotente).
+ * @param {object} io - Instância do Socket.IO
+ */
+function startMaintenanceWorker(io) {
+    if (maintenanceTimer) return;
+    maintenanceTimer = setInterval(() => _tick(io), INTERVAL_MS);
+    logSystem('MAINTENANCE', `Manutenção ativa (intervalo ${INTERVAL_MS / 1000}s, busca expira em ${SEARCH_EXPIRY_MINUTES}min).`);
+}
+
+function stopMaintenanceWorker() {
+    if (maintenanceTimer) {
+        clearInterval(maintenanceTimer);
+        maintenanceTimer = null;
+    }
+}
+
+module.exports = {
+    startMaintenanceWorker,
+    stopMaintenanceWorker
+};
@@ -0,0 +1,201 @@
+/**
+ * =================================================================================================
+ * 💬 AOTRAVEL SERVER PRO - NEGOTIATION RULES ENGINE (TITANIUM EDITION)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/negotiationService.js
+ * DESCRIÇÃO: Regras das propostas de preço guardadas em `rides.negotiation_history`.
+ *            1. Cada proposta expira após `NEGOTIATION_PROPOSAL_TTL_SECONDS`.
+ *            2. No máximo `NEGOTIATION_MAX_ROUNDS` propostas por corrida.
+ *            3. O preço proposto não pode afastar-se mais de `NEGOTIATION_MAX_DEVIATION_PCT`% do `initial_price`.
+ *            4. Job de fundo rejeita automaticamente as propostas expiradas e avisa as duas partes.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const { logError, logSystem } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+
+const TTL_SECONDS = SYSTEM_CONFIG.RIDES?.NEGOTIATION_PROPOSAL_TTL_SECONDS || 120;
+const MAX_ROUNDS = SYSTEM_CONFIG.RIDES?.NEGOTIATION_MAX_ROUNDS || 3;
+const MAX_DEVIATION_PCT = SYSTEM_CONFIG.RIDES?.NEGOTIATION_MAX_DEVIATION_PCT || 30;
+const INTERVAL_MS = (SYSTEM_CONFIG.RIDES?.NEGOTIATION_SWEEP_INTERVAL_SECONDS || 30) * 1000;
+
+let sweepTimer = null;
+let running = false;
+
+// =================================================================================================
+// 1. REGRAS DAS PROPOSTAS
+// =================================================================================================
+
+/**
+ * Valida uma nova proposta: preço numérico, limite de rondas e desvio máximo do preço inicial.
+ * @returns {null|{ error: string, code: string, max_rounds?: number, min_price?: number, max_price?: number }}
+ */
+function validateProposal(ride, proposedPrice) {
+    const history = ride.negotiation_history || [];
+
+    // Preço ausente ou não numérico (NaN) passaria pelas comparações do intervalo
+    if (typeof proposedPrice !== 'number' || !Number.isFinite(proposedPrice)) {
+        return { error: 'Preço proposto inválido.', code: 'INVALID_PRICE' };
+    }
+
+    if (history.length >= MAX_ROUNDS) {
+        return {
+            error: `Limite de ${MAX_ROUNDS} propostas atingido para esta corrida.`,
+            code: 'NEGOTIATION_LIMIT_REACHED',
+            max_rounds: MAX_ROUNDS
+        };
+    }
+
+    const initialPrice = parseFloat(ride.initial_price);
+    const minPrice = Math.ceil(initialPrice * (1 - MAX_DEVIATION_PCT / 100));
+    const maxPrice = Math.floor(initialPrice * (1 + MAX_DEVIATION_PCT / 100));
+
+    if (proposedPrice < minPrice || proposedPrice > maxPrice) {
+        return {
+            error: `O preço proposto deve estar entre ${minPrice} e ${maxPrice} Kz.`,
+            code: 'PRICE_OUT_OF_RANGE',
+            min_price: minPrice,
+            max_price: maxPrice
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Data de expiração de uma proposta criada agora.
+ */
+function proposalExpiresAt(from = new Date()) {
+    return new Date(from.getTime() + TTL_SECONDS * 1000).toISOString();
+}
+
+/**
+ * Rejeita (no próprio array) as propostas pendentes já vencidas.
+ * Propostas antigas sem `expires_at` usam `proposed_at` + TTL.
+ * @returns {Array} - Propostas que acabaram de expirar
+ */
+function expireStaleProposals(history, now = new Date()) {
+    const expired = [];
+
+    for (const proposal of history || []) {
+        if (proposal.status !== 'pending') continue;
+
+        const expiresAt = proposal.expires_at
+            ? new Date(proposal.expires_at)
+            : new Date(new Date(proposal.proposed_at).getTime() + TTL_SECONDS * 1000);
+
+        if (expiresAt <= now) {
+            proposal.status = 'rejected';
+            proposal.auto_rejected = true;
+            proposal.responded_at = now.toISOString();
+            proposal.response_reason = 'Proposta expirada';
+            expired.push(proposal);
+        }
+    }
+
+    return expired;
+}
+
+/**
+ * Avisa passageiro e motorista de que uma proposta expirou.
+ */
+function notifyExpired(io, ride, proposal) {
+    if (!io) return;
+
+    const payload = {
+        ride_id: ride.id,
+        proposal: proposal,
+        message: 'A proposta de preço expirou sem resposta.'
+    };
+
+    io.to(`user_${ride.passenger_id}`).emit('price_proposal_expired', payload);
+    if (ride.driver_id) io.to(`user_${ride.driver_id}`).emit('price_proposal_expired', payload);
+}
+
+// =================================================================================================
+// 2. JOB DE FUNDO (VARRIMENTO DE PROPOSTAS EXPIRADAS)
+// =================================================================================================
+
+async function _sweep(io) {
+    const candidates = await pool.query(`
+        SELECT id FROM rides
+        WHERE status IN ('accepted', 'arrived', 'ongoing')
+          AND negotiation_history @> '[{"status": "pending"}]'
+    `);
+
+    for (const { id } of candidates.rows) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const rideRes = await client.query(
+                "SELECT id, passenger_id, driver_id, negotiation_history FROM rides WHERE id = $1 FOR UPDATE",
+                [id]
+            );
+            const ride = rideRes.rows[0];
+            const history = ride?.negotiation_history || [];
+            const expired = expireStaleProposals(history);
+
+            if (expired.length === 0) {
+                await client.query('ROLLBACK');
+                continue;
+            }
+
+            await client.query(
+                "UPDATE rides SET negotiation_history = $1, updated_at = NOW() WHERE id = $2",
+                [JSON.stringify(history), id]
+            );
+            await client.query('COMMIT');
+
+            for (const proposal of expired) notifyExpired(io, ride, proposal);
+            logSystem('NEGOTIATION', `${expired.length} proposta(s) expirada(s) na corrida ${id}.`);
+        } catch (e) {
+            await client.query('ROLLBACK');
+            logError('NEGOTIATION_SWEEP_RIDE', e);
+        } finally {
+            client.release();
+        }
+    }
+}
+
+async function _tick(io) {
+    if (running) return;
+    running = true;
+    try {
+        await _sweep(io);
+    } catch (e) {
+        logError('NEGOTIATION_SWEEP', e);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Inicia o varrimento periódico das propostas expiradas (idempotente).
+ * @param {object} io - Instância do Socket.IO
+ */
+function startNegotiationSweeper(io) {
+    if (sweepTimer) return;
+    sweepTimer = setInterval(() => _tick(io), INTERVAL_MS);
+    logSystem('NEGOTIATION', `Expiração de propostas ativa (TTL ${TTL_SECONDS}s, máx. ${MAX_ROUNDS} rondas, ±${MAX_DEVIATION_PCT}%).`);
+}
+
+function stopNegotiationSweeper() {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+}
+
+module.exports = {
+    validateProposal,
+    proposalExpiresAt,
+    expireStaleProposals,
+    notifyExpired,
+    startNegotiationSweeper,
+    stopNegotiationSweeper
+};
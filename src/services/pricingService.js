@@ -0,0 +1,132 @@
+/**
+ * =================================================================================================
+ * 💰 AOTRAVEL SERVER PRO - FARE PRICING ENGINE (TITANIUM PRICING)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/pricingService.js
+ * DESCRIÇÃO: Fonte única da fórmula de tarifação das corridas.
+ *            Usado pela solicitação de corrida (`requestRide`) e pela estimativa de tarifa
+ *            (`estimateFare`), garantindo que o preço mostrado antes do pedido é o mesmo
+ *            que será gravado na corrida.
+ *
+ * FÓRMULA:
+ *   tarifa = (base(ride_type) + distância_km * taxa_km(ride_type)) * multiplicador_dinâmico
+ *   arredondada para cima em múltiplos de FARE_ROUNDING, nunca abaixo de MIN_FARE.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const { getDistance } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+
+// Tabela de fallback caso a chave `ride_prices` não exista em app_settings
+const DEFAULT_RIDE_PRICES = {
+    base_price: 600,
+    km_rate: 300,
+    moto_base: 400,
+    moto_km_rate: 180,
+    delivery_base: 1000,
+    delivery_km_rate: 450
+};
+
+/**
+ * Lê a tabela de preços vigente (`app_settings.ride_prices`).
+ * @param {object} db - Pool ou client transacional (opcional)
+ */
+async function getRidePrices(db = pool) {
+    const settingsRes = await db.query("SELECT value FROM app_settings WHERE key = 'ride_prices'");
+    return settingsRes.rows[0]?.value || DEFAULT_RIDE_PRICES;
+}
+
+/**
+ * Componentes da tarifa (mostrados no recibo). `total` é sempre igual a `calculateFare`.
+ * @returns {{ base_fare: number, km_rate: number, distance_km: number, distance_charge: number,
+ *             surge_multiplier: number, surge_charge: number, rounding_adjustment: number, total: number }}
+ */
+function fareBreakdown(prices, rideType, distanceKm, surgeMultiplier = 1) {
+    const distance = parseFloat(distanceKm) || 0;
+    const multiplier = parseFloat(surgeMultiplier) || 1;
+    let base;
+    let kmRate;
+
+    if (rideType === 'moto') {
+        base = prices.moto_base;
+        kmRate = prices.moto_km_rate;
+    } else if (rideType === 'delivery') {
+        base = prices.delivery_base;
+        kmRate = prices.delivery_km_rate;
+    } else {
+        base = prices.base_price;
+        kmRate = prices.km_rate;
+    }
+
+    const distanceCharge = distance * kmRate;
+    const subtotal = (base + distanceCharge) * multiplier;
+
+    const rounding = SYSTEM_CONFIG.RIDES.FARE_ROUNDING || 50;
+    const minFare = SYSTEM_CONFIG.RIDES.MIN_FARE || 500;
+
+    let fare = Math.ceil(subtotal / rounding) * rounding;
+    if (fare < minFare) fare = minFare;
+
+    const round2 = (n) => Math.round(n * 100) / 100;
+
+    return {
+        base_fare: base,
+        km_rate: kmRate,
+        distance_km: distance,
+        distance_charge: round2(distanceCharge),
+        surge_multiplier: multiplier,
+        surge_charge: round2(subtotal - (base + distanceCharge)),
+        rounding_adjustment: round2(fare - subtotal),
+        total: fare
+    };
+}
+
+/**
+ * Aplica a fórmula de tarifa para um tipo de corrida e distância.
+ * @param {number} surgeMultiplier - Multiplicador da tarifa dinâmica (opcional, 1.0 = sem surge)
+ * @returns {number} - Preço final em Kwanzas
+ */
+function calculateFare(prices, rideType, distanceKm, surgeMultiplier = 1) {
+    return fareBreakdown(prices, rideType, distanceKm, surgeMultiplier).total;
+}
+
+/**
+ * Distância da corrida: usa a distância de rota enviada pelo app (`distance_km`)
+ * e, na falta dela, soma as pernas em linha reta origem -> paragens -> destino.
+ * @param {Array<{lat:number, lng:number}>} stops - Paragens intermédias, em ordem (opcional)
+ */
+function resolveDistanceKm(input, originLat, originLng, destLat, destLng, stops = []) {
+    const informed = parseFloat(input.distance_km);
+    if (!isNaN(informed) && informed > 0) return informed;
+
+    const points = [{ lat: originLat, lng: originLng }, ...stops, { lat: destLat, lng: destLng }];
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+        total += getDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+    }
+    return parseFloat(total.toFixed(2));
+}
+
+/**
+ * Estima o tempo (minutos) até o embarque a partir da distância do motorista.
+ */
+function estimatePickupEta(distanceToPickupKm) {
+    if (distanceToPickupKm === null || distanceToPickupKm === undefined || !isFinite(distanceToPickupKm)) {
+        return null;
+    }
+    const speed = SYSTEM_CONFIG.RIDES.AVG_PICKUP_SPEED_KMH || 25;
+    return Math.max(1, Math.ceil((distanceToPickupKm / speed) * 60));
+}
+
+module.exports = {
+    DEFAULT_RIDE_PRICES,
+    getRidePrices,
+    fareBreakdown,
+    calculateFare,
+    resolveDistanceKm,
+    estimatePickupEta
+};
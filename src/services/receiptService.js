@@ -0,0 +1,298 @@
+/**
+ * =================================================================================================
+ * 🧾 AOTRAVEL SERVER PRO - RIDE RECEIPTS (TITANIUM LEDGER)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/receiptService.js
+ * DESCRIÇÃO: Recibos das corridas concluídas.
+ *            1. Numeração única via sequência `ride_receipt_seq` (números nunca reutilizados).
+ *            2. A decomposição da tarifa é congelada na conclusão da corrida (`ride_receipts`).
+ *            3. Renderização em HTML e PDF com rota, horários, tarifa, pagamento,
+ *               motorista, matrícula e referência da transação.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const SYSTEM_CONFIG = require('../config/appConfig');
+const { createPdfDocument } = require('../utils/pdfDocument');
+
+const PAYMENT_LABELS = { cash: 'Dinheiro', wallet: 'Carteira AOtravel', card: 'Cartão' };
+const RIDE_TYPE_LABELS = { ride: 'Carro', moto: 'Moto', delivery: 'Entrega' };
+
+// =================================================================================================
+// 0. HELPERS PRIVADOS
+// =================================================================================================
+
+function _money(value) {
+    const amount = Number(value || 0).toLocaleString(SYSTEM_CONFIG.LOCALE, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${amount} Kz`;
+}
+
+function _dateTime(value) {
+    if (!value) return '-';
+    return new Date(value).toLocaleString(SYSTEM_CONFIG.LOCALE, {
+        timeZone: SYSTEM_CONFIG.TIMEZONE,
+        day: '2-digit', month: '2-digit', year: 'numeric',
+        hour: '2-digit', minute: '2-digit'
+    });
+}
+
+function _escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Linhas da tarifa para impressão: [descrição, valor].
+ */
+function _fareLines(receipt) {
+    const fare = receipt.fare_breakdown || {};
+    const lines = [];
+
+    if (fare.mode === 'negotiated' || fare.mode === 'bidding') {
+        lines.push([fare.mode === 'bidding' ? 'Preço acordado (leilão)' : 'Preço negociado', _money(fare.total)]);
+        return lines;
+    }
+
+    if (fare.base_fare !== undefined) {
+        lines.push(['Tarifa base', _money(fare.base_fare)]);
+        lines.push([`Distância (${fare.distance_km} km x ${_money(fare.km_rate)})`, _money(fare.distance_charge)]);
+        if (fare.surge_multiplier && fare.surge_multiplier !== 1) {
+            lines.push([`Tarifa dinâmica (x${fare.surge_multiplier})`, _money(fare.surge_charge)]);
+        }
+        if (fare.rounding_adjustment) {
+            lines.push(['Arredondamento / tarifa mínima', _money(fare.rounding_adjustment)]);
+        }
+    }
+
+    return lines;
+}
+
+// =================================================================================================
+// 1. EMISSÃO E CONSULTA
+// =================================================================================================
+
+/**
+ * Atribui o número de recibo à corrida (idempotente: devolve o existente se já houver).
+ * Deve ser chamado dentro da transação que conclui a corrida.
+ * @param {object} db - Client transacional ou pool
+ * @param {object} fareBreakdown - Decomposição da tarifa a congelar no recibo
+ * @returns {Promise<string>} - Número do recibo
+ */
+async function issueReceipt(db, rideId, fareBreakdown) {
+    const existing = await db.query("SELECT receipt_number FROM ride_receipts WHERE ride_id = $1", [rideId]);
+    if (existing.rows[0]) return existing.rows[0].receipt_number;
+
+    const inserted = await db.query(`
+        INSERT INTO ride_receipts (ride_id, receipt_number, fare_breakdown)
+        VALUES ($1, 'REC-' || LPAD(nextval('ride_receipt_seq')::TEXT, 8, '0'), $2)
+        ON CONFLICT (ride_id) DO NOTHING
+        RETURNING receipt_number
+    `, [rideId, JSON.stringify(fareBreakdown || {})]);
+
+    if (inserted.rows[0]) return inserted.rows[0].receipt_number;
+
+    // Emitido em paralelo por outro pedido
+    const again = await db.query("SELECT receipt_number FROM ride_receipts WHERE ride_id = $1", [rideId]);
+    return again.rows[0].receipt_number;
+}
+
+/**
+ * Junta todos os dados do recibo de uma corrida concluída.
+ * Corridas concluídas antes da existência dos recibos recebem o número agora.
+ * @returns {Promise<object|null>}
+ */
+async function getReceipt(rideId) {
+    const rideRes = await pool.query(`
+        SELECT r.*,
+               p.name as passenger_name, p.email as passenger_email, p.phone as passenger_phone,
+               d.name as driver_name,
+               vd.model as vehicle_model, vd.plate as vehicle_plate, vd.color as vehicle_color
+        FROM rides r
+        LEFT JOIN users p ON r.passenger_id = p.id
+        LEFT JOIN users d ON r.driver_id = d.id
+        LEFT JOIN vehicle_details vd ON vd.driver_id = r.driver_id
+        WHERE r.id = $1
+    `, [rideId]);
+    const ride = rideRes.rows[0];
+    if (!ride) return null;
+
+    await issueReceipt(pool, ride.id, { mode: 'legacy', total: parseFloat(ride.final_price || 0) });
+
+    const [receiptRes, stopsRes, txRes] = await Promise.all([
+        pool.query("SELECT receipt_number, fare_breakdown, issued_at FROM ride_receipts WHERE ride_id = $1", [ride.id]),
+        pool.query("SELECT stop_order, name, reached_at FROM ride_stops WHERE ride_id = $1 ORDER BY stop_order ASC", [ride.id]),
+        // Carteira: débito do passageiro. Dinheiro: registo de ganhos do motorista.
+        pool.query(`
+            SELECT reference_id FROM wallet_transactions
+            WHERE ride_id = $1 AND category = 'ride' AND user_id = $2
+            ORDER BY created_at ASC LIMIT 1
+        `, [ride.id, ride.payment_method === 'wallet' ? ride.passenger_id : ride.driver_id])
+    ]);
+
+    const receipt = receiptRes.rows[0];
+
+    return {
+        receipt_number: receipt.receipt_number,
+        issued_at: receipt.issued_at,
+        issuer: SYSTEM_CONFIG.RECEIPT_ISSUER,
+        ride: {
+            id: ride.id,
+            ride_type: ride.ride_type,
+            origin_name: ride.origin_name,
+            dest_name: ride.dest_name,
+            stops: stopsRes.rows,
+            distance_km: parseFloat(ride.distance_km || 0),
+            created_at: ride.created_at,
+            started_at: ride.started_at,
+            completed_at: ride.completed_at
+        },
+        passenger: { name: ride.passenger_name, email: ride.passenger_email, phone: ride.passenger_phone },
+        driver: { name: ride.driver_name },
+        vehicle: { model: ride.vehicle_model, plate: ride.vehicle_plate, color: ride.vehicle_color },
+        payment: {
+            method: ride.payment_method,
+            status: ride.payment_status,
+            transaction_reference: txRes.rows[0]?.reference_id || null
+        },
+        fare_breakdown: receipt.fare_breakdown,
+        total: parseFloat(ride.final_price || 0)
+    };
+}
+
+// =================================================================================================
+// 2. RENDERIZAÇÃO
+// =================================================================================================
+
+function renderHtml(receipt) {
+    const e = _escapeHtml;
+    const route = [
+        ['Origem', receipt.ride.origin_name],
+        ...receipt.ride.stops.map(s => [`Paragem ${s.stop_order}`, s.name]),
+        ['Destino', receipt.ride.dest_name]
+    ];
+    const fareRows = _fareLines(receipt)
+        .map(([label, value]) => `<tr><td>${e(label)}</td><td class="num">${e(value)}</td></tr>`)
+        .join('');
+
+    return `<!DOCTYPE html>
+<html lang="pt">
+<head>
+<meta charset="utf-8">
+<title>Recibo ${e(receipt.receipt_number)}</title>
+<style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 640px; margin: 24px auto; padding: 0 16px; }
+    h1 { font-size: 22px; margin: 0; }
+    h2 { font-size: 14px; text-transform: uppercase; color: #666; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 24px; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 4px 0; vertical-align: top; }
+    td.num { text-align: right; white-space: nowrap; }
+    tr.total td { font-weight: bold; border-top: 1px solid #222; padding-top: 8px; }
+    .muted { color: #666; font-size: 12px; }
+</style>
+</head>
+<body>
+    <h1>${e(receipt.issuer.NAME)} - Recibo</h1>
+    <p class="muted">
+        Nº ${e(receipt.receipt_number)} &middot; Emitido em ${e(_dateTime(receipt.issued_at))}
+        ${receipt.issuer.TAX_ID ? `&middot; NIF ${e(receipt.issuer.TAX_ID)}` : ''}
+        <br>${e(receipt.issuer.ADDRESS)}
+    </p>
+
+    <h2>Viagem #${e(receipt.ride.id)} (${e(RIDE_TYPE_LABELS[receipt.ride.ride_type] || receipt.ride.ride_type)})</h2>
+    <table>
+        ${route.map(([label, value]) => `<tr><td>${e(label)}</td><td class="num">${e(value || '-')}</td></tr>`).join('')}
+        <tr><td>Início</td><td class="num">${e(_dateTime(receipt.ride.started_at))}</td></tr>
+        <tr><td>Fim</td><td class="num">${e(_dateTime(receipt.ride.completed_at))}</td></tr>
+        <tr><td>Distância</td><td class="num">${e(receipt.ride.distance_km)} km</td></tr>
+    </table>
+
+    <h2>Motorista</h2>
+    <table>
+        <tr><td>Nome</td><td class="num">${e(receipt.driver.name || '-')}</td></tr>
+        <tr><td>Veículo</td><td class="num">${e([receipt.vehicle.model, receipt.vehicle.color].filter(Boolean).join(' - ') || '-')}</td></tr>
+        <tr><td>Matrícula</td><td class="num">${e(receipt.vehicle.plate || '-')}</td></tr>
+    </table>
+
+    <h2>Tarifa</h2>
+    <table>
+        ${fareRows}
+        <tr class="total"><td>Total</td><td class="num">${e(_money(receipt.total))}</td></tr>
+    </table>
+
+    <h2>Pagamento</h2>
+    <table>
+        <tr><td>Passageiro</td><td class="num">${e(receipt.passenger.name || '-')}</td></tr>
+        <tr><td>Método</td><td class="num">${e(PAYMENT_LABELS[receipt.payment.method] || receipt.payment.method)}</td></tr>
+        <tr><td>Referência</td><td class="num">${e(receipt.payment.transaction_reference || '-')}</td></tr>
+    </table>
+</body>
+</html>`;
+}
+
+/**
+ * @returns {Buffer}
+ */
+function renderPdf(receipt) {
+    const doc = createPdfDocument();
+    const left = 50;
+    const right = doc.width - 50;
+    let y = 60;
+
+    const row = (label, value, opts = {}) => {
+        doc.text(left, y, label, opts);
+        doc.text(right, y, value, { ...opts, align: 'right' });
+        y += 16;
+    };
+    const section = (title) => {
+        y += 12;
+        doc.text(left, y, title.toUpperCase(), { size: 9, bold: true });
+        doc.line(left, y + 5, right, y + 5);
+        y += 20;
+    };
+
+    doc.text(left, y, `${receipt.issuer.NAME} - Recibo`, { size: 18, bold: true });
+    y += 20;
+    doc.text(left, y, `Nº ${receipt.receipt_number}  |  Emitido em ${_dateTime(receipt.issued_at)}`, { size: 9 });
+    y += 12;
+    doc.text(left, y, [receipt.issuer.ADDRESS, receipt.issuer.TAX_ID ? `NIF ${receipt.issuer.TAX_ID}` : null].filter(Boolean).join('  |  '), { size: 9 });
+    y += 10;
+
+    section(`Viagem #${receipt.ride.id} (${RIDE_TYPE_LABELS[receipt.ride.ride_type] || receipt.ride.ride_type})`);
+    row('Origem', receipt.ride.origin_name || '-');
+    receipt.ride.stops.forEach(s => row(`Paragem ${s.stop_order}`, s.name || '-'));
+    row('Destino', receipt.ride.dest_name || '-');
+    row('Início', _dateTime(receipt.ride.started_at));
+    row('Fim', _dateTime(receipt.ride.completed_at));
+    row('Distância', `${receipt.ride.distance_km} km`);
+
+    section('Motorista');
+    row('Nome', receipt.driver.name || '-');
+    row('Veículo', [receipt.vehicle.model, receipt.vehicle.color].filter(Boolean).join(' - ') || '-');
+    row('Matrícula', receipt.vehicle.plate || '-');
+
+    section('Tarifa');
+    _fareLines(receipt).forEach(([label, value]) => row(label, value));
+    doc.line(left, y - 10, right, y - 10, { width: 1 });
+    y += 2;
+    row('Total', _money(receipt.total), { bold: true, size: 12 });
+
+    section('Pagamento');
+    row('Passageiro', receipt.passenger.name || '-');
+    row('Método', PAYMENT_LABELS[receipt.payment.method] || receipt.payment.method);
+    row('Referência', receipt.payment.transaction_reference || '-');
+
+    return doc.toBuffer();
+}
+
+module.exports = {
+    issueReceipt,
+    getReceipt,
+    renderHtml,
+    renderPdf
+};
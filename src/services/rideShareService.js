@@ -0,0 +1,190 @@
+/**
+ * =================================================================================================
+ * 🔗 AOTRAVEL SERVER PRO - TRIP SHARING (TITANIUM BEACON)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/rideShareService.js
+ * DESCRIÇÃO: Links públicos (só leitura) para acompanhar uma corrida sem login.
+ *            1. O passageiro gera um token com validade (`ride_share_links`).
+ *            2. Quem tem o link vê motorista, matrícula, posição e ETA.
+ *            3. Via socket (`watch_shared_trip`) entra na sala `share_<rideId>`, que recebe o
+ *               mesmo `driver_location_update` emitido para `ride_<rideId>`.
+ *            4. Ao concluir/cancelar a corrida os links são revogados e a sala é esvaziada.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const crypto = require('crypto');
+const pool = require('../config/db');
+const { getDistance, logSystem } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+const pricingService = require('./pricingService');
+
+const SHAREABLE_STATUSES = ['accepted', 'arrived', 'ongoing'];
+const SHARE_LINK_TTL_HOURS = SYSTEM_CONFIG.RIDES?.SHARE_LINK_TTL_HOURS || 6;
+
+/**
+ * Sala Socket.IO dos observadores de uma corrida partilhada.
+ */
+function shareRoom(rideId) {
+    return `share_${rideId}`;
+}
+
+/**
+ * Gera um link novo para a corrida (os anteriores continuam válidos até expirarem).
+ * @returns {Promise<{ link?: object, error?: string, code?: string, status?: number }>}
+ */
+async function createShareLink(rideId, passengerId) {
+    const rideRes = await pool.query("SELECT id, passenger_id, status FROM rides WHERE id = $1", [rideId]);
+    const ride = rideRes.rows[0];
+
+    if (!ride) return { status: 404, error: "Corrida não encontrada." };
+    if (ride.passenger_id !== passengerId) {
+        return { status: 403, error: "Apenas o passageiro pode partilhar a corrida." };
+    }
+    if (!SHAREABLE_STATUSES.includes(ride.status)) {
+        return { status: 400, error: "Só é possível partilhar uma corrida em andamento.", code: "RIDE_NOT_SHAREABLE" };
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const result = await pool.query(`
+        INSERT INTO ride_share_links (ride_id, token, created_by, expires_at)
+        VALUES ($1, $2, $3, NOW() + ($4 || ' hours')::INTERVAL)
+        RETURNING id, token, expires_at, created_at
+    `, [ride.id, token, passengerId, SHARE_LINK_TTL_HOURS]);
+
+    logSystem('RIDE_SHARE', `Link de partilha criado para a corrida ${ride.id}.`);
+    return { link: result.rows[0] };
+}
+
+/**
+ * Revoga todos os links ativos de uma corrida (pedido do passageiro) e desliga quem
+ * já estava a acompanhar a viagem pela sala de partilha.
+ * @param {object} io - Instância do Socket.IO
+ * @returns {Promise<number>} - Quantidade de links revogados
+ */
+async function revokeShareLinks(io, rideId, passengerId) {
+    const result = await pool.query(`
+        UPDATE ride_share_links l SET revoked_at = NOW()
+        FROM rides r
+        WHERE l.ride_id = r.id AND r.id = $1 AND r.passenger_id = $2 AND l.revoked_at IS NULL
+    `, [rideId, passengerId]);
+
+    if (io && result.rowCount > 0) {
+        const room = shareRoom(rideId);
+        io.to(room).emit('shared_trip_ended', { ride_id: parseInt(rideId), status: 'revoked' });
+        io.in(room).socketsLeave(room);
+    }
+
+    return result.rowCount;
+}
+
+/**
+ * Valida um token e devolve a corrida correspondente.
+ * @returns {Promise<{ rideId?: number, error?: string, code?: string, status?: number }>}
+ */
+async function resolveToken(token) {
+    if (!token || typeof token !== 'string' || token.length > 64) {
+        return { status: 404, error: "Link de partilha inválido.", code: "SHARE_LINK_INVALID" };
+    }
+
+    const result = await pool.query(`
+        SELECT l.ride_id, l.expires_at, l.revoked_at, r.status as ride_status
+        FROM ride_share_links l
+        JOIN rides r ON r.id = l.ride_id
+        WHERE l.token = $1
+    `, [token]);
+    const link = result.rows[0];
+
+    if (!link) return { status: 404, error: "Link de partilha inválido.", code: "SHARE_LINK_INVALID" };
+
+    if (link.revoked_at || new Date(link.expires_at) <= new Date() || !SHAREABLE_STATUSES.includes(link.ride_status)) {
+        return { status: 410, error: "Este link de partilha já não está ativo.", code: "SHARE_LINK_EXPIRED" };
+    }
+
+    return { rideId: link.ride_id, expiresAt: link.expires_at };
+}
+
+/**
+ * Vista pública da corrida: só o necessário para acompanhar a viagem.
+ * Nunca inclui telefones, PIN, preço ou dados de pagamento.
+ */
+async function getSharedTrip(rideId) {
+    const result = await pool.query(`
+        SELECT r.id, r.status, r.origin_name, r.dest_name,
+               r.origin_lat, r.origin_lng, r.dest_lat, r.dest_lng, r.started_at,
+               d.name as driver_name, d.photo as driver_photo, d.rating as driver_rating,
+               vd.model as vehicle_model, vd.plate as vehicle_plate, vd.color as vehicle_color,
+               dp.lat as driver_lat, dp.lng as driver_lng, dp.heading, dp.last_update
+        FROM rides r
+        LEFT JOIN users d ON r.driver_id = d.id
+        LEFT JOIN vehicle_details vd ON vd.driver_id = r.driver_id
+        LEFT JOIN driver_positions dp ON dp.driver_id = r.driver_id
+        WHERE r.id = $1
+    `, [rideId]);
+    const ride = result.rows[0];
+    if (!ride) return null;
+
+    const hasPosition = ride.driver_lat && ride.driver_lng;
+
+    // Antes do embarque o ETA é até à origem; depois, até ao destino
+    let etaMinutes = null;
+    if (hasPosition) {
+        const target = ride.status === 'ongoing'
+            ? { lat: ride.dest_lat, lng: ride.dest_lng }
+            : { lat: ride.origin_lat, lng: ride.origin_lng };
+        etaMinutes = pricingService.estimatePickupEta(getDistance(ride.driver_lat, ride.driver_lng, target.lat, target.lng));
+    }
+
+    return {
+        ride_id: ride.id,
+        status: ride.status,
+        origin: { name: ride.origin_name, lat: ride.origin_lat, lng: ride.origin_lng },
+        destination: { name: ride.dest_name, lat: ride.dest_lat, lng: ride.dest_lng },
+        started_at: ride.started_at,
+        driver: {
+            name: ride.driver_name,
+            photo: ride.driver_photo,
+            rating: ride.driver_rating
+        },
+        vehicle: {
+            model: ride.vehicle_model,
+            plate: ride.vehicle_plate,
+            color: ride.vehicle_color
+        },
+        position: hasPosition ? {
+            lat: ride.driver_lat,
+            lng: ride.driver_lng,
+            heading: ride.heading,
+            updated_at: ride.last_update
+        } : null,
+        eta_minutes: etaMinutes
+    };
+}
+
+/**
+ * Chamado quando a corrida termina (concluída ou cancelada): revoga os links
+ * e retira os observadores da sala de partilha.
+ */
+async function endRideShares(io, rideId, rideStatus) {
+    await pool.query(
+        "UPDATE ride_share_links SET revoked_at = NOW() WHERE ride_id = $1 AND revoked_at IS NULL",
+        [rideId]
+    );
+
+    if (io) {
+        const room = shareRoom(rideId);
+        io.to(room).emit('shared_trip_ended', { ride_id: rideId, status: rideStatus });
+        io.in(room).socketsLeave(room);
+    }
+}
+
+module.exports = {
+    shareRoom,
+    createShareLink,
+    revokeShareLinks,
+    resolveToken,
+    getSharedTrip,
+    endRideShares
+};
@@ -0,0 +1,244 @@
+/**
+ * =================================================================================================
+ * 🚦 AOTRAVEL SERVER PRO - RIDE STATE MACHINE (TITANIUM LIFECYCLE)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/rideStateMachine.js
+ * DESCRIÇÃO: Fonte única das mudanças de status das corridas.
+ *            1. Define as transições permitidas e quem (papel) pode executar cada uma.
+ *            2. Aplica a transição na transação do chamador (status + timestamp do status).
+ *            3. Regista cada transição na auditoria `ride_events` (ator, origem, destino, hora).
+ *            4. Executa os efeitos colaterais pós-COMMIT (despacho, ofertas, links de partilha).
+ *
+ * CICLO DE VIDA:
+ *   scheduled -> searching | accepted | cancelled
+ *   searching -> accepted | cancelled
+ *   accepted  -> arrived | ongoing | cancelled
+ *   arrived   -> ongoing | cancelled
+ *   ongoing   -> completed | cancelled
+ *
+ * USO (dentro de BEGIN ... COMMIT, com a corrida travada por FOR UPDATE):
+ *   const result = await rideStateMachine.transition(client, ride, 'ongoing', { id: driverId, role: 'driver' });
+ *   if (result.error) { ROLLBACK; return res.status(result.status).json(...) }
+ *   COMMIT;
+ *   rideStateMachine.afterCommit(req.io, result);
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const { logError, logSystem } = require('../utils/helpers');
+
+// Valor especial para colunas extra que devem receber NOW() do banco
+const NOW = Symbol('NOW');
+
+const ACTOR_ROLES = ['passenger', 'driver', 'admin', 'system'];
+
+const TRANSITIONS = {
+    scheduled: {
+        searching: ['system'],
+        accepted: ['system'],
+        cancelled: ['passenger', 'admin', 'system']
+    },
+    searching: {
+        // Passageiro: escolheu um lance no modo leilão
+        accepted: ['driver', 'passenger', 'system'],
+        cancelled: ['passenger', 'admin', 'system']
+    },
+    accepted: {
+        arrived: ['driver'],
+        ongoing: ['driver'],
+        cancelled: ['passenger', 'driver', 'admin', 'system']
+    },
+    arrived: {
+        ongoing: ['driver'],
+        cancelled: ['passenger', 'driver', 'admin', 'system']
+    },
+    ongoing: {
+        completed: ['driver', 'admin'],
+        cancelled: ['passenger', 'driver', 'admin', 'system']
+    },
+    completed: {},
+    cancelled: {}
+};
+
+const STATUS_TIMESTAMPS = {
+    accepted: 'accepted_at',
+    arrived: 'arrived_at',
+    ongoing: 'started_at',
+    completed: 'completed_at',
+    cancelled: 'cancelled_at'
+};
+
+// =================================================================================================
+// 1. REGRAS
+// =================================================================================================
+
+/**
+ * A transição existe no ciclo de vida (independente de quem a pede)?
+ */
+function canTransition(from, to) {
+    return Boolean(TRANSITIONS[from] && TRANSITIONS[from][to]);
+}
+
+/**
+ * Status finais (sem transições de saída).
+ */
+function isFinal(status) {
+    return Boolean(TRANSITIONS[status]) && Object.keys(TRANSITIONS[status]).length === 0;
+}
+
+/**
+ * Papel do utilizador nesta corrida: passageiro/motorista da corrida, admin ou null.
+ */
+function resolveActorRole(ride, user) {
+    if (!user) return null;
+    if (String(ride.passenger_id) === String(user.id)) return 'passenger';
+    if (ride.driver_id && String(ride.driver_id) === String(user.id)) return 'driver';
+    if (user.role === 'admin') return 'admin';
+    return null;
+}
+
+/**
+ * Valida a transição para o ator, sem escrever nada.
+ * @param {object} ride - Linha atual da corrida (precisa de status, passenger_id, driver_id)
+ * @param {{ id: number|null, role: string }} actor
+ * @returns {null|{ status: number, error: string, code: string }}
+ */
+function validate(ride, to, actor) {
+    if (!canTransition(ride.status, to)) {
+        return {
+            status: 409,
+            error: `Transição inválida: a corrida está '${ride.status}' e não pode passar a '${to}'.`,
+            code: "INVALID_TRANSITION"
+        };
+    }
+
+    const role = actor && actor.role;
+    if (!ACTOR_ROLES.includes(role) || !TRANSITIONS[ride.status][to].includes(role)) {
+        return { status: 403, error: "Acesso negado.", code: "TRANSITION_FORBIDDEN" };
+    }
+
+    // Passageiro e motorista só atuam sobre as próprias corridas (o motorista ainda não
+    // está atribuído quando aceita)
+    const ownsRide = role === 'passenger'
+        ? String(ride.passenger_id) === String(actor.id)
+        : role === 'driver' && to !== 'accepted'
+            ? String(ride.driver_id) === String(actor.id)
+            : true;
+
+    if (!ownsRide) {
+        return { status: 403, error: "Acesso negado.", code: "TRANSITION_FORBIDDEN" };
+    }
+
+    return null;
+}
+
+// =================================================================================================
+// 2. EXECUÇÃO
+// =================================================================================================
+
+/**
+ * Regista um evento na auditoria (também usado na criação da corrida, com `from` null).
+ */
+async function recordEvent(db, rideId, from, to, actor, metadata = {}) {
+    await db.query(`
+        INSERT INTO ride_events (ride_id, from_status, to_status, actor_id, actor_role, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [rideId, from, to, actor?.id || null, actor?.role || 'system', JSON.stringify(metadata || {})]);
+}
+
+/**
+ * Aplica a transição dentro da transação do chamador.
+ * @param {object} db - Client transacional (a corrida deve estar travada com FOR UPDATE)
+ * @param {object} ride - Linha atual da corrida
+ * @param {string} to - Novo status
+ * @param {{ id: number|null, role: string }} actor
+ * @param {{ fields?: object, metadata?: object }} options
+ *        fields: colunas extra a gravar na mesma UPDATE (use NOW para o relógio do banco)
+ * @returns {Promise<{ ride: object, from: string, to: string, actor: object }|{ status: number, error: string, code: string }>}
+ */
+async function transition(db, ride, to, actor, options = {}) {
+    const invalid = validate(ride, to, actor);
+    if (invalid) return invalid;
+
+    const from = ride.status;
+    const sets = ['status = $1', 'updated_at = NOW()'];
+    const values = [to];
+
+    if (STATUS_TIMESTAMPS[to]) sets.push(`${STATUS_TIMESTAMPS[to]} = NOW()`);
+
+    for (const [column, value] of Object.entries(options.fields || {})) {
+        if (value === NOW) {
+            sets.push(`${column} = NOW()`);
+        } else {
+            values.push(value);
+            sets.push(`${column} = $${values.length}`);
+        }
+    }
+
+    values.push(ride.id, from);
+    const updated = await db.query(`
+        UPDATE rides SET ${sets.join(', ')}
+        WHERE id = $${values.length - 1} AND status = $${values.length}
+        RETURNING *
+    `, values);
+
+    // Outro pedido mudou o status entre a leitura e a escrita
+    if (updated.rows.length === 0) {
+        return { status: 409, error: "O estado da corrida mudou. Atualize e tente novamente.", code: "RIDE_STATE_CHANGED" };
+    }
+
+    await recordEvent(db, ride.id, from, to, actor, options.metadata);
+
+    return { ride: updated.rows[0], from: from, to: to, actor: actor };
+}
+
+/**
+ * Efeitos colaterais que só podem correr depois do COMMIT.
+ * @param {object} io - Instância do Socket.IO
+ * @param {{ ride: object, to: string }} result - Retorno de `transition`
+ */
+function afterCommit(io, result) {
+    if (!result || !result.ride) return;
+
+    // Requires tardios: dispatchService depende do rideController, que depende deste módulo
+    const dispatchService = require('./dispatchService');
+    const rideShareService = require('./rideShareService');
+    const driverMetricsService = require('./driverMetricsService');
+    const rideId = result.ride.id;
+
+    try {
+        if (result.to === 'accepted') {
+            dispatchService.stopDispatch(rideId);
+        }
+
+        // Fecha as ofertas em aberto (aceite pelo motorista atribuído; restantes retiradas)
+        if (result.from === 'searching') {
+            driverMetricsService.closeRideOffers(rideId, result.to === 'accepted' ? result.ride.driver_id : null)
+                .catch(e => logError('DRIVER_OFFERS_CLOSE', e));
+        }
+
+        if (result.to === 'completed' || result.to === 'cancelled') {
+            dispatchService.stopDispatch(rideId, result.to === 'cancelled' ? 'cancelled' : null);
+            rideShareService.endRideShares(io, rideId, result.to)
+                .catch(e => logError('RIDE_SHARE_END', e));
+        }
+    } catch (e) {
+        logError('RIDE_STATE_AFTER_COMMIT', e);
+    }
+
+    logSystem('RIDE_STATE', `Corrida ${rideId}: ${result.from} -> ${result.to} (${result.actor?.role} ${result.actor?.id || '-'})`);
+}
+
+module.exports = {
+    NOW,
+    TRANSITIONS,
+    canTransition,
+    isFinal,
+    resolveActorRole,
+    validate,
+    recordEvent,
+    transition,
+    afterCommit
+};
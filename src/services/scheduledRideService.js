@@ -0,0 +1,256 @@
+/**
+ * =================================================================================================
+ * ⏰ AOTRAVEL SERVER PRO - SCHEDULED RIDES ENGINE (TITANIUM SCHEDULER)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/scheduledRideService.js
+ * DESCRIÇÃO: Job de fundo das corridas agendadas (status `scheduled`).
+ *            A cada `SCHEDULER_INTERVAL_SECONDS`:
+ *            1. Envia lembrete ao motorista pré-aceite `SCHEDULE_REMINDER_MINUTES` antes do embarque.
+ *            2. `SCHEDULE_DISPATCH_LEAD_MINUTES` antes do embarque, ativa a corrida:
+ *               - com motorista pré-aceite disponível -> atribui diretamente (`accepted`);
+ *               - sem motorista (ou indisponível) -> `searching` + despacho sequencial normal.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const { logError, logSystem, getFullRideDetails, generateRidePin } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+const dispatchService = require('./dispatchService');
+const rideStateMachine = require('./rideStateMachine');
+
+const LEAD_MINUTES = SYSTEM_CONFIG.RIDES?.SCHEDULE_DISPATCH_LEAD_MINUTES || 15;
+const REMINDER_MINUTES = SYSTEM_CONFIG.RIDES?.SCHEDULE_REMINDER_MINUTES || 60;
+const INTERVAL_MS = (SYSTEM_CONFIG.RIDES?.SCHEDULER_INTERVAL_SECONDS || 60) * 1000;
+
+let schedulerTimer = null;
+let running = false;
+
+// =================================================================================================
+// 0. HELPERS PRIVADOS
+// =================================================================================================
+
+/**
+ * Lembrete ao motorista pré-aceite (uma única vez por corrida).
+ */
+async function _sendReminders(io) {
+    const result = await pool.query(`
+        UPDATE rides SET reminder_sent_at = NOW()
+        WHERE status = 'scheduled'
+          AND scheduled_driver_id IS NOT NULL
+          AND reminder_sent_at IS NULL
+          AND scheduled_at <= NOW() + ($1 || ' minutes')::INTERVAL
+        RETURNING id, scheduled_driver_id, passenger_id, scheduled_at, origin_name, dest_name
+    `, [REMINDER_MINUTES]);
+
+    for (const ride of result.rows) {
+        if (io) {
+            io.to(`user_${ride.scheduled_driver_id}`).emit('scheduled_ride_reminder', {
+                ride_id: ride.id,
+                scheduled_at: ride.scheduled_at,
+                origin_name: ride.origin_name,
+                dest_name: ride.dest_name,
+                message: 'Lembrete: tem uma corrida agendada em breve.'
+            });
+        }
+        logSystem('SCHEDULER', `Lembrete enviado ao motorista ${ride.scheduled_driver_id} (corrida ${ride.id}).`);
+    }
+}
+
+/**
+ * O motorista pré-aceite pode assumir agora? (online e sem outra corrida ativa)
+ */
+async function _isDriverAvailable(driverId) {
+    const result = await pool.query(`
+        SELECT
+            EXISTS (SELECT 1 FROM driver_positions WHERE driver_id = $1 AND status = 'online') as online,
+            EXISTS (SELECT 1 FROM rides WHERE driver_id = $1 AND status IN ('accepted', 'arrived', 'ongoing')) as busy
+    `, [driverId]);
+    const row = result.rows[0];
+    return row.online && !row.busy;
+}
+
+/**
+ * Tira a corrida de `scheduled` pela máquina de estados (ator `system`).
+ * @returns {Promise<object|null>} - Corrida atualizada, ou null se já não estava agendada
+ */
+async function _leaveScheduled(io, rideId, to, fields = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const rideRes = await client.query(
+            "SELECT * FROM rides WHERE id = $1 AND status = 'scheduled' FOR UPDATE",
+            [rideId]
+        );
+        if (rideRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const result = await rideStateMachine.transition(client, rideRes.rows[0], to, { id: null, role: 'system' }, {
+            fields: fields,
+            metadata: { source: 'scheduler' }
+        });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        await client.query('COMMIT');
+        rideStateMachine.afterCommit(io, result);
+        return result.ride;
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Atribui a corrida ao motorista que a pré-aceitou.
+ */
+async function _assignPreAccepted(io, ride) {
+    const startPin = generateRidePin();
+    const updated = await _leaveScheduled(io, ride.id, 'accepted', {
+        driver_id: ride.scheduled_driver_id,
+        start_pin: startPin,
+        pin_attempts: 0,
+        pin_verified_at: null
+    });
+
+    if (!updated) return;
+
+    const fullRide = await getFullRideDetails(ride.id);
+
+    if (io && fullRide) {
+        io.to(`user_${ride.passenger_id}`).emit('ride_accepted', fullRide);
+        io.to(`user_${ride.passenger_id}`).emit('ride_pin', {
+            ride_id: ride.id,
+            pin: startPin,
+            message: 'Diga este PIN ao motorista para iniciar a viagem.'
+        });
+        io.to(`user_${ride.scheduled_driver_id}`).emit('ride_accepted', fullRide);
+        io.to(`ride_${ride.id}`).emit('ride_accepted', fullRide);
+    }
+
+    logSystem('SCHEDULER', `Corrida agendada ${ride.id} atribuída ao motorista pré-aceite ${ride.scheduled_driver_id}.`);
+}
+
+/**
+ * Coloca a corrida em busca e inicia o despacho sequencial.
+ */
+async function _startSearching(io, ride) {
+    const updated = await _leaveScheduled(io, ride.id, 'searching');
+    if (!updated) return;
+
+    const paxRes = await pool.query("SELECT name, photo, rating FROM users WHERE id = $1", [updated.passenger_id]);
+    const passenger = paxRes.rows[0] || {};
+
+    if (ride.scheduled_driver_id && io) {
+        io.to(`user_${ride.scheduled_driver_id}`).emit('scheduled_ride_released', {
+            ride_id: ride.id,
+            message: 'A corrida agendada foi reencaminhada a outros motoristas.'
+        });
+    }
+
+    if (io) {
+        io.to(`user_${updated.passenger_id}`).emit('ride_requested', {
+            ride_id: updated.id,
+            status: 'searching',
+            price: parseFloat(updated.initial_price),
+            message: 'Buscando motorista para a sua corrida agendada...'
+        });
+    }
+
+    const ridePayload = {
+        ride_id: updated.id,
+        passenger_id: updated.passenger_id,
+        passenger_name: passenger.name || 'Passageiro',
+        passenger_photo: passenger.photo,
+        passenger_rating: passenger.rating || 5.0,
+        origin_lat: updated.origin_lat,
+        origin_lng: updated.origin_lng,
+        origin_name: updated.origin_name,
+        dest_lat: updated.dest_lat,
+        dest_lng: updated.dest_lng,
+        dest_name: updated.dest_name,
+        initial_price: parseFloat(updated.initial_price),
+        final_price: parseFloat(updated.final_price || updated.initial_price),
+        distance_km: parseFloat(updated.distance_km),
+        ride_type: updated.ride_type,
+        status: 'searching',
+        scheduled_at: updated.scheduled_at,
+        timestamp: new Date().toISOString()
+    };
+
+    await dispatchService.startDispatch(io, ridePayload);
+    logSystem('SCHEDULER', `Corrida agendada ${updated.id} entrou em despacho.`);
+}
+
+/**
+ * Ativa as corridas cujo embarque está dentro da janela de antecedência.
+ */
+async function _activateDueRides(io) {
+    const due = await pool.query(`
+        SELECT id, passenger_id, scheduled_driver_id
+        FROM rides
+        WHERE status = 'scheduled'
+          AND scheduled_at <= NOW() + ($1 || ' minutes')::INTERVAL
+        ORDER BY scheduled_at ASC
+    `, [LEAD_MINUTES]);
+
+    for (const ride of due.rows) {
+        try {
+            if (ride.scheduled_driver_id && await _isDriverAvailable(ride.scheduled_driver_id)) {
+                await _assignPreAccepted(io, ride);
+            } else {
+                await _startSearching(io, ride);
+            }
+        } catch (e) {
+            logError('SCHEDULER_ACTIVATE', e);
+        }
+    }
+}
+
+async function _tick(io) {
+    if (running) return; // Evita sobreposição se um ciclo demorar mais que o intervalo
+    running = true;
+    try {
+        await _sendReminders(io);
+        await _activateDueRides(io);
+    } catch (e) {
+        logError('SCHEDULER_TICK', e);
+    } finally {
+        running = false;
+    }
+}
+
+// =================================================================================================
+// 1. API PÚBLICA
+// =================================================================================================
+
+/**
+ * Inicia o job de corridas agendadas (idempotente).
+ * @param {object} io - Instância do Socket.IO
+ */
+function startScheduler(io) {
+    if (schedulerTimer) return;
+    schedulerTimer = setInterval(() => _tick(io), INTERVAL_MS);
+    logSystem('SCHEDULER', `Agendador de corridas ativo (intervalo ${INTERVAL_MS / 1000}s, despacho ${LEAD_MINUTES}min antes).`);
+}
+
+function stopScheduler() {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+}
+
+module.exports = {
+    startScheduler,
+    stopScheduler
+};
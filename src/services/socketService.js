@@ -14,7 +14,7 @@
  * 3. Salas (Rooms): Motoristas e passageiros agora entram nas salas corretas
  *    (user_<id> e ride_<id>) garantindo que os eventos de `ride_accepted` e chat
  *    sejam entregues perfeitamente.
- * 4. Presença: Heartbeat e cleanup automático de motoristas inativos.
+ * 4. Presença: Heartbeat; o cleanup de motoristas inativos corre no maintenanceService.
  * 5. ✅ CORREÇÃO CRÍTICA: Sintaxe inválida na linha 51 corrigida.
  *
  * STATUS: PRODUCTION READY - FULL VERSION
@@ -25,6 +25,16 @@ const { Server } = require("socket.io");
 const pool = require('../config/db');
 const { getFullRideDetails, logSystem, logError } = require('../utils/helpers');
 const SYSTEM_CONFIG = require('../config/appConfig');
+const scheduledRideService = require('./scheduledRideService');
+const maintenanceService = require('./maintenanceService');
+const tripTrackingService = require('./tripTrackingService');
+const negotiationService = require('./negotiationService');
+const surgeService = require('./surgeService');
+const zoneService = require('./zoneService');
+const geoGrid = require('../utils/geoGrid');
+const rideShareService = require('./rideShareService');
+const driverStatementService = require('./driverStatementService');
+const { idempotent, purgeExpiredKeys } = require('../middleware/idempotencyMiddleware');
 
 // Instância global do Socket.IO
 let io;
@@ -66,10 +76,25 @@ function setupSocketIO(httpServer) {
 
     console.log(`${colors.green}✅ Motor de Tempo Real iniciado com sucesso.${colors.reset}`);
 
-    // Job de Fundo: Limpa motoristas inativos a cada 2 minutos (Zombie connection cleanup)
+    // Job de Fundo: Manutenção (corridas em busca expiradas, motoristas parados e fantasmas)
+    maintenanceService.startMaintenanceWorker(io);
+
+    // Job de Fundo: Corridas agendadas (lembretes e despacho antes do embarque)
+    scheduledRideService.startScheduler(io);
+
+    // Job de Fundo: Rejeita propostas de preço expiradas e avisa as duas partes
+    negotiationService.startNegotiationSweeper(io);
+
+    // Job de Fundo: Tarifa dinâmica (procura vs oferta por zona)
+    surgeService.startSurgeEngine();
+
+    // Job de Fundo: Extratos semanais congelados dos motoristas (segunda-feira, hora de Luanda)
+    driverStatementService.startStatementScheduler();
+
+    // Job de Fundo: Remove chaves de idempotência fora da janela de repetição (a cada hora)
     setInterval(() => {
-        _cleanInactiveDrivers();
-    }, 120000);
+        purgeExpiredKeys().catch(e => logError('IDEMPOTENCY_PURGE', e));
+    }, 3600000);
 
     return io;
 }
@@ -93,10 +118,16 @@ function _handleConnection(socket) {
         // Sala pessoal para notificações diretas (ex: emitToUser)
         socket.join(`user_${userId}`);
 
+        // Administradores recebem alertas operacionais (confirmado na base de dados)
+        if (role === 'admin') {
+            _joinAdminRoom(socket, userId);
+        }
+
         // Se for motorista, entra no pool de drivers e registra online
         if (role === 'driver') {
             socket.join('drivers');
             socket.join(`driver_${userId}`);
+            _bindDriver(socket, userId);
             _registerDriverOnline(userId, socketId, -8.8399, 13.2894); // Lat/Lng padrão (Luanda) até receber update
         }
     }
@@ -113,16 +144,44 @@ function _handleConnection(socket) {
 
     // --- CICLO DE VIDA DA MISSÃO (CORRIDA) ---
     // Usamos o padrão Bridge para reaproveitar a lógica blindada do RideController
+    // request_ride e complete_ride aceitam `idempotency_key` no payload (reenvios em rede instável)
     socket.on('request_ride', (data) => _routeToController('requestRide', data, socket, 'ride_request_response'));
     socket.on('accept_ride', (data) => _routeToController('acceptRide', data, socket, 'ride_accepted_confirmation'));
+    socket.on('decline_ride', (data) => _routeToController('declineRide', data, socket, 'ride_declined_ack'));
     socket.on('start_trip', (data) => _routeToController('startRide', data, socket, 'trip_started_ack'));
     socket.on('update_status', (data) => _routeToController('updateStatus', data, socket, 'status_update_ack'));
     socket.on('complete_ride', (data) => _routeToController('completeRide', data, socket, 'ride_completed_ack'));
     socket.on('cancel_ride', (data) => _routeToController('cancelRide', data, socket, 'ride_cancelled_ack'));
 
+    // Leilão de tarifa (modo `bidding`)
+    socket.on('place_bid', (data) => _routeToController('placeBid', data, socket, 'bid_placed_ack', 'bidController'));
+    socket.on('withdraw_bid', (data) => _routeToController('withdrawBid', data, socket, 'bid_withdrawn_ack', 'bidController'));
+    socket.on('accept_bid', (data) => _routeToController('acceptBid', data, socket, 'bid_accepted_ack', 'bidController'));
+
+    // Botão de pânico (ride_id no payload)
+    socket.on('trigger_sos', (data) => _routeToController('triggerSos', data, socket, 'sos_ack'));
+
     // --- RASTREAMENTO TÁTICO (GPS DA CORRIDA) ---
-    socket.on('update_trip_gps', (data) => {
-        const { ride_id, lat, lng, rotation, speed } = data;
+    socket.on('update_trip_gps', async (data) => {
+        const { ride_id, lat, lng, rotation, speed } = data || {};
+
+        // O motorista é o associado ao socket no registo (o driver_id do payload é ignorado):
+        // só ele grava breadcrumbs, que definem a distância e a tarifa final
+        const driverId = socket.data.driverId;
+        if (!driverId) {
+            socket.emit('trip_gps_rejected', { ride_id: ride_id, code: 'DRIVER_NOT_REGISTERED' });
+            return;
+        }
+
+        let accepted = false;
+        try {
+            accepted = await tripTrackingService.recordPoint(ride_id, driverId, data);
+        } catch (e) {
+            logError('TRIP_GPS_RECORD', e);
+        }
+        // Pontos recusados (corrida de outro motorista, fora de curso ou imprecisos) não são retransmitidos
+        if (!accepted) return;
+
         socket.to(`ride_${ride_id}`).emit('trip_gps_update', {
             ride_id: ride_id,
             lat: lat,
@@ -133,6 +192,9 @@ function _handleConnection(socket) {
         });
     });
 
+    // --- ACOMPANHAMENTO PÚBLICO (LINK DE PARTILHA, SEM LOGIN) ---
+    socket.on('watch_shared_trip', (data) => _handleWatchSharedTrip(socket, data));
+
     // --- COMUNICAÇÃO E CHAT (SALA DA CORRIDA) ---
     socket.on('join_ride', (rideId) => {
         if (!rideId) return;
@@ -176,9 +238,16 @@ function _handleConnection(socket) {
  * 4. PONTES DE LIGAÇÃO (CONTROLLER BRIDGE)
  * =================================================================================================
  * Transforma uma chamada de Socket numa chamada de Controller HTTP simulando req/res.
+ * Por omissão usa o rideController; `controllerName` permite encaminhar para outro controller.
+ * Os métodos de IDEMPOTENT_METHODS passam antes pelo guarda de idempotência (mesmo endpoint do REST).
  */
-async function _routeToController(methodName, data, socket, responseEvent) {
-    const rideController = require('../controllers/rideController');
+const IDEMPOTENT_METHODS = {
+    requestRide: 'ride.request',
+    completeRide: 'ride.complete'
+};
+
+async function _routeToController(methodName, data, socket, responseEvent, controllerName = 'rideController') {
+    const controller = require(`../controllers/${controllerName}`);
 
     // Identificação do Usuário extraída do Payload
     const userId = data.driver_id || data.passenger_id || data.user_id;
@@ -187,6 +256,7 @@ async function _routeToController(methodName, data, socket, responseEvent) {
     // Construção de um Request Express Mockado
     const req = {
         body: data,
+        params: data,
         user: { id: userId, role: role },
         io: io,
         ip: socket.handshake.address
@@ -207,11 +277,17 @@ async function _routeToController(methodName, data, socket, responseEvent) {
     };
 
     try {
-        if (typeof rideController[methodName] !== 'function') {
+        if (typeof controller[methodName] !== 'function') {
             throw new Error(`Método ${methodName} não encontrado no Controller.`);
         }
-        // Executa a lógica de negócios real
-        await rideController[methodName](req, res);
+        // Executa a lógica de negócios real (precedida do guarda de idempotência, se aplicável)
+        const endpoint = controllerName === 'rideController' && IDEMPOTENT_METHODS[methodName];
+        if (endpoint) {
+            let proceed = false;
+            await idempotent(endpoint)(req, res, () => { proceed = true; });
+            if (!proceed) return;
+        }
+        await controller[methodName](req, res);
     } catch (e) {
         logError('BRIDGE_ERROR', e);
         socket.emit(responseEvent, {
@@ -235,16 +311,40 @@ async function _handleJoinUser(socket, userId) {
     socket.join(`user_${userIdStr}`);
 
     try {
-        await pool.query(
-            "UPDATE users SET is_online = true, last_seen = NOW() WHERE id = $1",
+        const result = await pool.query(
+            "UPDATE users SET is_online = true, last_seen = NOW() WHERE id = $1 RETURNING role",
             [userIdStr]
         );
+        if (result.rows[0]?.role === 'admin') socket.join('admins');
+        if (result.rows[0]?.role === 'driver') socket.data.driverId = userIdStr;
         socket.emit('joined_ack', { success: true, user_id: userIdStr, socket_id: socket.id });
     } catch (e) {
         logError('JOIN_USER', e);
     }
 }
 
+async function _joinAdminRoom(socket, userId) {
+    try {
+        const result = await pool.query("SELECT role FROM users WHERE id = $1", [userId]);
+        if (result.rows[0]?.role === 'admin') socket.join('admins');
+    } catch (e) {
+        logError('JOIN_ADMIN', e);
+    }
+}
+
+/**
+ * Associa o socket a um motorista confirmado na base de dados (`socket.data.driverId`).
+ * Os breadcrumbs GPS da viagem só são aceites de sockets associados.
+ */
+async function _bindDriver(socket, driverId) {
+    try {
+        const result = await pool.query("SELECT role FROM users WHERE id = $1", [driverId]);
+        if (result.rows[0]?.role === 'driver') socket.data.driverId = String(driverId);
+    } catch (e) {
+        logError('BIND_DRIVER', e);
+    }
+}
+
 async function _handleJoinDriver(socket, data) {
     const driverId = data.driver_id || data.user_id;
     if (!driverId) return;
@@ -252,6 +352,7 @@ async function _handleJoinDriver(socket, data) {
     socket.join('drivers');
     socket.join(`driver_${driverId}`);
     socket.join(`user_${driverId}`);
+    await _bindDriver(socket, driverId);
 
     const lat = parseFloat(data.lat) || -8.8399;
     const lng = parseFloat(data.lng) || 13.2894;
@@ -267,11 +368,11 @@ async function _registerDriverOnline(driverId, socketId, lat, lng) {
         await client.query('BEGIN');
 
         await client.query(`
-            INSERT INTO driver_positions (driver_id, lat, lng, socket_id, status, last_update)
-            VALUES ($1, $2, $3, $4, 'online', NOW())
+            INSERT INTO driver_positions (driver_id, lat, lng, grid_cell, socket_id, status, last_update)
+            VALUES ($1, $2, $3, $4, $5, 'online', NOW())
             ON CONFLICT (driver_id) DO UPDATE SET
-                lat = $2, lng = $3, socket_id = $4, status = 'online', last_update = NOW()
-        `, [driverId, lat, lng, socketId]);
+                lat = $2, lng = $3, grid_cell = $4, socket_id = $5, status = 'online', last_update = NOW()
+        `, [driverId, lat, lng, geoGrid.cellKey(lat, lng), socketId]);
 
         await client.query("UPDATE users SET is_online = true, last_seen = NOW() WHERE id = $1", [driverId]);
 
@@ -292,11 +393,15 @@ async function _handleUpdateLocation(socket, data) {
     if (!driverId || isNaN(lat) || isNaN(lng)) return;
 
     try {
+        // Zona de serviço onde o motorista está (null fora de qualquer zona)
+        const zoneId = await zoneService.findZoneId(lat, lng);
+
+        // grid_cell: índice espacial usado pelo findAvailableDrivers
         await pool.query(`
             UPDATE driver_positions
-            SET lat = $2, lng = $3, heading = $4, speed = $5, last_update = NOW()
+            SET lat = $2, lng = $3, heading = $4, speed = $5, zone_id = $6, grid_cell = $7, last_update = NOW()
             WHERE driver_id = $1
-        `, [driverId, lat, lng, data.heading || 0, data.speed || 0]);
+        `, [driverId, lat, lng, data.heading || 0, data.speed || 0, zoneId, geoGrid.cellKey(lat, lng)]);
 
         // Otimização: Só propaga se o motorista estiver com uma corrida ativa
         const activeRides = await pool.query(`
@@ -304,7 +409,7 @@ async function _handleUpdateLocation(socket, data) {
         `, [driverId]);
 
         activeRides.rows.forEach(ride => {
-            io.to(`ride_${ride.id}`).emit('driver_location_update', {
+            const payload = {
                 ride_id: ride.id,
                 driver_id: driverId,
                 lat: lat,
@@ -312,11 +417,49 @@ async function _handleUpdateLocation(socket, data) {
                 heading: data.heading || 0,
                 speed: data.speed || 0,
                 timestamp: new Date().toISOString()
-            });
+            };
+            io.to(`ride_${ride.id}`).emit('driver_location_update', payload);
+            io.to(rideShareService.shareRoom(ride.id)).emit('driver_location_update', payload);
         });
     } catch (e) { /* Silent Fail para alta frequência */ }
 }
 
+/**
+ * Observador de um link de partilha: valida o token, entra na sala `share_<rideId>`
+ * e sai sozinho quando o link expira. O temporizador fica em `socket.data.shareWatch`
+ * (substituído num novo watch, limpo no disconnect).
+ */
+async function _handleWatchSharedTrip(socket, data) {
+    try {
+        const access = await rideShareService.resolveToken(data?.token);
+        if (access.error) {
+            return socket.emit('shared_trip_snapshot', { success: false, error: access.error, code: access.code });
+        }
+
+        const room = rideShareService.shareRoom(access.rideId);
+        const previous = socket.data.shareWatch;
+        if (previous) {
+            clearTimeout(previous.timer);
+            if (previous.room !== room) socket.leave(previous.room);
+        }
+        socket.join(room);
+
+        const msUntilExpiry = new Date(access.expiresAt).getTime() - Date.now();
+        const timer = setTimeout(() => {
+            socket.data.shareWatch = null;
+            if (!socket.rooms.has(room)) return;
+            socket.emit('shared_trip_ended', { ride_id: access.rideId, status: 'expired' });
+            socket.leave(room);
+        }, msUntilExpiry);
+        socket.data.shareWatch = { room: room, timer: timer };
+
+        const trip = await rideShareService.getSharedTrip(access.rideId);
+        socket.emit('shared_trip_snapshot', { success: true, expires_at: access.expiresAt, trip: trip });
+    } catch (e) {
+        logError('WATCH_SHARED_TRIP', e);
+    }
+}
+
 async function _handleHeartbeat(socket, data) {
     const driverId = data.driver_id || data.user_id;
     if (!driverId) return;
@@ -366,6 +509,12 @@ async function _handleSendMessage(socket, data) {
 
 async function _handleDisconnect(socket) {
     console.log(`${colors.yellow}🔌 Terminal desconectado: ${socket.id}${colors.reset}`);
+
+    if (socket.data.shareWatch) {
+        clearTimeout(socket.data.shareWatch.timer);
+        socket.data.shareWatch = null;
+    }
+
     try {
         const result = await pool.query('SELECT driver_id FROM driver_positions WHERE socket_id = $1', [socket.id]);
 
@@ -386,26 +535,6 @@ async function _handleDisconnect(socket) {
     }
 }
 
-async function _cleanInactiveDrivers() {
-    try {
-        const result = await pool.query(`
-            UPDATE driver_positions
-            SET status = 'offline', socket_id = NULL
-            WHERE last_update < NOW() - INTERVAL '3 minutes' AND status = 'online'
-            RETURNING driver_id
-        `);
-
-        if (result.rows.length > 0) {
-            for (const row of result.rows) {
-                await pool.query("UPDATE users SET is_online = false WHERE id = $1", [row.driver_id]);
-                console.log(`${colors.yellow}🧹 Motorista ${row.driver_id} varrido por inatividade extrema.${colors.reset}`);
-            }
-        }
-    } catch (e) {
-        logError('CLEAN_INACTIVE_DRIVERS', e);
-    }
-}
-
 // =================================================================================================
 // 6. MÉTODOS PÚBLICOS DE EMISSÃO GERAL
 // =================================================================================================
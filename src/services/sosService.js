@@ -0,0 +1,272 @@
+/**
+ * =================================================================================================
+ * 🆘 AOTRAVEL SERVER PRO - SOS EMERGENCY ENGINE (TITANIUM GUARDIAN)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/sosService.js
+ * DESCRIÇÃO: Botão de pânico de passageiros e motoristas.
+ *            1. Captura a corrida, a última posição conhecida e os dados das duas partes.
+ *            2. Cria um incidente de alta prioridade (`sos_incidents`).
+ *            3. Avisa os admins em tempo real (sala `admins`).
+ *            4. Notifica os contactos de confiança do utilizador, em segundo plano (a confirmação
+ *               do SOS não espera pelo SMTP) e em paralelo:
+ *               - contacto que também é utilizador da app -> notificação + socket;
+ *               - contacto com email e SMTP configurado -> email.
+ *               No fim grava `contacts_notified` e avisa quem acionou (`sos_contacts_notified`).
+ *
+ * NOTA: A outra parte da corrida NÃO é avisada (pode ser a origem do perigo).
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const { logError, logSystem } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+const adminAlertService = require('./adminAlertService');
+
+// Posição do motorista mais antiga que isto não conta como "última posição conhecida"
+const POSITION_MAX_AGE_MINUTES = 10;
+
+let mailTransport;
+
+// =================================================================================================
+// 0. HELPERS PRIVADOS
+// =================================================================================================
+
+/**
+ * Transporte SMTP (só existe se SMTP_HOST estiver configurado).
+ */
+function _getMailTransport() {
+    if (mailTransport !== undefined) return mailTransport;
+
+    if (!process.env.SMTP_HOST) {
+        mailTransport = null;
+        return mailTransport;
+    }
+
+    const nodemailer = require('nodemailer');
+    mailTransport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return mailTransport;
+}
+
+/**
+ * Última posição conhecida: a mais recente entre o GPS do motorista e os breadcrumbs da viagem.
+ * Sem nenhuma delas usa a posição enviada pelo app e, por fim, a origem da corrida.
+ */
+async function _resolveLastPosition(db, ride, fallback) {
+    const candidates = [];
+
+    if (ride.driver_id) {
+        const posRes = await db.query(`
+            SELECT lat, lng, last_update as recorded_at FROM driver_positions
+            WHERE driver_id = $1 AND lat != 0 AND lng != 0
+              AND last_update > NOW() - ($2 || ' minutes')::INTERVAL
+        `, [ride.driver_id, POSITION_MAX_AGE_MINUTES]);
+        if (posRes.rows[0]) candidates.push({ ...posRes.rows[0], source: 'driver_position' });
+    }
+
+    const gpsRes = await db.query(`
+        SELECT lat, lng, recorded_at FROM ride_gps_points
+        WHERE ride_id = $1 ORDER BY recorded_at DESC, id DESC LIMIT 1
+    `, [ride.id]);
+    if (gpsRes.rows[0]) candidates.push({ ...gpsRes.rows[0], source: 'trip_breadcrumb' });
+
+    if (candidates.length > 0) {
+        candidates.sort((a, b) => new Date(b.recorded_at) - new Date(a.recorded_at));
+        return candidates[0];
+    }
+
+    const lat = parseFloat(fallback.lat);
+    const lng = parseFloat(fallback.lng);
+    if (lat && lng) return { lat: lat, lng: lng, recorded_at: new Date(), source: 'device' };
+
+    return { lat: ride.origin_lat, lng: ride.origin_lng, recorded_at: ride.created_at, source: 'ride_origin' };
+}
+
+function _mapsLink(lat, lng) {
+    return `https://maps.google.com/?q=${lat},${lng}`;
+}
+
+/**
+ * Avisa os contactos de confiança do utilizador que acionou o SOS.
+ * @returns {Promise<Array<{ contact_id: number, name: string, channels: string[] }>>}
+ */
+async function _notifyTrustedContacts(io, reporter, incident) {
+    const contactsRes = await pool.query(
+        "SELECT id, name, phone, email FROM trusted_contacts WHERE user_id = $1 ORDER BY id ASC",
+        [reporter.id]
+    );
+
+    const link = _mapsLink(incident.lat, incident.lng);
+    const text = `${reporter.name} acionou um alerta de emergência na ${SYSTEM_CONFIG.APP_NAME}. ` +
+        `Última localização conhecida: ${link}`;
+
+    return Promise.all(contactsRes.rows.map(async (contact) => {
+        const channels = [];
+
+        try {
+            // Contacto que também usa a app
+            if (contact.phone) {
+                const appUser = await pool.query("SELECT id FROM users WHERE phone = $1 AND id != $2", [contact.phone, reporter.id]);
+                if (appUser.rows[0]) {
+                    const contactUserId = appUser.rows[0].id;
+                    await pool.query(`
+                        INSERT INTO notifications (user_id, type, title, body, data)
+                        VALUES ($1, 'trusted_contact_sos', $2, $3, $4)
+                    `, [contactUserId, 'Alerta de emergência', text, JSON.stringify({ incident_id: incident.id, lat: incident.lat, lng: incident.lng })]);
+
+                    if (io) {
+                        io.to(`user_${contactUserId}`).emit('trusted_contact_sos', {
+                            incident_id: incident.id,
+                            reporter_name: reporter.name,
+                            lat: incident.lat,
+                            lng: incident.lng,
+                            maps_link: link,
+                            created_at: incident.created_at
+                        });
+                    }
+                    channels.push('app');
+                }
+            }
+
+            const transport = _getMailTransport();
+            if (contact.email && transport) {
+                await transport.sendMail({
+                    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+                    to: contact.email,
+                    subject: `🆘 Alerta de emergência - ${reporter.name}`,
+                    text: text
+                });
+                channels.push('email');
+            }
+        } catch (e) {
+            logError('SOS_CONTACT_NOTIFY', e);
+        }
+
+        return { contact_id: contact.id, name: contact.name, channels: channels };
+    }));
+}
+
+/**
+ * Notificação dos contactos depois de o incidente estar gravado (não bloqueia o pedido SOS).
+ */
+function _notifyContactsInBackground(io, reporter, incident) {
+    _notifyTrustedContacts(io, reporter, incident)
+        .then(async (notified) => {
+            await pool.query(
+                "UPDATE sos_incidents SET contacts_notified = $1, updated_at = NOW() WHERE id = $2",
+                [JSON.stringify(notified), incident.id]
+            );
+            if (io) {
+                io.to(`user_${reporter.id}`).emit('sos_contacts_notified', {
+                    incident_id: incident.id,
+                    contacts_notified: notified
+                });
+            }
+            logSystem('SOS', `Incidente ${incident.id}: ${notified.length} contactos de confiança notificados.`);
+        })
+        .catch(e => logError('SOS_CONTACTS_BACKGROUND', e));
+}
+
+// =================================================================================================
+// 1. API PÚBLICA
+// =================================================================================================
+
+/**
+ * Cria (ou devolve, se já existir um aberto há pouco) o incidente SOS da corrida.
+ * @param {object} io - Instância do Socket.IO
+ * @param {{ rideId: number, userId: number, message?: string, lat?: number, lng?: number }} input
+ * @returns {Promise<{ incident: object, created: boolean }|{ error: string, status: number }>}
+ */
+async function triggerSos(io, input) {
+    const rideRes = await pool.query(`
+        SELECT r.*,
+               p.name as passenger_name, p.phone as passenger_phone, p.email as passenger_email,
+               d.name as driver_name, d.phone as driver_phone, d.email as driver_email,
+               vd.model as vehicle_model, vd.plate as vehicle_plate, vd.color as vehicle_color
+        FROM rides r
+        JOIN users p ON r.passenger_id = p.id
+        LEFT JOIN users d ON r.driver_id = d.id
+        LEFT JOIN vehicle_details vd ON vd.driver_id = r.driver_id
+        WHERE r.id = $1
+    `, [input.rideId]);
+
+    const ride = rideRes.rows[0];
+    if (!ride) return { status: 404, error: "Corrida não encontrada." };
+
+    const role = ride.passenger_id === input.userId ? 'passenger'
+        : ride.driver_id === input.userId ? 'driver' : null;
+    if (!role) return { status: 403, error: "Apenas os participantes da corrida podem acionar o SOS." };
+
+    // Toques repetidos no botão não criam incidentes duplicados
+    const openRes = await pool.query(`
+        SELECT * FROM sos_incidents
+        WHERE ride_id = $1 AND reporter_id = $2 AND status = 'open'
+          AND created_at > NOW() - INTERVAL '5 minutes'
+        ORDER BY created_at DESC LIMIT 1
+    `, [ride.id, input.userId]);
+    if (openRes.rows[0]) return { incident: openRes.rows[0], created: false };
+
+    const position = await _resolveLastPosition(pool, ride, input);
+
+    const snapshot = {
+        ride: {
+            id: ride.id,
+            status: ride.status,
+            origin_name: ride.origin_name,
+            dest_name: ride.dest_name,
+            origin: { lat: ride.origin_lat, lng: ride.origin_lng },
+            destination: { lat: ride.dest_lat, lng: ride.dest_lng },
+            started_at: ride.started_at
+        },
+        passenger: { id: ride.passenger_id, name: ride.passenger_name, phone: ride.passenger_phone, email: ride.passenger_email },
+        driver: ride.driver_id ? {
+            id: ride.driver_id,
+            name: ride.driver_name,
+            phone: ride.driver_phone,
+            email: ride.driver_email,
+            vehicle: { model: ride.vehicle_model, plate: ride.vehicle_plate, color: ride.vehicle_color }
+        } : null
+    };
+
+    const incidentRes = await pool.query(`
+        INSERT INTO sos_incidents (ride_id, reporter_id, reporter_role, priority, lat, lng, location_source, location_at, message, snapshot)
+        VALUES ($1, $2, $3, 'high', $4, $5, $6, $7, $8, $9)
+        RETURNING *
+    `, [
+        ride.id, input.userId, role,
+        position.lat, position.lng, position.source, position.recorded_at,
+        input.message || null, JSON.stringify(snapshot)
+    ]);
+    const incident = incidentRes.rows[0];
+
+    const reporter = role === 'passenger'
+        ? { id: ride.passenger_id, name: ride.passenger_name }
+        : { id: ride.driver_id, name: ride.driver_name };
+
+    if (io) io.to('admins').emit('sos_incident', incident);
+
+    await adminAlertService.raiseAdminAlert(io, {
+        type: 'sos',
+        severity: 'critical',
+        title: '🆘 SOS acionado',
+        message: `${reporter.name} (${role === 'passenger' ? 'passageiro' : 'motorista'}) acionou SOS na corrida #${ride.id}.`,
+        data: { incident_id: incident.id, ride_id: ride.id, lat: position.lat, lng: position.lng }
+    });
+
+    _notifyContactsInBackground(io, reporter, incident);
+
+    logSystem('SOS', `Incidente ${incident.id} aberto por ${role} ${input.userId} na corrida ${ride.id}.`);
+
+    return { incident: incident, created: true };
+}
+
+module.exports = {
+    triggerSos
+};
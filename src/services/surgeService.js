@@ -0,0 +1,208 @@
+/**
+ * =================================================================================================
+ * 📈 AOTRAVEL SERVER PRO - SURGE PRICING ENGINE (TITANIUM SURGE)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/surgeService.js
+ * DESCRIÇÃO: Tarifa dinâmica por zona geográfica (célula de grelha lat/lng).
+ *            A cada `SURGE_INTERVAL_SECONDS` compara, por célula, as corridas em `searching`
+ *            (procura) com os motoristas online em `driver_positions` (oferta) e calcula um
+ *            multiplicador limitado entre 1.0 e o teto configurado.
+ *
+ * FÓRMULA:
+ *   rácio = procura / max(oferta, 1)
+ *   multiplicador = 1 + (rácio - 1) * SURGE_SENSITIVITY   (só quando procura >= SURGE_MIN_DEMAND e rácio > 1)
+ *   arredondado a 0.1 e limitado ao teto global ou da zona.
+ *
+ * CONTROLO ADMIN (app_settings.surge_settings):
+ *   { "enabled": true, "max_multiplier": 2.0,
+ *     "zones": { "<célula>": { "enabled": false } | { "max_multiplier": 1.5 } } }
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const { logError, logSystem } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+const geoGrid = require('../utils/geoGrid');
+
+const CELL_SIZE_DEG = SYSTEM_CONFIG.RIDES?.SURGE_CELL_SIZE_DEG || 0.02;
+const INTERVAL_MS = (SYSTEM_CONFIG.RIDES?.SURGE_INTERVAL_SECONDS || 60) * 1000;
+const SENSITIVITY = SYSTEM_CONFIG.RIDES?.SURGE_SENSITIVITY || 0.5;
+const MIN_DEMAND = SYSTEM_CONFIG.RIDES?.SURGE_MIN_DEMAND || 2;
+const DEFAULT_MAX_MULTIPLIER = SYSTEM_CONFIG.RIDES?.SURGE_MAX_MULTIPLIER || 2.0;
+
+// célula -> { multiplier, demand, supply, updated_at } (multiplicador ainda sem os tetos do admin)
+const cellStats = new Map();
+
+let surgeTimer = null;
+let running = false;
+
+// =================================================================================================
+// 0. HELPERS
+// =================================================================================================
+
+/**
+ * Identificador da célula da grelha que contém o ponto.
+ */
+function cellKey(lat, lng) {
+    return geoGrid.cellKey(lat, lng, CELL_SIZE_DEG);
+}
+
+function _rawMultiplier(demand, supply) {
+    if (demand < MIN_DEMAND) return 1.0;
+    const ratio = demand / Math.max(supply, 1);
+    if (ratio <= 1) return 1.0;
+    return Math.round((1 + (ratio - 1) * SENSITIVITY) * 10) / 10;
+}
+
+/**
+ * Aplica o interruptor e os tetos (global e da zona) definidos pelo admin.
+ */
+function _applyCaps(multiplier, settings, cell) {
+    const zone = (settings.zones || {})[cell] || {};
+    if (settings.enabled === false || zone.enabled === false) return 1.0;
+
+    const cap = Math.min(
+        parseFloat(settings.max_multiplier) || DEFAULT_MAX_MULTIPLIER,
+        parseFloat(zone.max_multiplier) || Infinity
+    );
+    return Math.max(1.0, Math.min(multiplier, cap));
+}
+
+/**
+ * Configuração do admin (`app_settings.surge_settings`) com fallback no appConfig.
+ */
+async function getSurgeSettings(db = pool) {
+    const defaults = { enabled: true, max_multiplier: DEFAULT_MAX_MULTIPLIER, zones: {} };
+    try {
+        const settingsRes = await db.query("SELECT value FROM app_settings WHERE key = 'surge_settings'");
+        return { ...defaults, ...(settingsRes.rows[0]?.value || {}) };
+    } catch (e) {
+        logError('SURGE_SETTINGS', e);
+        return defaults;
+    }
+}
+
+// =================================================================================================
+// 1. API PÚBLICA
+// =================================================================================================
+
+/**
+ * Multiplicador vigente para um ponto de embarque, já com os tetos do admin aplicados.
+ * @returns {Promise<{ multiplier: number, cell: string, demand: number, supply: number }>}
+ */
+async function getSurge(lat, lng, db = pool) {
+    const cell = cellKey(lat, lng);
+    const stats = cellStats.get(cell) || { multiplier: 1.0, demand: 0, supply: 0 };
+    const settings = await getSurgeSettings(db);
+
+    return {
+        multiplier: _applyCaps(stats.multiplier, settings, cell),
+        cell: cell,
+        demand: stats.demand,
+        supply: stats.supply
+    };
+}
+
+/**
+ * Recalcula procura e oferta de todas as células com atividade.
+ */
+async function refreshSurge() {
+    const demandRes = await pool.query(`
+        SELECT FLOOR(origin_lat / $1)::INT as cy, FLOOR(origin_lng / $1)::INT as cx, COUNT(*)::INT as total
+        FROM rides
+        WHERE status = 'searching'
+        GROUP BY 1, 2
+    `, [CELL_SIZE_DEG]);
+
+    const supplyRes = await pool.query(`
+        SELECT FLOOR(lat / $1)::INT as cy, FLOOR(lng / $1)::INT as cx, COUNT(*)::INT as total
+        FROM driver_positions
+        WHERE status = 'online'
+          AND last_update > NOW() - INTERVAL '5 minutes'
+          AND lat != 0 AND lng != 0
+        GROUP BY 1, 2
+    `, [CELL_SIZE_DEG]);
+
+    const supply = new Map(supplyRes.rows.map(r => [`${r.cy}:${r.cx}`, r.total]));
+    const now = new Date().toISOString();
+
+    cellStats.clear();
+    for (const row of demandRes.rows) {
+        const cell = `${row.cy}:${row.cx}`;
+        const available = supply.get(cell) || 0;
+        cellStats.set(cell, {
+            multiplier: _rawMultiplier(row.total, available),
+            demand: row.total,
+            supply: available,
+            updated_at: now
+        });
+    }
+
+    const surging = [...cellStats.values()].filter(s => s.multiplier > 1).length;
+    if (surging > 0) logSystem('SURGE', `${surging} zona(s) com tarifa dinâmica ativa.`);
+}
+
+/**
+ * Estado atual de todas as células com procura (painel admin).
+ */
+async function getSurgeMap() {
+    const settings = await getSurgeSettings();
+    const cells = [];
+    for (const [cell, stats] of cellStats.entries()) {
+        const [cy, cx] = cell.split(':').map(Number);
+        cells.push({
+            cell: cell,
+            bounds: {
+                min_lat: cy * CELL_SIZE_DEG,
+                min_lng: cx * CELL_SIZE_DEG,
+                max_lat: (cy + 1) * CELL_SIZE_DEG,
+                max_lng: (cx + 1) * CELL_SIZE_DEG
+            },
+            ...stats,
+            effective_multiplier: _applyCaps(stats.multiplier, settings, cell)
+        });
+    }
+    return { settings: settings, cell_size_deg: CELL_SIZE_DEG, cells: cells };
+}
+
+async function _tick() {
+    if (running) return;
+    running = true;
+    try {
+        await refreshSurge();
+    } catch (e) {
+        logError('SURGE_TICK', e);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Inicia o recálculo periódico da tarifa dinâmica (idempotente).
+ */
+function startSurgeEngine() {
+    if (surgeTimer) return;
+    surgeTimer = setInterval(_tick, INTERVAL_MS);
+    _tick();
+    logSystem('SURGE', `Tarifa dinâmica ativa (célula ${CELL_SIZE_DEG}°, intervalo ${INTERVAL_MS / 1000}s).`);
+}
+
+function stopSurgeEngine() {
+    if (surgeTimer) {
+        clearInterval(surgeTimer);
+        surgeTimer = null;
+    }
+}
+
+module.exports = {
+    cellKey,
+    getSurgeSettings,
+    getSurge,
+    getSurgeMap,
+    refreshSurge,
+    startSurgeEngine,
+    stopSurgeEngine
+};
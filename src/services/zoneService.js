@@ -0,0 +1,178 @@
+/**
+ * =================================================================================================
+ * 🗺️ AOTRAVEL SERVER PRO - SERVICE ZONES ENGINE (TITANIUM GEOFENCE)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/services/zoneService.js
+ * DESCRIÇÃO: Áreas de serviço (polígonos geridos pelo admin em `service_zones`).
+ *            1. Com a verificação de área ligada, um pedido só é aceite se a origem estiver dentro
+ *               de uma zona ativa.
+ *            2. Cada zona pode ter a sua tabela de preços (`ride_prices`); sem ela vale a global.
+ *            3. Os motoristas ficam marcados com a zona onde se encontram (`driver_positions.zone_id`).
+ *
+ * NOTAS:
+ * - As zonas ativas ficam em cache durante `ZONE_CACHE_SECONDS` (invalidada nas alterações do admin).
+ * - A recusa de pedidos fora das zonas só acontece com `app_settings.zones_enforced` = { "enabled": true }
+ *   (por omissão `RIDES.ZONES_ENFORCED`, desligado) e pelo menos uma zona ativa. Com a verificação
+ *   desligada, as zonas continuam a definir tarifas e relatórios.
+ * - Zonas sobrepostas: vence a de maior `priority`.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const pool = require('../config/db');
+const { logError } = require('../utils/helpers');
+const SYSTEM_CONFIG = require('../config/appConfig');
+const pricingService = require('./pricingService');
+
+const CACHE_TTL_MS = (SYSTEM_CONFIG.RIDES?.ZONE_CACHE_SECONDS || 60) * 1000;
+
+let zoneCache = null;
+let enforcedCache = false;
+let cacheLoadedAt = 0;
+
+// =================================================================================================
+// 0. GEOMETRIA
+// =================================================================================================
+
+/**
+ * Ponto dentro do polígono (ray casting).
+ * @param {Array<{lat:number, lng:number}>} polygon
+ */
+function pointInPolygon(lat, lng, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const yi = polygon[i].lat, xi = polygon[i].lng;
+        const yj = polygon[j].lat, xj = polygon[j].lng;
+
+        const crosses = ((yi > lat) !== (yj > lat)) &&
+            (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Valida e normaliza o polígono enviado pelo admin.
+ * @returns {{ polygon: Array<{lat:number, lng:number}> }|{ error: string }}
+ */
+function parsePolygon(raw) {
+    let points = raw;
+    if (typeof raw === 'string') {
+        try {
+            points = JSON.parse(raw);
+        } catch (e) {
+            return { error: "Polígono inválido." };
+        }
+    }
+
+    if (!Array.isArray(points) || points.length < 3) {
+        return { error: "O polígono precisa de pelo menos 3 vértices." };
+    }
+
+    const polygon = [];
+    for (const point of points) {
+        const lat = parseFloat(Array.isArray(point) ? point[0] : point.lat);
+        const lng = parseFloat(Array.isArray(point) ? point[1] : point.lng);
+        if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return { error: "Vértice do polígono com coordenadas inválidas." };
+        }
+        polygon.push({ lat: lat, lng: lng });
+    }
+
+    return { polygon: polygon };
+}
+
+// =================================================================================================
+// 1. CACHE DE ZONAS
+// =================================================================================================
+
+async function _loadZones() {
+    if (zoneCache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) return zoneCache;
+
+    const result = await pool.query(`
+        SELECT id, name, slug, polygon, ride_prices, priority
+        FROM service_zones
+        WHERE is_active = true
+        ORDER BY priority DESC, id ASC
+    `);
+
+    const settingRes = await pool.query("SELECT value FROM app_settings WHERE key = 'zones_enforced'");
+    const setting = settingRes.rows[0]?.value;
+
+    zoneCache = result.rows;
+    enforcedCache = setting && typeof setting.enabled === 'boolean'
+        ? setting.enabled
+        : Boolean(SYSTEM_CONFIG.RIDES?.ZONES_ENFORCED);
+    cacheLoadedAt = Date.now();
+    return zoneCache;
+}
+
+/**
+ * Força a releitura das zonas na próxima consulta (após alterações do admin).
+ */
+function invalidateCache() {
+    zoneCache = null;
+    cacheLoadedAt = 0;
+}
+
+// =================================================================================================
+// 2. API PÚBLICA
+// =================================================================================================
+
+/**
+ * Zona ativa que contém o ponto.
+ * @returns {Promise<{ zone: object|null, enforced: boolean }>} - `enforced` é false quando a verificação
+ *          está desligada ou não há zonas configuradas
+ */
+async function findZone(lat, lng) {
+    const zones = await _loadZones();
+    if (zones.length === 0) return { zone: null, enforced: false };
+
+    const zone = zones.find(z => Array.isArray(z.polygon) && pointInPolygon(lat, lng, z.polygon)) || null;
+    return { zone: zone, enforced: enforcedCache };
+}
+
+/**
+ * Id da zona do ponto (ou null), sem lançar erro (uso em alta frequência).
+ */
+async function findZoneId(lat, lng) {
+    try {
+        const { zone } = await findZone(lat, lng);
+        return zone ? zone.id : null;
+    } catch (e) {
+        logError('ZONE_LOOKUP', e);
+        return null;
+    }
+}
+
+/**
+ * Tabela de preços da zona, com fallback na tabela global.
+ * @param {object} db - Pool ou client transacional (opcional)
+ */
+async function getZonePrices(zone, db = pool) {
+    const globalPrices = await pricingService.getRidePrices(db);
+    if (!zone || !zone.ride_prices) return globalPrices;
+    return { ...globalPrices, ...zone.ride_prices };
+}
+
+/**
+ * Tabela de preços a partir do id da zona gravado na corrida.
+ */
+async function getPricesForZoneId(zoneId, db = pool) {
+    if (!zoneId) return pricingService.getRidePrices(db);
+
+    const result = await db.query("SELECT ride_prices FROM service_zones WHERE id = $1", [zoneId]);
+    return getZonePrices(result.rows[0] || null, db);
+}
+
+module.exports = {
+    pointInPolygon,
+    parsePolygon,
+    invalidateCache,
+    findZone,
+    findZoneId,
+    getZonePrices,
+    getPricesForZoneId
+};
@@ -22,6 +22,7 @@
 
 const pool = require('../config/db');
 const bcrypt = require('bcrypt');
+const geoGrid = require('./geoGrid');
 
 const colors = {
     reset: '\x1b[0m',
@@ -166,7 +167,7 @@ async function bootstrapDatabase() {
                 negotiation_history JSONB DEFAULT '[]',
                 ride_type VARCHAR(20) DEFAULT 'ride' CHECK (ride_type IN ('ride', 'moto', 'delivery')),
                 distance_km NUMERIC(10,2),
-                status VARCHAR(20) DEFAULT 'searching' CHECK (status IN ('searching', 'accepted', 'arrived', 'ongoing', 'completed', 'cancelled')),
+                status VARCHAR(20) DEFAULT 'searching' CHECK (status IN ('scheduled', 'searching', 'accepted', 'arrived', 'ongoing', 'completed', 'cancelled')),
                 payment_method VARCHAR(20) DEFAULT 'cash' CHECK (payment_method IN ('cash', 'wallet', 'card')),
                 payment_status VARCHAR(20) DEFAULT 'pending' CHECK (payment_status IN ('pending', 'paid', 'failed')),
                 rating INTEGER CHECK (rating >= 1 AND rating <= 5),
@@ -197,7 +198,7 @@ async function bootstrapDatabase() {
                 balance_before NUMERIC(15,2),
                 balance_after NUMERIC(15,2),
                 currency VARCHAR(3) DEFAULT 'AOA',
-                type VARCHAR(50) CHECK (type IN ('topup', 'withdraw', 'payment', 'earnings', 'refund', 'bonus', 'transfer')),
+                type VARCHAR(50) CHECK (type IN ('topup', 'withdraw', 'payment', 'earnings', 'refund', 'bonus', 'transfer', 'tip')),
                 method VARCHAR(50) DEFAULT 'internal' CHECK (method IN ('cash', 'wallet', 'card', 'transfer', 'internal')),
                 status VARCHAR(20) DEFAULT 'completed' CHECK (status IN ('pending', 'completed', 'failed', 'cancelled')),
                 description TEXT,
@@ -330,6 +331,235 @@ async function bootstrapDatabase() {
             );
         `, [], 'CREATE TABLE admin_reports');
 
+        // 13. TABELA RIDE_STOPS (Paragens intermédias, em ordem)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS ride_stops (
+                id SERIAL PRIMARY KEY,
+                ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+                stop_order INTEGER NOT NULL,
+                lat DOUBLE PRECISION NOT NULL,
+                lng DOUBLE PRECISION NOT NULL,
+                name TEXT,
+                status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'reached')),
+                reached_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (ride_id, stop_order)
+            );
+        `, [], 'CREATE TABLE ride_stops');
+
+        // 14. TABELA RIDE_GPS_POINTS (Breadcrumbs da viagem para distância real e disputas)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS ride_gps_points (
+                id BIGSERIAL PRIMARY KEY,
+                ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+                driver_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                lat DOUBLE PRECISION NOT NULL,
+                lng DOUBLE PRECISION NOT NULL,
+                speed DOUBLE PRECISION DEFAULT 0,
+                heading DOUBLE PRECISION DEFAULT 0,
+                accuracy DOUBLE PRECISION,
+                recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `, [], 'CREATE TABLE ride_gps_points');
+
+        // 15. TABELA RIDE_RATINGS (Avaliações nos dois sentidos)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS ride_ratings (
+                id SERIAL PRIMARY KEY,
+                ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+                rater_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                rated_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                rater_role VARCHAR(20) CHECK (rater_role IN ('passenger', 'driver')),
+                rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+                comment TEXT,
+                tags JSONB DEFAULT '[]',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (ride_id, rater_id)
+            );
+        `, [], 'CREATE TABLE ride_ratings');
+
+        // 16. TABELA RIDE_BIDS (Lances dos motoristas no modo leilão)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS ride_bids (
+                id SERIAL PRIMARY KEY,
+                ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+                driver_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                amount NUMERIC(15,2) NOT NULL,
+                eta_minutes INTEGER,
+                status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected', 'withdrawn', 'expired')),
+                expires_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `, [], 'CREATE TABLE ride_bids');
+
+        // 17. TABELA SERVICE_ZONES (Áreas de serviço em polígono, com tarifa própria)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS service_zones (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                slug VARCHAR(50) UNIQUE NOT NULL,
+                polygon JSONB NOT NULL,
+                ride_prices JSONB,
+                priority INTEGER DEFAULT 0,
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `, [], 'CREATE TABLE service_zones');
+
+        // 18. TABELA TRUSTED_CONTACTS (Contactos avisados quando o utilizador aciona o SOS)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS trusted_contacts (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                phone VARCHAR(20),
+                email VARCHAR(150),
+                relationship VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `, [], 'CREATE TABLE trusted_contacts');
+
+        // 19. TABELA SOS_INCIDENTS (Botão de pânico durante a corrida)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS sos_incidents (
+                id SERIAL PRIMARY KEY,
+                ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+                reporter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                reporter_role VARCHAR(20) NOT NULL CHECK (reporter_role IN ('passenger', 'driver')),
+                status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+                priority VARCHAR(20) DEFAULT 'high',
+                lat DOUBLE PRECISION,
+                lng DOUBLE PRECISION,
+                location_source VARCHAR(30),
+                location_at TIMESTAMP,
+                message TEXT,
+                snapshot JSONB DEFAULT '{}',
+                contacts_notified JSONB DEFAULT '[]',
+                acknowledged_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                acknowledged_at TIMESTAMP,
+                resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                resolved_at TIMESTAMP,
+                resolution_notes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `, [], 'CREATE TABLE sos_incidents');
+
+        // 20. TABELA RIDE_SHARE_LINKS (Acompanhamento público da corrida, só leitura)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS ride_share_links (
+                id SERIAL PRIMARY KEY,
+                ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+                token VARCHAR(64) UNIQUE NOT NULL,
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                expires_at TIMESTAMP NOT NULL,
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `, [], 'CREATE TABLE ride_share_links');
+
+        // 21. TABELA RIDE_RECEIPTS (Recibos com numeração sequencial, nunca reutilizada)
+        await safeQuery(client, `CREATE SEQUENCE IF NOT EXISTS ride_receipt_seq START 1`, [], 'CREATE SEQUENCE ride_receipt_seq');
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS ride_receipts (
+                id SERIAL PRIMARY KEY,
+                ride_id INTEGER UNIQUE NOT NULL REFERENCES rides(id) ON DELETE RESTRICT,
+                receipt_number VARCHAR(20) UNIQUE NOT NULL,
+                fare_breakdown JSONB DEFAULT '{}',
+                issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `, [], 'CREATE TABLE ride_receipts');
+
+        // 22. TABELA RIDE_EVENTS (Auditoria das transições de status das corridas)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS ride_events (
+                id BIGSERIAL PRIMARY KEY,
+                ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+                from_status VARCHAR(20),
+                to_status VARCHAR(20) NOT NULL,
+                actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                actor_role VARCHAR(20) NOT NULL,
+                metadata JSONB DEFAULT '{}',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `, [], 'CREATE TABLE ride_events');
+
+        // 23. TABELA IDEMPOTENCY_KEYS (Respostas gravadas para reenvios de clientes)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS idempotency_keys (
+                id BIGSERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                endpoint VARCHAR(50) NOT NULL,
+                idem_key VARCHAR(255) NOT NULL,
+                request_hash VARCHAR(64) NOT NULL,
+                status_code INTEGER,
+                response JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                completed_at TIMESTAMP,
+                UNIQUE (user_id, endpoint, idem_key)
+            );
+        `, [], 'CREATE TABLE idempotency_keys');
+
+        // 24. TABELA DRIVER_OFFERS (Ofertas de corrida recebidas pelos motoristas e desfecho)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS driver_offers (
+                id BIGSERIAL PRIMARY KEY,
+                ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+                driver_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                mode VARCHAR(20) NOT NULL DEFAULT 'dispatch' CHECK (mode IN ('dispatch', 'bidding')),
+                outcome VARCHAR(20) NOT NULL DEFAULT 'pending'
+                    CHECK (outcome IN ('pending', 'accepted', 'declined', 'expired', 'bid', 'withdrawn')),
+                offered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                responded_at TIMESTAMP
+            );
+        `, [], 'CREATE TABLE driver_offers');
+
+        // 25. TABELA PLATFORM_LEDGER (Comissões da plataforma: receita e valores a receber)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS platform_ledger (
+                id BIGSERIAL PRIMARY KEY,
+                reference_id VARCHAR(100) UNIQUE NOT NULL,
+                ride_id INTEGER REFERENCES rides(id) ON DELETE SET NULL,
+                driver_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('revenue', 'receivable')),
+                payment_method VARCHAR(20),
+                gross_amount NUMERIC(15,2) NOT NULL,
+                commission_pct NUMERIC(5,2) NOT NULL,
+                amount NUMERIC(15,2) NOT NULL,
+                settled_amount NUMERIC(15,2) NOT NULL DEFAULT 0,
+                status VARCHAR(20) NOT NULL DEFAULT 'settled' CHECK (status IN ('settled', 'outstanding')),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                settled_at TIMESTAMP
+            );
+        `, [], 'CREATE TABLE platform_ledger');
+
+        // 26. TABELA DRIVER_ONLINE_SESSIONS (Períodos online dos motoristas, mantida por trigger)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS driver_online_sessions (
+                id BIGSERIAL PRIMARY KEY,
+                driver_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                ended_at TIMESTAMP
+            );
+        `, [], 'CREATE TABLE driver_online_sessions');
+
+        // 27. TABELA DRIVER_STATEMENTS (Extratos semanais congelados dos motoristas)
+        await safeQuery(client, `
+            CREATE TABLE IF NOT EXISTS driver_statements (
+                id SERIAL PRIMARY KEY,
+                driver_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                period_type VARCHAR(10) NOT NULL DEFAULT 'weekly',
+                period_start DATE NOT NULL,
+                period_end DATE NOT NULL,
+                statement JSONB NOT NULL,
+                generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(driver_id, period_type, period_start)
+            );
+        `, [], 'CREATE TABLE driver_statements');
+
         log.success('✅ Todas as tabelas criadas/verificadas com sucesso');
 
         // =========================================================================================
@@ -365,6 +595,8 @@ async function bootstrapDatabase() {
             { table: 'users', col: 'settings', type: "JSONB DEFAULT '{}'" },
             { table: 'users', col: 'privacy_settings', type: "JSONB DEFAULT '{}'" },
             { table: 'users', col: 'notification_preferences', type: "JSONB DEFAULT '{\"ride_notifications\": true, \"promo_notifications\": true, \"chat_notifications\": true}'" },
+            { table: 'users', col: 'cancellation_debt', type: 'NUMERIC(15,2) DEFAULT 0.00' },
+            { table: 'users', col: 'driver_cancellations', type: 'INTEGER DEFAULT 0' },
             { table: 'driver_positions', col: 'heading', type: 'DOUBLE PRECISION DEFAULT 0' },
             { table: 'driver_positions', col: 'speed', type: 'DOUBLE PRECISION DEFAULT 0' },
             { table: 'driver_positions', col: 'accuracy', type: 'DOUBLE PRECISION DEFAULT 0' },
@@ -379,6 +611,26 @@ async function bootstrapDatabase() {
             { table: 'rides', col: 'cancelled_at', type: 'TIMESTAMP' },
             { table: 'rides', col: 'cancelled_by', type: 'VARCHAR(20)' },
             { table: 'rides', col: 'cancellation_reason', type: 'TEXT' },
+            { table: 'rides', col: 'cancellation_fee', type: 'NUMERIC(15,2) DEFAULT 0.00' },
+            { table: 'rides', col: 'scheduled_at', type: 'TIMESTAMP' },
+            { table: 'rides', col: 'scheduled_driver_id', type: 'INTEGER REFERENCES users(id) ON DELETE SET NULL' },
+            { table: 'rides', col: 'reminder_sent_at', type: 'TIMESTAMP' },
+            { table: 'rides', col: 'pricing_mode', type: "VARCHAR(20) DEFAULT 'fixed'" },
+            { table: 'rides', col: 'passenger_offer', type: 'NUMERIC(15,2)' },
+            { table: 'rides', col: 'surge_multiplier', type: 'NUMERIC(4,2) DEFAULT 1.0' },
+            { table: 'rides', col: 'zone_id', type: 'INTEGER REFERENCES service_zones(id) ON DELETE SET NULL' },
+            { table: 'driver_positions', col: 'zone_id', type: 'INTEGER REFERENCES service_zones(id) ON DELETE SET NULL' },
+            { table: 'driver_positions', col: 'grid_cell', type: 'VARCHAR(32)' },
+            { table: 'rides', col: 'start_pin', type: 'VARCHAR(4)' },
+            { table: 'rides', col: 'pin_attempts', type: 'INTEGER DEFAULT 0' },
+            { table: 'rides', col: 'pin_verified_at', type: 'TIMESTAMP' },
+            { table: 'rides', col: 'stalled_flagged_at', type: 'TIMESTAMP' },
+            { table: 'rides', col: 'commission_pct', type: 'NUMERIC(5,2)' },
+            { table: 'rides', col: 'commission_amount', type: 'NUMERIC(15,2)' },
+            { table: 'rides', col: 'tip_amount', type: 'NUMERIC(15,2)' },
+            { table: 'rides', col: 'tipped_at', type: 'TIMESTAMP' },
+            { table: 'users', col: 'commission_debt', type: 'NUMERIC(15,2) DEFAULT 0.00' },
+            { table: 'platform_ledger', col: 'settled_amount', type: 'NUMERIC(15,2) NOT NULL DEFAULT 0' },
             { table: 'wallet_transactions', col: 'ride_id', type: 'INTEGER REFERENCES rides(id) ON DELETE SET NULL' },
             { table: 'wallet_transactions', col: 'fee', type: 'NUMERIC(15,2) DEFAULT 0.00' },
             { table: 'wallet_transactions', col: 'balance_before', type: 'NUMERIC(15,2)' },
@@ -412,6 +664,19 @@ async function bootstrapDatabase() {
         }
         log.success(`✅ Auto-healing concluído: ${repairedCount} colunas verificadas`);
 
+        // Constraints CHECK que evoluíram depois da criação da tabela (bancos já existentes)
+        const constraintRepairs = [
+            { table: 'rides', name: 'rides_status_check', check: "status IN ('scheduled', 'searching', 'accepted', 'arrived', 'ongoing', 'completed', 'cancelled')" },
+            { table: 'wallet_transactions', name: 'wallet_transactions_type_check', check: "type IN ('topup', 'withdraw', 'payment', 'earnings', 'refund', 'bonus', 'transfer', 'tip')" }
+        ];
+
+        for (const repair of constraintRepairs) {
+            await safeQuery(client, `
+                ALTER TABLE ${repair.table} DROP CONSTRAINT IF EXISTS ${repair.name};
+                ALTER TABLE ${repair.table} ADD CONSTRAINT ${repair.name} CHECK (${repair.check});
+            `, [], `CHECK ${repair.name}`);
+        }
+
         // =========================================================================================
         // ETAPA 3: CRIAÇÃO DE ÍNDICES
         // =========================================================================================
@@ -426,6 +691,7 @@ async function bootstrapDatabase() {
             "CREATE INDEX IF NOT EXISTS idx_driver_positions_status ON driver_positions(status)",
             "CREATE INDEX IF NOT EXISTS idx_driver_positions_update ON driver_positions(last_update)",
             "CREATE INDEX IF NOT EXISTS idx_driver_positions_geo ON driver_positions(lat, lng)",
+            "CREATE INDEX IF NOT EXISTS idx_driver_positions_grid ON driver_positions(grid_cell) WHERE status = 'online'",
             "CREATE INDEX IF NOT EXISTS idx_driver_positions_socket ON driver_positions(socket_id)",
             "CREATE INDEX IF NOT EXISTS idx_rides_passenger ON rides(passenger_id)",
             "CREATE INDEX IF NOT EXISTS idx_rides_driver ON rides(driver_id)",
@@ -433,6 +699,28 @@ async function bootstrapDatabase() {
             "CREATE INDEX IF NOT EXISTS idx_rides_created ON rides(created_at DESC)",
             "CREATE INDEX IF NOT EXISTS idx_rides_passenger_status ON rides(passenger_id, status)",
             "CREATE INDEX IF NOT EXISTS idx_rides_driver_status ON rides(driver_id, status)",
+            "CREATE INDEX IF NOT EXISTS idx_rides_scheduled ON rides(scheduled_at) WHERE status = 'scheduled'",
+            "CREATE INDEX IF NOT EXISTS idx_ride_stops_ride ON ride_stops(ride_id, stop_order)",
+            "CREATE INDEX IF NOT EXISTS idx_ride_gps_ride ON ride_gps_points(ride_id, recorded_at)",
+            "CREATE INDEX IF NOT EXISTS idx_ride_ratings_rated ON ride_ratings(rated_id, created_at DESC)",
+            "CREATE INDEX IF NOT EXISTS idx_vehicle_details_dispatch ON vehicle_details(driver_id, type) WHERE documents_verified = true",
+            "CREATE INDEX IF NOT EXISTS idx_ride_bids_ride ON ride_bids(ride_id, status)",
+            "CREATE INDEX IF NOT EXISTS idx_rides_zone ON rides(zone_id, created_at)",
+            "CREATE UNIQUE INDEX IF NOT EXISTS idx_ride_bids_one_pending ON ride_bids(ride_id, driver_id) WHERE status = 'pending'",
+            "CREATE INDEX IF NOT EXISTS idx_trusted_contacts_user ON trusted_contacts(user_id)",
+            "CREATE INDEX IF NOT EXISTS idx_sos_incidents_status ON sos_incidents(status, created_at DESC)",
+            "CREATE INDEX IF NOT EXISTS idx_sos_incidents_ride ON sos_incidents(ride_id)",
+            "CREATE INDEX IF NOT EXISTS idx_ride_share_links_ride ON ride_share_links(ride_id) WHERE revoked_at IS NULL",
+            "CREATE INDEX IF NOT EXISTS idx_ride_events_ride ON ride_events(ride_id, created_at)",
+            "CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at)",
+            "CREATE INDEX IF NOT EXISTS idx_driver_offers_driver ON driver_offers(driver_id, offered_at DESC)",
+            "CREATE INDEX IF NOT EXISTS idx_driver_offers_ride ON driver_offers(ride_id) WHERE outcome IN ('pending', 'bid')",
+            "CREATE INDEX IF NOT EXISTS idx_ride_events_actor ON ride_events(actor_id, created_at) WHERE to_status = 'cancelled'",
+            "CREATE INDEX IF NOT EXISTS idx_platform_ledger_driver ON platform_ledger(driver_id, status)",
+            "CREATE INDEX IF NOT EXISTS idx_platform_ledger_created ON platform_ledger(created_at DESC)",
+            "CREATE INDEX IF NOT EXISTS idx_online_sessions_driver ON driver_online_sessions(driver_id, started_at)",
+            "CREATE INDEX IF NOT EXISTS idx_online_sessions_open ON driver_online_sessions(driver_id) WHERE ended_at IS NULL",
+            "CREATE INDEX IF NOT EXISTS idx_rides_driver_completed ON rides(driver_id, completed_at) WHERE status = 'completed'",
             "CREATE INDEX IF NOT EXISTS idx_wallet_user ON wallet_transactions(user_id)",
             "CREATE INDEX IF NOT EXISTS idx_wallet_ref ON wallet_transactions(reference_id)",
             "CREATE INDEX IF NOT EXISTS idx_wallet_date ON wallet_transactions(created_at DESC)",
@@ -451,6 +739,33 @@ async function bootstrapDatabase() {
         }
         log.success('✅ Índices de performance criados/verificados');
 
+        // Recalcula a célula da grelha de todos os motoristas (o tamanho da célula pode ter mudado)
+        await safeQuery(client, `
+            UPDATE driver_positions SET grid_cell = CASE
+                WHEN lat = 0 AND lng = 0 THEN NULL
+                ELSE FLOOR(lat / $1)::BIGINT::TEXT || ':' || FLOOR(lng / $1)::BIGINT::TEXT
+            END
+        `, [geoGrid.DEFAULT_CELL_DEG], 'BACKFILL driver_positions.grid_cell');
+
+        // O despacho exige uma linha em vehicle_details: motoristas anteriores à tabela recebem-na
+        // a partir de users.vehicle_details, com a verificação herdada de users.is_verified
+        await safeQuery(client, `
+            INSERT INTO vehicle_details (driver_id, model, plate, color, type, year, documents_verified)
+            SELECT u.id,
+                   u.vehicle_details->>'model',
+                   u.vehicle_details->>'plate',
+                   u.vehicle_details->>'color',
+                   CASE WHEN u.vehicle_details->>'type' IN ('car', 'moto', 'delivery', 'truck')
+                        THEN u.vehicle_details->>'type' ELSE 'car' END,
+                   CASE WHEN u.vehicle_details->>'year' ~ '^[0-9]{4}$'
+                        THEN (u.vehicle_details->>'year')::INTEGER END,
+                   COALESCE(u.is_verified, false)
+            FROM users u
+            WHERE u.role = 'driver'
+              AND NOT EXISTS (SELECT 1 FROM vehicle_details vd WHERE vd.driver_id = u.id)
+            ON CONFLICT (driver_id) DO NOTHING
+        `, [], 'BACKFILL vehicle_details');
+
         // =========================================================================================
         // ETAPA 4: CRIAÇÃO DE TRIGGERS
         // =========================================================================================
@@ -466,7 +781,7 @@ async function bootstrapDatabase() {
             $$ language 'plpgsql';
         `, [], 'CREATE FUNCTION update_timestamp_column');
 
-        const tablesWithTimestamp = ['users', 'rides', 'wallet_transactions', 'vehicle_details', 'user_documents', 'external_bank_accounts', 'app_settings'];
+        const tablesWithTimestamp = ['users', 'rides', 'wallet_transactions', 'vehicle_details', 'user_documents', 'external_bank_accounts', 'app_settings', 'ride_bids', 'service_zones', 'trusted_contacts', 'sos_incidents'];
         for (const table of tablesWithTimestamp) {
             await safeQuery(client, `
                 DROP TRIGGER IF EXISTS update_${table}_modtime ON ${table};
@@ -497,6 +812,33 @@ async function bootstrapDatabase() {
             EXECUTE PROCEDURE generate_wallet_number();
         `, [], 'CREATE TRIGGER set_wallet_number');
 
+        // Sessões online (horas online dos extratos): abre ao passar a 'online' e fecha ao sair,
+        // seja por logout, desconexão ou limpeza de motoristas sem heartbeat
+        await safeQuery(client, `
+            CREATE OR REPLACE FUNCTION track_driver_online_session()
+            RETURNS TRIGGER AS $$
+            BEGIN
+                IF NEW.status = 'online' AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM 'online') THEN
+                    INSERT INTO driver_online_sessions (driver_id, started_at) VALUES (NEW.driver_id, NOW());
+                ELSIF TG_OP = 'UPDATE' AND OLD.status = 'online' AND NEW.status IS DISTINCT FROM 'online' THEN
+                    -- Sem heartbeat, a sessão termina no último sinal recebido
+                    UPDATE driver_online_sessions
+                    SET ended_at = GREATEST(started_at, LEAST(NOW(), COALESCE(OLD.last_update, NOW())))
+                    WHERE driver_id = NEW.driver_id AND ended_at IS NULL;
+                END IF;
+                RETURN NEW;
+            END;
+            $$ language 'plpgsql';
+        `, [], 'CREATE FUNCTION track_driver_online_session');
+
+        await safeQuery(client, `
+            DROP TRIGGER IF EXISTS track_driver_online ON driver_positions;
+            CREATE TRIGGER track_driver_online
+            AFTER INSERT OR UPDATE OF status ON driver_positions
+            FOR EACH ROW
+            EXECUTE PROCEDURE track_driver_online_session();
+        `, [], 'CREATE TRIGGER track_driver_online');
+
         log.success('✅ Triggers configurados com sucesso');
 
         // =========================================================================================
@@ -505,6 +847,24 @@ async function bootstrapDatabase() {
         log.section('⚙️ APLICANDO CONFIGURAÇÕES INICIAIS');
 
         const defaultSettings = [
+            {
+                key: 'dispatch_vehicle_types',
+                value: JSON.stringify({
+                    ride: ['car'],
+                    moto: ['moto'],
+                    delivery: ['delivery', 'truck']
+                }),
+                description: 'Tipos de veículo elegíveis para cada tipo de corrida (despacho)'
+            },
+            {
+                key: 'surge_settings',
+                value: JSON.stringify({
+                    enabled: true,
+                    max_multiplier: 2.0,
+                    zones: {}
+                }),
+                description: 'Tarifa dinâmica: interruptor global, teto do multiplicador e exceções por zona'
+            },
             {
                 key: 'ride_prices',
                 value: JSON.stringify({
@@ -541,6 +901,9 @@ async function bootstrapDatabase() {
         }
         log.success('✅ Configurações iniciais aplicadas');
 
+        // Zonas de serviço: nenhuma é criada por omissão. O admin desenha os polígonos reais e
+        // liga a verificação de área com app_settings.zones_enforced = { "enabled": true }
+
         // =========================================================================================
         // ETAPA 6: POPULAR COM USUÁRIOS DE TESTE
         // =========================================================================================
@@ -636,26 +999,28 @@ async function bootstrapDatabase() {
 
             if (user.role === 'driver') {
                 await client.query(`
-                    INSERT INTO driver_positions (driver_id, lat, lng, status, last_update)
-                    VALUES ($1, -8.8399, 13.2894, 'offline', NOW())
+                    INSERT INTO driver_positions (driver_id, lat, lng, grid_cell, status, last_update)
+                    VALUES ($1, -8.8399, 13.2894, $2, 'offline', NOW())
                     ON CONFLICT (driver_id) DO UPDATE SET
                         lat = EXCLUDED.lat,
                         lng = EXCLUDED.lng,
+                        grid_cell = EXCLUDED.grid_cell,
                         last_update = NOW()
-                `, [userId]);
+                `, [userId, geoGrid.cellKey(-8.8399, 13.2894)]);
 
                 if (user.vehicle_details) {
                     const vd = JSON.parse(user.vehicle_details);
                     await client.query(`
-                        INSERT INTO vehicle_details (driver_id, model, plate, color, type, year)
-                        VALUES ($1, $2, $3, $4, $5, $6)
+                        INSERT INTO vehicle_details (driver_id, model, plate, color, type, year, documents_verified)
+                        VALUES ($1, $2, $3, $4, $5, $6, $7)
                         ON CONFLICT (driver_id) DO UPDATE SET
                             model = EXCLUDED.model,
                             plate = EXCLUDED.plate,
                             color = EXCLUDED.color,
                             type = EXCLUDED.type,
-                            year = EXCLUDED.year
-                    `, [userId, vd.model, vd.plate, vd.color, vd.type, vd.year]);
+                            year = EXCLUDED.year,
+                            documents_verified = EXCLUDED.documents_verified
+                    `, [userId, vd.model, vd.plate, vd.color, vd.type, vd.year, user.is_verified]);
                 }
             }
         }
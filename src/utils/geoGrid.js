@@ -0,0 +1,62 @@
+/**
+ * =================================================================================================
+ * 🧭 AOTRAVEL SERVER PRO - GEO GRID INDEX (TITANIUM SPATIAL)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/utils/geoGrid.js
+ * DESCRIÇÃO: Grelha lat/lng de tamanho fixo usada como índice espacial.
+ *            Cada ponto pertence a uma célula `"<linha>:<coluna>"`; uma busca por raio
+ *            percorre só as células que cobrem o círculo e depois confirma a distância exata.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const SYSTEM_CONFIG = require('../config/appConfig');
+
+const KM_PER_DEG_LAT = 111.32;
+const DEFAULT_CELL_DEG = SYSTEM_CONFIG.RIDES?.DRIVER_GRID_CELL_DEG || 0.02;
+
+/**
+ * Célula que contém o ponto.
+ * @param {number} cellDeg - Tamanho da célula em graus (opcional)
+ * @returns {string|null} - null para coordenadas inválidas ou GPS zerado
+ */
+function cellKey(lat, lng, cellDeg = DEFAULT_CELL_DEG) {
+    lat = parseFloat(lat);
+    lng = parseFloat(lng);
+    if (isNaN(lat) || isNaN(lng) || (lat === 0 && lng === 0)) return null;
+    return `${Math.floor(lat / cellDeg)}:${Math.floor(lng / cellDeg)}`;
+}
+
+/**
+ * Células que cobrem o círculo de raio `radiusKm` à volta do ponto,
+ * ordenadas da mais próxima do centro para a mais distante.
+ * @returns {string[]}
+ */
+function cellsInRadius(lat, lng, radiusKm, cellDeg = DEFAULT_CELL_DEG) {
+    const latDelta = radiusKm / KM_PER_DEG_LAT;
+    const lngDelta = radiusKm / (KM_PER_DEG_LAT * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+    const centerRow = Math.floor(lat / cellDeg);
+    const centerCol = Math.floor(lng / cellDeg);
+    const minRow = Math.floor((lat - latDelta) / cellDeg);
+    const maxRow = Math.floor((lat + latDelta) / cellDeg);
+    const minCol = Math.floor((lng - lngDelta) / cellDeg);
+    const maxCol = Math.floor((lng + lngDelta) / cellDeg);
+
+    const cells = [];
+    for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+            cells.push({ key: `${row}:${col}`, ring: Math.max(Math.abs(row - centerRow), Math.abs(col - centerCol)) });
+        }
+    }
+
+    return cells.sort((a, b) => a.ring - b.ring).map(c => c.key);
+}
+
+module.exports = {
+    DEFAULT_CELL_DEG,
+    cellKey,
+    cellsInRadius
+};
@@ -83,6 +83,13 @@ function generateRef(prefix) {
     return `${safePrefix}-${dateStr}-${rand}`;
 }
 
+/**
+ * PIN de 4 dígitos para confirmar o embarque (mostrado só ao passageiro).
+ */
+function generateRidePin() {
+    return crypto.randomInt(0, 10000).toString().padStart(4, '0');
+}
+
 function generateAccountNumber(phone) {
     if (!phone) return null;
     const cleanPhone = phone.replace(/\D/g, '').slice(-9);
@@ -135,6 +142,8 @@ async function getFullRideDetails(rideId) {
             r.cancelled_at, r.cancelled_by, r.cancellation_reason,
             r.rating, r.feedback,
             r.payment_method, r.payment_status,
+            r.scheduled_at, r.scheduled_driver_id,
+            r.pricing_mode, r.surge_multiplier,
 
             -- DADOS DO MOTORISTA (JSON OBJECT)
             CASE WHEN d.id IS NOT NULL THEN
@@ -162,7 +171,20 @@ async function getFullRideDetails(rideId) {
                 'rating', p.rating,
                 'bi_front', COALESCE(p.bi_front, ''),
                 'bi_back', COALESCE(p.bi_back, '')
-            ) as passenger_data
+            ) as passenger_data,
+
+            -- PARAGENS INTERMÉDIAS (EM ORDEM)
+            COALESCE((
+                SELECT json_agg(json_build_object(
+                    'stop_order', s.stop_order,
+                    'lat', s.lat,
+                    'lng', s.lng,
+                    'name', s.name,
+                    'status', s.status,
+                    'reached_at', s.reached_at
+                ) ORDER BY s.stop_order)
+                FROM ride_stops s WHERE s.ride_id = r.id
+            ), '[]'::json) as stops
 
         FROM rides r
         LEFT JOIN users d ON r.driver_id = d.id
@@ -224,6 +246,34 @@ async function getUserFullDetails(userId) {
     }
 }
 
+/**
+ * Sincroniza o veículo do motorista (JSON em users.vehicle_details) com a tabela `vehicle_details`,
+ * usada pelo despacho. Trocar de matrícula ou de tipo exige nova verificação de documentos.
+ * @param {object} client - Client transacional
+ */
+async function syncVehicleDetails(client, driverId, details) {
+    if (!details) return;
+    const vd = typeof details === 'string' ? JSON.parse(details) : details;
+
+    await client.query(`
+        INSERT INTO vehicle_details (driver_id, model, plate, color, type, year)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (driver_id) DO UPDATE SET
+            model = EXCLUDED.model,
+            plate = EXCLUDED.plate,
+            color = EXCLUDED.color,
+            type = EXCLUDED.type,
+            year = EXCLUDED.year,
+            documents_verified = CASE
+                WHEN vehicle_details.plate IS DISTINCT FROM EXCLUDED.plate
+                  OR vehicle_details.type IS DISTINCT FROM EXCLUDED.type
+                THEN false
+                ELSE vehicle_details.documents_verified
+            END,
+            updated_at = NOW()
+    `, [driverId, vd.model || null, vd.plate || null, vd.color || null, vd.type || 'car', parseInt(vd.year) || null]);
+}
+
 // =================================================================================================
 // EXPORTAÇÃO UNIFICADA
 // =================================================================================================
@@ -233,10 +283,12 @@ module.exports = {
     getDistance,
     generateCode,
     generateRef,
+    generateRidePin,
     generateAccountNumber,
     isValidAmount,
     isValidAOIBAN,
     maskData,
     getFullRideDetails,
-    getUserFullDetails
+    getUserFullDetails,
+    syncVehicleDetails
 };
@@ -0,0 +1,145 @@
+/**
+ * =================================================================================================
+ * 📄 AOTRAVEL SERVER PRO - MINIMAL PDF WRITER (TITANIUM PRINT)
+ * =================================================================================================
+ *
+ * ARQUIVO: src/utils/pdfDocument.js
+ * DESCRIÇÃO: Gerador de PDF simples (texto e linhas) sem dependências externas.
+ *            Suficiente para recibos e extratos: A4, fontes Helvetica padrão,
+ *            acentos portugueses via WinAnsiEncoding.
+ *
+ * USO:
+ *   const doc = createPdfDocument();
+ *   doc.text(50, 60, 'Recibo', { size: 18, bold: true });
+ *   doc.line(50, 70, 545, 70);
+ *   res.send(doc.toBuffer());
+ *
+ * Coordenadas em pontos, com origem no canto SUPERIOR esquerdo da página.
+ *
+ * STATUS: PRODUCTION READY - FULL VERSION
+ * =================================================================================================
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Larguras Helvetica (1/1000 do tamanho da fonte) dos caracteres mais comuns em valores
+const NARROW_CHARS = { ' ': 278, '.': 278, ',': 278, ':': 278, '-': 333, '/': 278, 'i': 222, 'l': 222, 'I': 278 };
+const DIGIT_WIDTH = 556;
+const DEFAULT_WIDTH = 580;
+
+/**
+ * Converte o texto para bytes WinAnsi (latin1) e escapa os delimitadores do PDF.
+ * Caracteres fora do latin1 (ex: emojis) são substituídos por '?'.
+ */
+function _encodeText(value) {
+    return String(value ?? '')
+        .replace(/[\r\n\t]+/g, ' ')
+        .replace(/[\u2000-\u200B\u202F]/g, ' ')
+        .replace(/[\u2013\u2014]/g, '-')
+        .replace(/[\u2018\u2019]/g, "'")
+        .replace(/[\u201C\u201D]/g, '"')
+        .replace(/[^\x20-\x7E\xA0-\xFF]/gu, '?')
+        .replace(/\\/g, '\\\\')
+        .replace(/\(/g, '\\(')
+        .replace(/\)/g, '\\)');
+}
+
+/**
+ * Largura aproximada do texto (usada para alinhar valores à direita).
+ */
+function measureText(value, size = 10) {
+    let units = 0;
+    for (const ch of String(value ?? '')) {
+        if (NARROW_CHARS[ch]) units += NARROW_CHARS[ch];
+        else if (ch >= '0' && ch <= '9') units += DIGIT_WIDTH;
+        else units += DEFAULT_WIDTH;
+    }
+    return (units / 1000) * size;
+}
+
+/**
+ * Cria um documento PDF em memória.
+ */
+function createPdfDocument() {
+    const pages = [[]];
+
+    const current = () => pages[pages.length - 1];
+
+    return {
+        width: PAGE_WIDTH,
+        height: PAGE_HEIGHT,
+
+        addPage() {
+            pages.push([]);
+        },
+
+        /**
+         * @param {{ size?: number, bold?: boolean, align?: 'left'|'right' }} opts
+         *        Com align 'right', `x` é a margem direita do texto.
+         */
+        text(x, y, value, opts = {}) {
+            const size = opts.size || 10;
+            const font = opts.bold ? 'F2' : 'F1';
+            const left = opts.align === 'right' ? x - measureText(value, size) : x;
+            current().push(`BT /${font} ${size} Tf ${left.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${_encodeText(value)}) Tj ET`);
+        },
+
+        line(x1, y1, x2, y2, opts = {}) {
+            const width = opts.width || 0.5;
+            current().push(`${width} w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`);
+        },
+
+        /**
+         * Serializa o documento (objetos, tabela xref e trailer).
+         * @returns {Buffer}
+         */
+        toBuffer() {
+            const objects = [];
+            const fontRegular = 3;
+            const fontBold = 4;
+            const firstPageObj = 5;
+
+            const kids = pages.map((_, i) => `${firstPageObj + i * 2} 0 R`).join(' ');
+
+            objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+            objects[2] = `<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`;
+            objects[fontRegular] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+            objects[fontBold] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+            pages.forEach((ops, i) => {
+                const pageObj = firstPageObj + i * 2;
+                const contentObj = pageObj + 1;
+                const stream = ops.join('\n');
+
+                objects[pageObj] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                    `/Resources << /Font << /F1 ${fontRegular} 0 R /F2 ${fontBold} 0 R >> >> /Contents ${contentObj} 0 R >>`;
+                objects[contentObj] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+            });
+
+            let output = '%PDF-1.4\n';
+            const offsets = [];
+
+            for (let id = 1; id < objects.length; id++) {
+                offsets[id] = Buffer.byteLength(output, 'latin1');
+                output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+            }
+
+            const xrefOffset = Buffer.byteLength(output, 'latin1');
+            output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+            for (let id = 1; id < objects.length; id++) {
+                output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+            }
+            output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+            return Buffer.from(output, 'latin1');
+        }
+    };
+}
+
+module.exports = {
+    PAGE_WIDTH,
+    PAGE_HEIGHT,
+    measureText,
+    createPdfDocument
+};
@@ -0,0 +1,303 @@
+jest.mock('../../src/config/db', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../../src/utils/helpers', () => ({
+    getDistance: jest.fn(() => 1),
+    logError: jest.fn(),
+    logSystem: jest.fn(),
+    getFullRideDetails: jest.fn(async (id) => ({ id: Number(id) })),
+    generateRef: jest.fn(prefix => `${prefix}-TEST`),
+    generateRidePin: jest.fn(() => '1234')
+}));
+jest.mock('../../src/services/dispatchService');
+jest.mock('../../src/services/tripTrackingService');
+jest.mock('../../src/services/surgeService');
+jest.mock('../../src/services/zoneService');
+jest.mock('../../src/services/adminAlertService');
+jest.mock('../../src/services/sosService');
+jest.mock('../../src/services/receiptService');
+jest.mock('../../src/services/driverMetricsService');
+jest.mock('../../src/services/driverStatementService');
+jest.mock('../../src/services/cancellationDebtService');
+
+const pool = require('../../src/config/db');
+const tripTrackingService = require('../../src/services/tripTrackingService');
+const rideStateMachine = require('../../src/services/rideStateMachine');
+const rideController = require('../../src/controllers/rideController');
+
+/**
+ * Client transacional falso: cada handler recebe (sql, params) e devolve o resultado
+ * ou undefined para passar ao seguinte. Todas as queries ficam registadas.
+ */
+function fakeClient(handlers) {
+    const calls = [];
+    const client = {
+        calls,
+        release: jest.fn(),
+        query: jest.fn(async (sql, params) => {
+            calls.push({ sql, params });
+            for (const handler of handlers) {
+                const result = handler(sql, params);
+                if (result !== undefined) return result;
+            }
+            return { rows: [], rowCount: 1 };
+        })
+    };
+    pool.connect.mockResolvedValue(client);
+    pool.query.mockImplementation(client.query);
+    return client;
+}
+
+function fakeRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        }
+    };
+}
+
+function fakeIo() {
+    const emitted = [];
+    return {
+        emitted,
+        to: jest.fn(room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }))
+    };
+}
+
+// O controller regista cada passo com console.log
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+// A máquina de estados é real; só os efeitos pós-COMMIT (despacho, partilhas) ficam de fora
+jest.spyOn(rideStateMachine, 'afterCommit').mockImplementation(() => {});
+
+// Linha da corrida devolvida pela UPDATE da máquina de estados
+const transitioned = (ride, to) => (sql) => (
+    sql.includes('UPDATE rides SET status') ? { rows: [{ ...ride, status: to }] } : undefined
+);
+
+describe('cancelRide', () => {
+    const ride = {
+        id: 10, status: 'accepted', passenger_id: 1, driver_id: 2,
+        accepted_at: new Date().toISOString(), payment_method: 'cash'
+    };
+
+    test('cancelled_by usa o papel do ator na corrida, não o papel do pedido', async () => {
+        const client = fakeClient([
+            (sql) => (sql.includes('SELECT * FROM rides') ? { rows: [ride] } : undefined),
+            transitioned(ride, 'cancelled')
+        ]);
+        const io = fakeIo();
+        const res = fakeRes();
+
+        // O motorista da corrida envia role 'admin'
+        await rideController.cancelRide({ body: { ride_id: 10, reason: 'teste' }, user: { id: 2, role: 'admin' }, io }, res);
+
+        expect(res.body).toMatchObject({ success: true });
+
+        const update = client.calls.find(c => c.sql.includes('UPDATE rides SET status'));
+        expect(update.params).toContain('driver');
+
+        const cancelled = io.emitted.filter(e => e.event === 'ride_cancelled');
+        expect(cancelled.map(e => e.room)).toEqual(['ride_10', 'user_1']);
+        cancelled.forEach(e => expect(e.payload.cancelled_by).toBe('driver'));
+    });
+});
+
+describe('negotiatePrice', () => {
+    const stale = () => ({ status: 'pending', proposed_by: 'passenger', expires_at: new Date(Date.now() - 1000).toISOString() });
+    const ride = (history) => ({ id: 10, status: 'accepted', passenger_id: 1, driver_id: 2, initial_price: '1000', negotiation_history: history });
+
+    test('preço em falta é recusado sem gravar a proposta', async () => {
+        const client = fakeClient([
+            (sql) => (sql.includes('SELECT * FROM rides') ? { rows: [ride([])] } : undefined)
+        ]);
+        const res = fakeRes();
+
+        await rideController.negotiatePrice({ params: { ride_id: 10 }, body: {}, user: { id: 2, role: 'driver' }, io: fakeIo() }, res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('INVALID_PRICE');
+        expect(client.calls.some(c => c.sql.includes('UPDATE rides SET negotiation_history'))).toBe(false);
+        expect(client.calls.map(c => c.sql)).toContain('ROLLBACK');
+    });
+
+    test('proposta recusada ainda grava e avisa as propostas expiradas', async () => {
+        const client = fakeClient([
+            (sql) => (sql.includes('SELECT * FROM rides') ? { rows: [ride([stale()])] } : undefined)
+        ]);
+        const io = fakeIo();
+        const res = fakeRes();
+
+        await rideController.negotiatePrice({ params: { ride_id: 10 }, body: { proposed_price: 5000 }, user: { id: 2, role: 'driver' }, io }, res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('PRICE_OUT_OF_RANGE');
+
+        const update = client.calls.find(c => c.sql.includes('UPDATE rides SET negotiation_history'));
+        const saved = JSON.parse(update.params[0]);
+        expect(saved).toHaveLength(1);
+        expect(saved[0]).toMatchObject({ status: 'rejected', auto_rejected: true });
+        expect(client.calls.map(c => c.sql)).toContain('COMMIT');
+
+        const notified = io.emitted.filter(e => e.event === 'price_proposal_expired').map(e => e.room);
+        expect(notified).toEqual(['user_1', 'user_2']);
+    });
+});
+
+describe('completeRide', () => {
+    // Preço fixo (leilão): a tarifa não depende da distância
+    const ride = (method) => ({
+        id: 10, status: 'ongoing', passenger_id: 1, driver_id: 2, ride_type: 'ride', zone_id: null,
+        pricing_mode: 'bidding', final_price: '1000', initial_price: '1000', distance_km: '5',
+        payment_method: method, negotiation_history: []
+    });
+
+    const complete = async (storedMethod, bodyMethod, paxBalance = 5000) => {
+        tripTrackingService.computeTripDistanceKm.mockResolvedValue({ points: 0, distance_km: 0 });
+        const client = fakeClient([
+            (sql) => (sql.includes('SELECT * FROM rides') ? { rows: [ride(storedMethod)] } : undefined),
+            (sql) => (sql.includes('SELECT balance FROM users') ? { rows: [{ balance: String(paxBalance) }] } : undefined),
+            transitioned(ride(storedMethod), 'completed')
+        ]);
+        const res = fakeRes();
+
+        await rideController.completeRide({
+            body: { ride_id: 10, payment_method: bodyMethod },
+            user: { id: 2, role: 'driver' },
+            io: fakeIo()
+        }, res);
+
+        return { client, res };
+    };
+
+    test('corrida em carteira concluída com "cash" no pedido continua a ser cobrada na carteira', async () => {
+        const { client, res } = await complete('wallet', 'cash');
+
+        expect(res.body).toMatchObject({ success: true, driver_earnings: { commission: 150, net: 850, commission_status: 'deducted' } });
+
+        const charge = client.calls.find(c => c.sql.includes('UPDATE users SET balance = balance - $1'));
+        expect(charge.params).toEqual([1000, 1]);
+
+        const ledger = client.calls.find(c => c.sql.includes('INSERT INTO platform_ledger'));
+        expect(ledger.params.slice(3, 5)).toEqual(['revenue', 'wallet']);
+        expect(client.calls.some(c => c.sql.includes('commission_debt = COALESCE(commission_debt, 0) + $1'))).toBe(false);
+
+        const update = client.calls.find(c => c.sql.includes('UPDATE rides SET status'));
+        expect(update.params).toContain('wallet');
+    });
+
+    test('corrida em dinheiro concluída com "wallet" no pedido não toca na carteira do passageiro', async () => {
+        const { client, res } = await complete('cash', 'wallet');
+
+        expect(res.body).toMatchObject({ success: true, driver_earnings: { commission_status: 'owed' } });
+        expect(client.calls.some(c => c.sql.includes('UPDATE users SET balance = balance - $1'))).toBe(false);
+
+        const ledger = client.calls.find(c => c.sql.includes('INSERT INTO platform_ledger'));
+        expect(ledger.params.slice(3, 5)).toEqual(['receivable', 'cash']);
+    });
+
+    test('carteira sem saldo recusa a conclusão', async () => {
+        const { client, res } = await complete('wallet', undefined, 500);
+
+        expect(res.statusCode).toBe(402);
+        expect(res.body.code).toBe('INSUFFICIENT_FUNDS');
+        expect(client.calls.map(c => c.sql)).toContain('ROLLBACK');
+    });
+});
+
+describe('tipDriver', () => {
+    const completedRide = (extra = {}) => ({
+        id: 10, passenger_id: 1, driver_id: 2, status: 'completed', tip_amount: '0', within_window: true, ...extra
+    });
+
+    const tip = async (ride, { amount = 500, paxBalance = 5000 } = {}) => {
+        let driverBalance = 1000;
+        const client = fakeClient([
+            (sql) => (sql.includes('FROM rides WHERE id = $1 FOR UPDATE') ? { rows: [ride] } : undefined),
+            (sql) => (sql.includes('SELECT balance FROM users') ? { rows: [{ balance: String(paxBalance) }] } : undefined),
+            (sql, params) => {
+                if (!sql.includes('RETURNING balance')) return undefined;
+                if (sql.includes('balance - $1')) return { rows: [{ balance: String(paxBalance - params[0]) }] };
+                driverBalance += params[0];
+                return { rows: [{ balance: String(driverBalance) }] };
+            }
+        ]);
+        const io = fakeIo();
+        const res = fakeRes();
+
+        await rideController.tipDriver({ body: { ride_id: 10, amount: amount }, user: { id: 1, role: 'passenger' }, io }, res);
+
+        return { client, io, res };
+    };
+
+    const moved = (client) => client.calls.some(c => c.sql.includes('RETURNING balance') || c.sql.includes('INSERT INTO wallet_transactions'));
+
+    test('transfere a gorjeta da carteira do passageiro para o motorista', async () => {
+        const { client, io, res } = await tip(completedRide());
+
+        expect(res.body).toMatchObject({ success: true, tip: { ride_id: 10, amount: 500, transaction_id: 'TIP-TEST' }, new_balance: 4500 });
+
+        const txs = client.calls.filter(c => c.sql.includes('INSERT INTO wallet_transactions'));
+        expect(txs.map(c => [c.params[0], c.params[1], c.params[3]])).toEqual([['TIP-TEST', 1, -500], ['TIP-TEST-REC', 2, 500]]);
+        expect(client.calls.find(c => c.sql.includes('SET tip_amount')).params).toEqual([500, 10]);
+
+        expect(io.emitted.filter(e => e.event === 'wallet_update').map(e => [e.room, e.payload.amount, e.payload.new_balance]))
+            .toEqual([['user_2', 500, 1500], ['user_1', -500, 4500]]);
+    });
+
+    test('a gorjeta não paga comissão nem abate a dívida do motorista', async () => {
+        const { client } = await tip(completedRide());
+
+        expect(client.calls.some(c => c.sql.includes('platform_ledger'))).toBe(false);
+        expect(client.calls.some(c => c.sql.includes('commission_debt'))).toBe(false);
+        expect(client.calls.some(c => c.sql.includes("'commission'"))).toBe(false);
+    });
+
+    test('prazo terminado recusa a gorjeta', async () => {
+        const { client, res } = await tip(completedRide({ within_window: false }));
+
+        expect(res.statusCode).toBe(409);
+        expect(res.body.code).toBe('TIP_WINDOW_EXPIRED');
+        expect(moved(client)).toBe(false);
+    });
+
+    test('segunda gorjeta na mesma corrida é recusada', async () => {
+        const { client, res } = await tip(completedRide({ tip_amount: '500' }));
+
+        expect(res.statusCode).toBe(409);
+        expect(res.body.code).toBe('TIP_ALREADY_SENT');
+        expect(moved(client)).toBe(false);
+    });
+
+    test('saldo insuficiente recusa a gorjeta', async () => {
+        const { client, res } = await tip(completedRide(), { amount: 500, paxBalance: 499 });
+
+        expect(res.statusCode).toBe(402);
+        expect(res.body.code).toBe('INSUFFICIENT_FUNDS');
+        expect(moved(client)).toBe(false);
+        expect(client.calls.map(c => c.sql)).toContain('ROLLBACK');
+    });
+
+    test.each([[0], [-10], ['abc'], [50001]])('valor inválido (%p) é recusado antes de abrir transação', async (amount) => {
+        pool.connect.mockClear();
+        const res = fakeRes();
+
+        await rideController.tipDriver({ body: { ride_id: 10, amount: amount }, user: { id: 1, role: 'passenger' } }, res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('INVALID_AMOUNT');
+        expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    test('corrida por concluir recusa a gorjeta', async () => {
+        const { res } = await tip(completedRide({ status: 'ongoing' }));
+
+        expect(res.statusCode).toBe(409);
+        expect(res.body.code).toBe('RIDE_NOT_COMPLETED');
+    });
+});
@@ -0,0 +1,158 @@
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../../src/utils/helpers', () => ({ logError: jest.fn() }));
+
+const pool = require('../../src/config/db');
+const { idempotent } = require('../../src/middleware/idempotencyMiddleware');
+
+const request = (body, headers = {}) => ({ body, headers, user: { id: 1, role: 'passenger' } });
+
+function fakeRes() {
+    const res = {
+        statusCode: 200,
+        sent: [],
+        set: jest.fn(),
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.sent.push({ status: this.statusCode, payload });
+            return this;
+        }
+    };
+    return res;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+    pool.query.mockReset();
+});
+
+describe('idempotent', () => {
+    test('sem chave segue direto para o controller', async () => {
+        const next = jest.fn();
+        await idempotent('ride.request')(request({ fare: 100 }), fakeRes(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('chave demasiado longa devolve 400', async () => {
+        const res = fakeRes();
+        const next = jest.fn();
+        await idempotent('ride.request')(request({}, { 'idempotency-key': 'x'.repeat(256) }), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.sent[0]).toMatchObject({ status: 400, payload: { code: 'INVALID_IDEMPOTENCY_KEY' } });
+    });
+
+    test('a resposta só é enviada depois de gravada', async () => {
+        let releaseUpdate;
+        pool.query.mockImplementation(async (sql) => {
+            if (sql.includes('INSERT INTO idempotency_keys')) return { rows: [{ id: 5 }] };
+            if (sql.includes('UPDATE idempotency_keys')) return new Promise(resolve => { releaseUpdate = resolve; });
+            return { rows: [] };
+        });
+
+        const res = fakeRes();
+        await idempotent('ride.request')(request({ fare: 100 }, { 'idempotency-key': 'k1' }), res, () => {
+            res.status(201).json({ success: true });
+        });
+
+        expect(res.sent).toHaveLength(0);
+        const update = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE idempotency_keys'));
+        expect(update[1]).toEqual([201, JSON.stringify({ success: true }), 5]);
+
+        releaseUpdate({ rowCount: 1 });
+        await flush();
+        expect(res.sent).toEqual([{ status: 201, payload: { success: true } }]);
+    });
+
+    test('erro do controller liberta a chave', async () => {
+        pool.query.mockImplementation(async (sql) => (
+            sql.includes('INSERT INTO idempotency_keys') ? { rows: [{ id: 5 }] } : { rows: [], rowCount: 1 }
+        ));
+
+        const res = fakeRes();
+        await idempotent('ride.request')(request({ fare: 100 }, { 'idempotency-key': 'k1' }), res, () => {
+            res.status(400).json({ code: 'INVALID' });
+        });
+        await flush();
+
+        expect(pool.query).toHaveBeenLastCalledWith('DELETE FROM idempotency_keys WHERE id = $1', [5]);
+        expect(res.sent).toEqual([{ status: 400, payload: { code: 'INVALID' } }]);
+    });
+
+    test('reenvio concluído recebe a resposta gravada sem executar o controller', async () => {
+        let storedHash;
+        pool.query.mockImplementation(async (sql, params) => {
+            if (sql.includes('INSERT INTO idempotency_keys')) {
+                storedHash = params[3];
+                return { rows: [] };
+            }
+            return { rows: [{ request_hash: storedHash, status_code: 201, response: { ride_id: 9 }, completed_at: new Date() }] };
+        });
+
+        const res = fakeRes();
+        const next = jest.fn();
+        await idempotent('ride.request')(request({ fare: 100 }, { 'idempotency-key': 'k1' }), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+        expect(res.sent).toEqual([{ status: 201, payload: { ride_id: 9 } }]);
+    });
+
+    test('mesma chave com outro payload devolve IDEMPOTENCY_KEY_REUSED', async () => {
+        pool.query.mockImplementation(async (sql) => (
+            sql.includes('INSERT INTO idempotency_keys')
+                ? { rows: [] }
+                : { rows: [{ request_hash: 'outro', status_code: 201, response: {}, completed_at: new Date() }] }
+        ));
+
+        const res = fakeRes();
+        await idempotent('ride.request')(request({ fare: 100 }, { 'idempotency-key': 'k1' }), res, jest.fn());
+
+        expect(res.sent[0]).toMatchObject({ status: 422, payload: { code: 'IDEMPOTENCY_KEY_REUSED' } });
+    });
+
+    test('pedido em processamento devolve 409', async () => {
+        let storedHash;
+        pool.query.mockImplementation(async (sql, params) => {
+            if (sql.includes('INSERT INTO idempotency_keys')) {
+                storedHash = params[3];
+                return { rows: [] };
+            }
+            return { rows: [{ request_hash: storedHash, completed_at: null }] };
+        });
+
+        const res = fakeRes();
+        await idempotent('ride.request')(request({}, { 'idempotency-key': 'k1' }), res, jest.fn());
+
+        expect(res.sent[0]).toMatchObject({ status: 409, payload: { code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS' } });
+    });
+
+    test('os campos de identidade do socket não alteram o hash', async () => {
+        pool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+        const middleware = idempotent('ride.request');
+
+        await middleware(request({ fare: 100 }, { 'idempotency-key': 'k1' }), fakeRes(), jest.fn());
+        await middleware(request({ fare: 100, passenger_id: 1, role: 'passenger', idempotency_key: 'k1' }), fakeRes(), jest.fn());
+        await middleware(request({ fare: 100, driver_id: 1, user_id: 1, role: 'driver', idempotency_key: 'k1' }), fakeRes(), jest.fn());
+        await middleware(request({ fare: 200 }, { 'idempotency-key': 'k1' }), fakeRes(), jest.fn());
+
+        const hashes = pool.query.mock.calls.map(([, params]) => params[3]);
+        expect(hashes[1]).toBe(hashes[0]);
+        expect(hashes[2]).toBe(hashes[0]);
+        expect(hashes[3]).not.toBe(hashes[0]);
+    });
+
+    test('falha do guarda não bloqueia a operação', async () => {
+        pool.query.mockRejectedValue(new Error('db down'));
+        const next = jest.fn();
+
+        await idempotent('ride.request')(request({}, { 'idempotency-key': 'k1' }), fakeRes(), next);
+
+        expect(next).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,80 @@
+const { settleCancellationDebt, notifySettledDrivers } = require('../../src/services/cancellationDebtService');
+
+/**
+ * Client transacional falso: responde por padrão de SQL e regista as queries.
+ */
+function fakeDb({ balance, debt, pending = [] }) {
+    const calls = [];
+    let driverBalance = 1000;
+    return {
+        calls,
+        query: jest.fn(async (sql, params) => {
+            calls.push({ sql, params });
+            if (sql.includes('SELECT balance, cancellation_debt')) {
+                return { rows: [{ balance: String(balance), cancellation_debt: String(debt) }] };
+            }
+            if (sql.includes('FROM wallet_transactions')) {
+                return { rows: pending };
+            }
+            if (sql.includes('RETURNING balance')) {
+                driverBalance += params[0];
+                return { rows: [{ balance: String(driverBalance) }] };
+            }
+            return { rows: [], rowCount: 1 };
+        })
+    };
+}
+
+const pendingFee = (id, amount, driverId = 7) => ({
+    id, reference_id: `CANC-${id}`, amount: String(-amount), receiver_id: driverId, ride_id: id
+});
+
+describe('settleCancellationDebt', () => {
+    test('sem dívida não faz nada', async () => {
+        const db = fakeDb({ balance: 5000, debt: 0 });
+        expect(await settleCancellationDebt(db, 1, 'topup')).toBeNull();
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('liquida as taxas mais antigas enquanto houver saldo', async () => {
+        const db = fakeDb({ balance: 700, debt: 1000, pending: [pendingFee(1, 500), pendingFee(2, 500)] });
+
+        const result = await settleCancellationDebt(db, 1, 'topup');
+
+        expect(result).toEqual({
+            amount: 500,
+            new_balance: 200,
+            remaining_debt: 500,
+            drivers: [{ driver_id: 7, amount: 500, new_balance: 1500 }]
+        });
+
+        const completed = db.calls.filter(c => c.sql.includes("status = 'completed'"));
+        expect(completed).toHaveLength(2);
+        expect(completed[1].params[2]).toBe('CANC-1-REC');
+
+        const userUpdate = db.calls.find(c => c.sql.includes('cancellation_debt = $2'));
+        expect(userUpdate.params).toEqual([200, 500, 1]);
+    });
+
+    test('saldo insuficiente para a primeira taxa deixa a dívida intacta', async () => {
+        const db = fakeDb({ balance: 100, debt: 500, pending: [pendingFee(1, 500)] });
+
+        const result = await settleCancellationDebt(db, 1, 'ride_request');
+
+        expect(result.amount).toBe(0);
+        expect(result.remaining_debt).toBe(500);
+        expect(db.calls.some(c => c.sql.includes('UPDATE users SET balance = $1'))).toBe(false);
+    });
+});
+
+describe('notifySettledDrivers', () => {
+    test('emite wallet_update para cada motorista creditado', () => {
+        const emit = jest.fn();
+        const io = { to: jest.fn(() => ({ emit })) };
+
+        notifySettledDrivers(io, { drivers: [{ driver_id: 7, amount: 500, new_balance: 1500 }] });
+
+        expect(io.to).toHaveBeenCalledWith('user_7');
+        expect(emit).toHaveBeenCalledWith('wallet_update', { type: 'cancellation_fee', amount: 500, new_balance: 1500 });
+    });
+});
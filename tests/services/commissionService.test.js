@@ -0,0 +1,155 @@
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../../src/utils/helpers', () => ({
+    logError: jest.fn(),
+    generateRef: jest.fn(prefix => `${prefix}-TEST`)
+}));
+
+const commissionService = require('../../src/services/commissionService');
+
+const { splitFare, getCommissionPct, getMaxDriverDebt, recordCommission, settleDriverDebt } = commissionService;
+
+const settingsDb = (value) => ({
+    query: jest.fn(async () => ({ rows: value === undefined ? [] : [{ value: value }] }))
+});
+
+describe('splitFare', () => {
+    test('divide o valor entre plataforma e motorista', () => {
+        expect(splitFare(1000, 15)).toEqual({ gross: 1000, pct: 15, commission: 150, net: 850 });
+    });
+
+    test('arredonda a comissão ao cêntimo', () => {
+        const split = splitFare('1234.56', 12.5);
+        expect(split.commission).toBe(154.32);
+        expect(split.net).toBe(1080.24);
+        expect(split.commission + split.net).toBeCloseTo(split.gross, 2);
+    });
+
+    test('valor inválido e percentagem zero não geram comissão', () => {
+        expect(splitFare(null, 15)).toEqual({ gross: 0, pct: 15, commission: 0, net: 0 });
+        expect(splitFare(500, 0)).toEqual({ gross: 500, pct: 0, commission: 0, net: 500 });
+    });
+});
+
+describe('getCommissionPct', () => {
+    const settings = {
+        default_pct: 20,
+        by_ride_type: { moto: 12 },
+        by_zone: { 3: 18, 4: { default: 16, moto: 14 }, 5: 150 }
+    };
+
+    test('zona tem precedência sobre o tipo de corrida', async () => {
+        expect(await getCommissionPct('moto', 3, settingsDb(settings))).toBe(18);
+    });
+
+    test('regra da zona por tipo de corrida, com default da zona', async () => {
+        expect(await getCommissionPct('moto', 4, settingsDb(settings))).toBe(14);
+        expect(await getCommissionPct('car', 4, settingsDb(settings))).toBe(16);
+    });
+
+    test('sem regra de zona usa o tipo de corrida e depois default_pct', async () => {
+        expect(await getCommissionPct('moto', 9, settingsDb(settings))).toBe(12);
+        expect(await getCommissionPct('car', null, settingsDb(settings))).toBe(20);
+    });
+
+    test('percentagem fora de 0-100 é ignorada', async () => {
+        expect(await getCommissionPct('moto', 5, settingsDb(settings))).toBe(12);
+    });
+
+    test('sem configuração usa o valor do appConfig', async () => {
+        expect(await getCommissionPct('car', null, settingsDb())).toBe(15);
+    });
+
+    test('erro ao ler a configuração cai no valor do appConfig', async () => {
+        const db = { query: jest.fn().mockRejectedValue(new Error('db down')) };
+        expect(await getCommissionPct('car', null, db)).toBe(15);
+    });
+});
+
+describe('recordCommission', () => {
+    const db = () => ({ query: jest.fn(async () => ({ rows: [{ id: 1 }] })) });
+
+    test('carteira: receita já liquidada, sem dívida do motorista', async () => {
+        const client = db();
+        await recordCommission(client, { rideId: 10, driverId: 2, method: 'wallet', split: splitFare(1000, 15) });
+
+        expect(client.query).toHaveBeenCalledTimes(1);
+        expect(client.query.mock.calls[0][1]).toEqual(['COM-TEST', 10, 2, 'revenue', 'wallet', 1000, 15, 150, 'settled', true]);
+    });
+
+    test('dinheiro: valor a receber e soma à dívida do motorista', async () => {
+        const client = db();
+        await recordCommission(client, { rideId: 10, driverId: 2, method: 'cash', split: splitFare(1000, 15) });
+
+        expect(client.query.mock.calls[0][1]).toEqual(['COM-TEST', 10, 2, 'receivable', 'cash', 1000, 15, 150, 'outstanding', false]);
+        expect(client.query.mock.calls[1][0]).toContain('commission_debt = COALESCE(commission_debt, 0) + $1');
+        expect(client.query.mock.calls[1][1]).toEqual([150, 2]);
+    });
+
+    test('comissão zero não é registada', async () => {
+        const client = db();
+        expect(await recordCommission(client, { rideId: 10, driverId: 2, method: 'cash', split: splitFare(1000, 0) })).toBeNull();
+        expect(client.query).not.toHaveBeenCalled();
+    });
+});
+
+describe('getMaxDriverDebt', () => {
+    test('usa o limite do admin quando válido', async () => {
+        expect(await getMaxDriverDebt(settingsDb({ max_driver_debt: 5000 }))).toBe(5000);
+        expect(await getMaxDriverDebt(settingsDb({ max_driver_debt: 0 }))).toBe(0);
+    });
+
+    test('limite inválido ou ausente usa o valor do appConfig', async () => {
+        expect(await getMaxDriverDebt(settingsDb({ max_driver_debt: -1 }))).toBe(10000);
+        expect(await getMaxDriverDebt(settingsDb())).toBe(10000);
+    });
+});
+
+describe('settleDriverDebt', () => {
+    const debtDb = (balance, debt) => ({
+        query: jest.fn(async (sql) => (
+            sql.includes('SELECT balance, commission_debt')
+                ? { rows: [{ balance: String(balance), commission_debt: String(debt) }] }
+                : { rows: [], rowCount: 1 }
+        ))
+    });
+
+    test('sem dívida não desconta nada', async () => {
+        const db = debtDb(5000, 0);
+        expect(await settleDriverDebt(db, 2, 1000, 'topup')).toBeNull();
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('desconta no máximo o valor creditado', async () => {
+        const db = debtDb(5000, 1500);
+
+        const result = await settleDriverDebt(db, 2, 1000, 'ride_earnings');
+
+        expect(result).toEqual({ amount: 1000, new_balance: 4000, remaining_debt: 500, reference_id: 'DEBT-TEST' });
+        expect(db.query.mock.calls[1][1]).toEqual([4000, 500, 2]);
+
+        const [txSql, txParams] = db.query.mock.calls[2];
+        expect(txSql).toContain("'commission'");
+        expect(txParams[2]).toBe(-1000);
+        expect(JSON.parse(txParams[5])).toEqual({ source: 'ride_earnings', debt_before: 1500, debt_after: 500 });
+    });
+
+    test('crédito maior do que a dívida liquida apenas a dívida', async () => {
+        const db = debtDb(5000, 300.5);
+
+        const result = await settleDriverDebt(db, 2, 1000, 'topup');
+
+        expect(result.amount).toBe(300.5);
+        expect(result.remaining_debt).toBe(0);
+    });
+
+    test('abate os valores a receber por ordem de antiguidade (FIFO)', async () => {
+        const db = debtDb(5000, 1500);
+        await settleDriverDebt(db, 2, 1000, 'topup');
+
+        const [fifoSql, fifoParams] = db.query.mock.calls[3];
+        expect(fifoSql).toContain('UPDATE platform_ledger');
+        expect(fifoSql).toContain('OVER (ORDER BY created_at, id)');
+        expect(fifoSql).toContain("entry_type = 'receivable' AND status = 'outstanding'");
+        expect(fifoParams).toEqual([2, 1000]);
+    });
+});
@@ -0,0 +1,98 @@
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../../src/utils/helpers', () => ({
+    getDistance: jest.fn(() => 1),
+    logError: jest.fn(),
+    logSystem: jest.fn()
+}));
+jest.mock('../../src/services/driverMetricsService', () => ({
+    getRatesForDrivers: jest.fn(async () => new Map()),
+    isPoorPerformer: jest.fn(() => false),
+    recordOffers: jest.fn(async () => {}),
+    resolveOffer: jest.fn(async () => {})
+}));
+jest.mock('../../src/controllers/rideController', () => ({ findAvailableDrivers: jest.fn() }));
+
+const pool = require('../../src/config/db');
+const rideController = require('../../src/controllers/rideController');
+const dispatchService = require('../../src/services/dispatchService');
+
+const ridePayload = { ride_id: 10, passenger_id: 1, origin_lat: -8.8, origin_lng: 13.2, ride_type: 'ride' };
+const candidate = { driver_id: 2, socket_id: 'sock-2', lat: -8.81, lng: 13.21, rating: 5 };
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function fakeIo() {
+    const emit = jest.fn();
+    return { emit, to: jest.fn(() => ({ emit })) };
+}
+
+beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    pool.query.mockReset();
+    pool.query.mockImplementation(async (sql) => (
+        sql.includes('SELECT status FROM rides') ? { rows: [{ status: 'searching' }] } : { rows: [] }
+    ));
+    rideController.findAvailableDrivers.mockReset();
+    rideController.findAvailableDrivers.mockResolvedValue([candidate]);
+});
+
+afterEach(() => {
+    dispatchService.stopDispatch(ridePayload.ride_id);
+    jest.useRealTimers();
+});
+
+describe('canDriverAccept', () => {
+    test('só o motorista com a oferta ativa pode aceitar', async () => {
+        await dispatchService.startDispatch(fakeIo(), ridePayload);
+
+        expect(await dispatchService.canDriverAccept(10, 2)).toBe(true);
+        expect(await dispatchService.canDriverAccept(10, 3)).toBe(false);
+    });
+
+    test('candidatos esgotados: ninguém aceita enquanto a corrida estiver em busca', async () => {
+        const io = fakeIo();
+        await dispatchService.startDispatch(io, ridePayload);
+
+        expect(await dispatchService.declineOffer(10, 2)).toBe(true);
+        await flush();
+
+        expect(io.emit).toHaveBeenCalledWith('ride_no_drivers', expect.objectContaining({ ride_id: '10' }));
+        // Motorista que recusou e motorista que nunca recebeu a oferta
+        expect(await dispatchService.canDriverAccept(10, 2)).toBe(false);
+        expect(await dispatchService.canDriverAccept(10, 3)).toBe(false);
+        // A decisão vem do estado em memória, não do banco
+        expect(pool.query.mock.calls.some(([sql]) => sql.includes('FROM driver_offers'))).toBe(false);
+    });
+
+    test('oferta expirada por timeout também fica sem direito a aceitar', async () => {
+        await dispatchService.startDispatch(fakeIo(), ridePayload);
+
+        jest.advanceTimersByTime(60 * 1000);
+        await flush();
+
+        expect(await dispatchService.canDriverAccept(10, 2)).toBe(false);
+    });
+
+    test('sem despacho em memória (restart) exige uma oferta pendente no banco', async () => {
+        const db = { query: jest.fn(async (sql, params) => ({ rows: params[1] === 2 ? [{ '?column?': 1 }] : [] })) };
+
+        expect(await dispatchService.canDriverAccept(10, 2, db)).toBe(true);
+        expect(await dispatchService.canDriverAccept(10, 3, db)).toBe(false);
+
+        const [sql, params] = db.query.mock.calls[0];
+        expect(sql).toContain("mode = 'dispatch' AND outcome = 'pending'");
+        expect(params).toEqual([10, 2, 45]);
+    });
+
+    test('corrida aceite encerra o estado esgotado', async () => {
+        await dispatchService.startDispatch(fakeIo(), ridePayload);
+        await dispatchService.declineOffer(10, 2);
+        await flush();
+
+        dispatchService.stopDispatch(10);
+
+        const db = { query: jest.fn(async () => ({ rows: [] })) };
+        expect(await dispatchService.canDriverAccept(10, 2, db)).toBe(false);
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+});
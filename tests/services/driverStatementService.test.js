@@ -0,0 +1,113 @@
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../../src/utils/helpers', () => ({ logError: jest.fn(), logSystem: jest.fn() }));
+
+const pool = require('../../src/config/db');
+const { resolvePeriod, buildStatement, renderCsv, renderPdf } = require('../../src/services/driverStatementService');
+
+describe('resolvePeriod', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('diário devolve o próprio dia', () => {
+        expect(resolvePeriod({ period: 'daily', date: '2026-03-04' })).toEqual({ period: 'daily', start: '2026-03-04', end: '2026-03-04' });
+    });
+
+    test('semanal vai de segunda a domingo', () => {
+        // 2026-03-04 é quarta-feira
+        expect(resolvePeriod({ period: 'weekly', date: '2026-03-04' })).toEqual({ period: 'weekly', start: '2026-03-02', end: '2026-03-08' });
+        // Domingo pertence à semana que começou na segunda anterior
+        expect(resolvePeriod({ period: 'weekly', date: '2026-03-08' })).toEqual({ period: 'weekly', start: '2026-03-02', end: '2026-03-08' });
+        // Semana que atravessa o ano
+        expect(resolvePeriod({ period: 'weekly', date: '2027-01-01' })).toEqual({ period: 'weekly', start: '2026-12-28', end: '2027-01-03' });
+    });
+
+    test('mensal cobre o mês inteiro, incluindo fevereiro bissexto', () => {
+        expect(resolvePeriod({ period: 'monthly', date: '2028-02-10' })).toEqual({ period: 'monthly', start: '2028-02-01', end: '2028-02-29' });
+        expect(resolvePeriod({ period: 'monthly', date: '2026-12-31' })).toEqual({ period: 'monthly', start: '2026-12-01', end: '2026-12-31' });
+    });
+
+    test('sem parâmetros usa a semana atual no fuso da operação', () => {
+        jest.useFakeTimers().setSystemTime(new Date('2026-03-08T23:30:00Z'));
+        // 23:30 UTC de domingo já é segunda-feira em Luanda (UTC+1)
+        expect(resolvePeriod()).toEqual({ period: 'weekly', start: '2026-03-09', end: '2026-03-15' });
+    });
+
+    test('intervalo livre from/to', () => {
+        expect(resolvePeriod({ from: '2026-01-10', to: '2026-02-05' })).toEqual({ period: 'custom', start: '2026-01-10', end: '2026-02-05' });
+    });
+
+    test.each([
+        [{ from: '2026-02-05', to: '2026-01-10' }],
+        [{ from: '2026-01-10' }],
+        [{ from: '2026-02-30', to: '2026-03-01' }],
+        [{ from: '10/01/2026', to: '2026-02-05' }],
+        [{ from: '2025-01-01', to: '2026-01-02' }]
+    ])('intervalo inválido %j', (params) => {
+        expect(resolvePeriod(params)).toMatchObject({ code: 'INVALID_DATE_RANGE' });
+    });
+
+    test('aceita o intervalo máximo de 366 dias', () => {
+        expect(resolvePeriod({ from: '2025-01-01', to: '2026-01-01' })).toMatchObject({ period: 'custom' });
+    });
+
+    test('período ou data inválidos', () => {
+        expect(resolvePeriod({ period: 'yearly' })).toMatchObject({ code: 'INVALID_PERIOD' });
+        expect(resolvePeriod({ period: 'daily', date: '2026-13-01' })).toMatchObject({ code: 'INVALID_DATE_RANGE' });
+    });
+});
+
+describe('buildStatement', () => {
+    const ride = (id, method, fare, commission) => ({
+        id, completed_at: '2026-03-04T10:00:00Z', origin_name: 'A', dest_name: 'B', ride_type: 'car',
+        payment_method: method, final_price: String(fare), commission_amount: String(commission), distance_km: '5'
+    });
+
+    beforeEach(() => {
+        pool.query.mockReset();
+        pool.query.mockImplementation(async (sql) => {
+            if (sql.includes('FROM users')) return { rows: [{ id: 2, name: 'Motorista' }] };
+            if (sql.includes('FROM rides')) {
+                return { rows: [ride(1, 'cash', 1000, 150), ride(2, 'card', 2000, 300), ride(3, 'wallet', 500, 75), ride(4, null, 800, 120)] };
+            }
+            if (sql.includes('FROM wallet_transactions')) return { rows: [{ tips: '100', fees: '0', fees_pending: '0' }] };
+            return { rows: [{ seconds: '7200' }] };
+        });
+    });
+
+    test('mantém o método de pagamento real e separa cartão', async () => {
+        const statement = await buildStatement(2, '2026-03-02', '2026-03-08', 'weekly');
+
+        expect(statement.rides.map(r => r.payment_method)).toEqual(['cash', 'card', 'wallet', 'cash']);
+        expect(statement.totals).toMatchObject({
+            rides: 4,
+            gross_fares: 4300,
+            commission: 645,
+            total_earnings: 3755,
+            cash: { rides: 2, gross_fares: 1800 },
+            wallet: { rides: 1, gross_fares: 500 },
+            card: { rides: 1, gross_fares: 2000 },
+            hours_online: 2
+        });
+    });
+
+    test('o CSV inclui a linha de cartão', async () => {
+        const csv = renderCsv(await buildStatement(2, '2026-03-02', '2026-03-08', 'weekly'));
+
+        expect(csv).toContain('Cartão (1 corridas),2000');
+        expect(csv).toContain('2026-03-04,2,A,B,Cartão,2000.00,300.00,1700.00,5');
+    });
+
+    test('o PDF inclui a linha de cartão', async () => {
+        const pdf = renderPdf(await buildStatement(2, '2026-03-02', '2026-03-08', 'weekly')).toString('latin1');
+
+        expect(pdf).toContain('(Cartão \\(1 corridas\\)) Tj');
+    });
+
+    test('extratos gravados sem cartão continuam a ser exportados', async () => {
+        const statement = await buildStatement(2, '2026-03-02', '2026-03-08', 'weekly');
+        delete statement.totals.card;
+
+        expect(renderCsv(statement)).toContain('Cartão (0 corridas),0');
+    });
+});
@@ -0,0 +1,53 @@
+jest.mock('../../src/config/db', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../../src/utils/helpers', () => ({ logError: jest.fn(), logSystem: jest.fn() }));
+
+const { validateProposal, expireStaleProposals } = require('../../src/services/negotiationService');
+
+const ride = (history = []) => ({ id: 10, initial_price: '1000', negotiation_history: history });
+
+describe('validateProposal', () => {
+    test('aceita preços dentro do desvio máximo', () => {
+        expect(validateProposal(ride(), 700)).toBeNull();
+        expect(validateProposal(ride(), 1300)).toBeNull();
+    });
+
+    test('recusa preços fora do desvio máximo', () => {
+        expect(validateProposal(ride(), 699)).toMatchObject({ code: 'PRICE_OUT_OF_RANGE', min_price: 700, max_price: 1300 });
+        expect(validateProposal(ride(), 1301)).toMatchObject({ code: 'PRICE_OUT_OF_RANGE' });
+    });
+
+    test.each([
+        [NaN],
+        [parseFloat(null)],
+        [parseFloat('abc')],
+        [Infinity],
+        [null],
+        [undefined],
+        ['900']
+    ])('recusa preço inválido (%p)', (price) => {
+        expect(validateProposal(ride(), price)).toMatchObject({ code: 'INVALID_PRICE' });
+    });
+
+    test('recusa depois do limite de rondas', () => {
+        const history = [{ status: 'rejected' }, { status: 'rejected' }, { status: 'rejected' }];
+        expect(validateProposal(ride(history), 900)).toMatchObject({ code: 'NEGOTIATION_LIMIT_REACHED', max_rounds: 3 });
+    });
+});
+
+describe('expireStaleProposals', () => {
+    test('rejeita apenas as propostas pendentes vencidas', () => {
+        const now = new Date('2026-03-04T10:00:00Z');
+        const history = [
+            { status: 'pending', expires_at: '2026-03-04T09:59:00Z' },
+            { status: 'pending', expires_at: '2026-03-04T10:01:00Z' },
+            { status: 'pending', proposed_at: '2026-03-04T09:00:00Z' },
+            { status: 'accepted', expires_at: '2026-03-04T09:00:00Z' }
+        ];
+
+        const expired = expireStaleProposals(history, now);
+
+        expect(expired).toEqual([history[0], history[2]]);
+        expect(history.map(p => p.status)).toEqual(['rejected', 'pending', 'rejected', 'accepted']);
+        expect(history[0]).toMatchObject({ auto_rejected: true, responded_at: now.toISOString() });
+    });
+});
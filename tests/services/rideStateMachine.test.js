@@ -0,0 +1,142 @@
+jest.mock('../../src/utils/helpers', () => ({ logError: jest.fn(), logSystem: jest.fn() }));
+
+const rideStateMachine = require('../../src/services/rideStateMachine');
+
+const { TRANSITIONS, canTransition, isFinal, resolveActorRole, validate, transition, NOW } = rideStateMachine;
+
+const ride = (status, extra = {}) => ({ id: 10, status, passenger_id: 1, driver_id: 2, ...extra });
+
+const passenger = { id: 1, role: 'passenger' };
+const driver = { id: 2, role: 'driver' };
+const admin = { id: 99, role: 'admin' };
+const system = { id: null, role: 'system' };
+
+describe('tabela de transições', () => {
+    test('segue o ciclo de vida documentado', () => {
+        const graph = Object.fromEntries(
+            Object.entries(TRANSITIONS).map(([from, targets]) => [from, Object.keys(targets).sort()])
+        );
+
+        expect(graph).toEqual({
+            scheduled: ['accepted', 'cancelled', 'searching'],
+            searching: ['accepted', 'cancelled'],
+            accepted: ['arrived', 'cancelled', 'ongoing'],
+            arrived: ['cancelled', 'ongoing'],
+            ongoing: ['cancelled', 'completed'],
+            completed: [],
+            cancelled: []
+        });
+    });
+
+    test('canTransition recusa saltos e status desconhecidos', () => {
+        expect(canTransition('searching', 'accepted')).toBe(true);
+        expect(canTransition('searching', 'ongoing')).toBe(false);
+        expect(canTransition('completed', 'cancelled')).toBe(false);
+        expect(canTransition('unknown', 'accepted')).toBe(false);
+    });
+
+    test('apenas completed e cancelled são finais', () => {
+        const finals = Object.keys(TRANSITIONS).filter(isFinal);
+        expect(finals).toEqual(['completed', 'cancelled']);
+        expect(isFinal('unknown')).toBe(false);
+    });
+});
+
+describe('resolveActorRole', () => {
+    test('identifica passageiro, motorista e admin da corrida', () => {
+        expect(resolveActorRole(ride('accepted'), { id: 1, role: 'passenger' })).toBe('passenger');
+        expect(resolveActorRole(ride('accepted'), { id: 2, role: 'driver' })).toBe('driver');
+        expect(resolveActorRole(ride('accepted'), { id: 99, role: 'admin' })).toBe('admin');
+    });
+
+    test('utilizador alheio à corrida não tem papel', () => {
+        expect(resolveActorRole(ride('accepted'), { id: 3, role: 'driver' })).toBeNull();
+        expect(resolveActorRole(ride('searching', { driver_id: null }), { id: 3, role: 'passenger' })).toBeNull();
+        expect(resolveActorRole(ride('accepted'), null)).toBeNull();
+    });
+});
+
+describe('validate', () => {
+    test('transição inexistente devolve 409 INVALID_TRANSITION', () => {
+        expect(validate(ride('completed'), 'cancelled', admin)).toMatchObject({ status: 409, code: 'INVALID_TRANSITION' });
+    });
+
+    test.each([
+        ['accepted', 'arrived', passenger],
+        ['accepted', 'ongoing', admin],
+        ['ongoing', 'completed', passenger],
+        ['ongoing', 'completed', system],
+        ['scheduled', 'searching', passenger],
+        ['searching', 'cancelled', driver]
+    ])('%s -> %s recusa o papel sem permissão', (from, to, actor) => {
+        expect(validate(ride(from), to, actor)).toMatchObject({ status: 403, code: 'TRANSITION_FORBIDDEN' });
+    });
+
+    test('papel desconhecido é recusado', () => {
+        expect(validate(ride('searching'), 'cancelled', { id: 1, role: 'hacker' })).toMatchObject({ code: 'TRANSITION_FORBIDDEN' });
+        expect(validate(ride('searching'), 'cancelled', null)).toMatchObject({ code: 'TRANSITION_FORBIDDEN' });
+    });
+
+    test('passageiro só cancela as próprias corridas', () => {
+        expect(validate(ride('searching'), 'cancelled', passenger)).toBeNull();
+        expect(validate(ride('searching'), 'cancelled', { id: 5, role: 'passenger' })).toMatchObject({ code: 'TRANSITION_FORBIDDEN' });
+    });
+
+    test('motorista só avança corridas atribuídas a ele', () => {
+        expect(validate(ride('accepted'), 'arrived', driver)).toBeNull();
+        expect(validate(ride('accepted'), 'arrived', { id: 3, role: 'driver' })).toMatchObject({ code: 'TRANSITION_FORBIDDEN' });
+    });
+
+    test('qualquer motorista pode aceitar uma corrida em procura', () => {
+        expect(validate(ride('searching', { driver_id: null }), 'accepted', { id: 3, role: 'driver' })).toBeNull();
+    });
+
+    test('admin e sistema não precisam de ser donos da corrida', () => {
+        expect(validate(ride('ongoing'), 'completed', admin)).toBeNull();
+        expect(validate(ride('accepted'), 'cancelled', system)).toBeNull();
+    });
+});
+
+describe('transition', () => {
+    const fakeDb = (updatedRows) => ({
+        query: jest.fn(async (sql) => (sql.includes('UPDATE rides') ? { rows: updatedRows } : { rows: [] }))
+    });
+
+    test('grava status, timestamp, campos extra e evento de auditoria', async () => {
+        const db = fakeDb([{ id: 10, status: 'ongoing' }]);
+
+        const result = await transition(db, ride('arrived'), 'ongoing', driver, {
+            fields: { otp_verified: true, boarded_at: NOW },
+            metadata: { source: 'test' }
+        });
+
+        expect(result).toEqual({ ride: { id: 10, status: 'ongoing' }, from: 'arrived', to: 'ongoing', actor: driver });
+
+        const [updateSql, updateParams] = db.query.mock.calls[0];
+        expect(updateSql).toContain('started_at = NOW()');
+        expect(updateSql).toContain('otp_verified = $2');
+        expect(updateSql).toContain('boarded_at = NOW()');
+        expect(updateSql).toContain('WHERE id = $3 AND status = $4');
+        expect(updateParams).toEqual(['ongoing', true, 10, 'arrived']);
+
+        const [eventSql, eventParams] = db.query.mock.calls[1];
+        expect(eventSql).toContain('INSERT INTO ride_events');
+        expect(eventParams).toEqual([10, 'arrived', 'ongoing', 2, 'driver', JSON.stringify({ source: 'test' })]);
+    });
+
+    test('transição recusada não toca no banco', async () => {
+        const db = fakeDb([]);
+        const result = await transition(db, ride('accepted'), 'completed', driver);
+
+        expect(result).toMatchObject({ status: 409, code: 'INVALID_TRANSITION' });
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('status alterado por outro pedido devolve RIDE_STATE_CHANGED sem auditoria', async () => {
+        const db = fakeDb([]);
+        const result = await transition(db, ride('searching'), 'cancelled', passenger);
+
+        expect(result).toMatchObject({ status: 409, code: 'RIDE_STATE_CHANGED' });
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,66 @@
+const { createPdfDocument, measureText, PAGE_HEIGHT } = require('../../src/utils/pdfDocument');
+
+const render = (build) => {
+    const doc = createPdfDocument();
+    build(doc);
+    return doc.toBuffer().toString('latin1');
+};
+
+describe('measureText', () => {
+    test('escala com o tamanho da fonte', () => {
+        expect(measureText('100', 10)).toBeCloseTo(16.68);
+        expect(measureText('100', 20)).toBeCloseTo(33.36);
+    });
+
+    test('texto vazio ou nulo mede zero', () => {
+        expect(measureText('')).toBe(0);
+        expect(measureText(null)).toBe(0);
+    });
+});
+
+describe('createPdfDocument', () => {
+    test('gera um PDF com cabeçalho, trailer e uma página', () => {
+        const pdf = render(doc => doc.text(50, 60, 'Recibo'));
+
+        expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+        expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+        expect(pdf).toContain('/Count 1');
+    });
+
+    test('converte a origem superior para coordenadas PDF', () => {
+        const pdf = render(doc => doc.text(50, 60, 'Olá', { size: 12, bold: true }));
+        expect(pdf).toContain(`BT /F2 12 Tf 50.00 ${(PAGE_HEIGHT - 60).toFixed(2)} Td (Olá) Tj ET`);
+    });
+
+    test('alinha à direita a partir da margem indicada', () => {
+        const pdf = render(doc => doc.text(500, 100, '100', { align: 'right' }));
+        expect(pdf).toContain(`Tf ${(500 - measureText('100', 10)).toFixed(2)} `);
+    });
+
+    test('escapa delimitadores e substitui caracteres fora do latin1', () => {
+        const pdf = render(doc => doc.text(0, 0, 'a (b) \\ c – “d” 🚗'));
+        expect(pdf).toContain('(a \\(b\\) \\\\ c - "d" ?) Tj');
+    });
+
+    test('addPage cria páginas independentes', () => {
+        const pdf = render(doc => {
+            doc.text(50, 60, 'Página 1');
+            doc.addPage();
+            doc.text(50, 60, 'Página 2');
+        });
+        expect(pdf).toContain('/Count 2');
+        expect(pdf).toContain('/Kids [5 0 R 7 0 R]');
+    });
+
+    test('a tabela xref aponta para o início de cada objeto', () => {
+        const pdf = render(doc => doc.line(50, 70, 545, 70));
+
+        const xref = pdf.slice(pdf.indexOf('xref\n'));
+        const offsets = xref.split('\n').slice(3).filter(l => / n $/.test(l)).map(l => parseInt(l.slice(0, 10)));
+
+        offsets.forEach((offset, i) => {
+            expect(pdf.startsWith(`${i + 1} 0 obj\n`, offset)).toBe(true);
+        });
+        expect(parseInt(pdf.match(/startxref\n(\d+)/)[1])).toBe(pdf.indexOf('xref\n'));
+    });
+});